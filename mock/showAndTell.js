@@ -0,0 +1,34 @@
+import crypto from 'node:crypto';
+import { EVENT_REGIONS } from '../src/content/schema.js';
+
+/**
+ * MOCK: showAndTell
+ * In-memory stand-in for the Show & Tell application API described in
+ * src/lib/showAndTell.js. Applications are logged instead of being sent to
+ * the organizers. State is lost when the dev server restarts.
+ */
+const applications = new Map();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const REQUIRED_TEXT = ['title', 'abstract', 'hardware', 'session', 'name'];
+
+export default {
+  'POST /api/show-and-tell': ({ body, log }) => {
+    const missing = REQUIRED_TEXT.find(field => !String(body[field] || '').trim());
+    if (missing) {
+      return [400, { error: `invalid-${missing}`, message: `The "${missing}" field is required.` }];
+    }
+    if (!EVENT_REGIONS.includes(body.region)) {
+      return [400, { error: 'invalid-region', message: 'Please choose a region.' }];
+    }
+    if (!EMAIL_PATTERN.test(String(body.email || ''))) {
+      return [400, { error: 'invalid-email', message: 'Please enter a valid email address.' }];
+    }
+
+    const id = `st-${crypto.randomBytes(4).toString('hex')}`;
+    applications.set(id, { ...body, id, createdAt: new Date().toISOString() });
+    log(`Show & Tell application ${id}: "${body.title}" by ${body.name} <${body.email}> (${body.region}, session ${body.session})`);
+    return [201, { status: 'received', id }];
+  },
+};
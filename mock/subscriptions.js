@@ -0,0 +1,38 @@
+import crypto from 'node:crypto';
+
+/**
+ * MOCK: subscriptions
+ * In-memory stand-in for the newsletter API described in
+ * src/lib/subscriptions.js. Instead of emailing, it logs the confirmation link.
+ * State is lost when the dev server restarts.
+ */
+const subscribers = new Map();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export default {
+  'POST /api/subscribe': ({ body, origin, log }) => {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(email)) {
+      return [400, { error: 'invalid-email', message: 'Please enter a valid email address.' }];
+    }
+
+    const existing = subscribers.get(email);
+    if (existing && existing.confirmed) return [200, { status: 'already-subscribed' }];
+
+    const token = existing ? existing.token : crypto.randomBytes(16).toString('hex');
+    subscribers.set(email, { email, source: body.source, token, confirmed: false, createdAt: new Date().toISOString() });
+    log(`subscription from ${body.source} form: ${email}\n  confirm at ${origin}/subscribe/confirm?token=${token}`);
+    return [202, { status: 'pending' }];
+  },
+
+  'POST /api/subscribe/confirm': ({ body, log }) => {
+    const subscriber = [...subscribers.values()].find(entry => entry.token === body.token);
+    if (!subscriber) {
+      return [404, { error: 'invalid-token', message: 'This confirmation link is invalid or has expired.' }];
+    }
+    subscriber.confirmed = true;
+    log(`confirmed ${subscriber.email} (${subscriber.source})`);
+    return [200, { status: 'confirmed', email: subscriber.email }];
+  },
+};
@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { contentSchema, validateContent, validateSiteLinks } from '../src/content/schema.js';
+
+const VIRTUAL_ID = 'virtual:site-content';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * Reads every content file named in contentSchema, validates it and returns
+ * { content, problems }. Parse errors are reported as problems too, and links
+ * between files are only checked once each file is valid on its own.
+ */
+export const loadContent = (contentDir) => {
+  const content = {};
+  const problems = [];
+
+  Object.keys(contentSchema).forEach(name => {
+    const file = path.join(contentDir, `${name}.json`);
+    const relative = path.relative(process.cwd(), file);
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      problems.push(`${relative}: ${err.code === 'ENOENT' ? 'file is missing' : err.message}`);
+      return;
+    }
+    validateContent(name, data).forEach(problem => problems.push(`${relative}: ${problem}`));
+    content[name] = data;
+  });
+
+  if (!problems.length) problems.push(...validateSiteLinks(content));
+  return { content, problems };
+};
+
+/**
+ * PLUGIN: siteContent
+ * Exposes the validated files in src/content as `virtual:site-content`.
+ * Malformed content fails the build (and shows the overlay in dev).
+ */
+export default function siteContent({ dir = 'src/content' } = {}) {
+  let contentDir;
+
+  return {
+    name: 'site-content',
+
+    configResolved(config) {
+      contentDir = path.resolve(config.root, dir);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      const { content, problems } = loadContent(contentDir);
+      if (problems.length) {
+        this.error(`Site content is invalid:\n  - ${problems.join('\n  - ')}`);
+      }
+      return `export default ${JSON.stringify(content)};`;
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (path.dirname(file) !== contentDir || !file.endsWith('.json')) return;
+      const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (!mod) return;
+      server.moduleGraph.invalidateModule(mod);
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    },
+  };
+}
@@ -0,0 +1,225 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+import { loadContent } from './content.js';
+
+const VIRTUAL_ID = 'virtual:site-images';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const DEV_PREFIX = '/@site-images/';
+
+// Variant widths, capped at the source's own width
+const WIDTHS = [320, 640, 960, 1280];
+// Browsers take the first <source> they support, so smallest files first
+const FORMATS = [
+  { format: 'avif', ext: 'avif', type: 'image/avif', options: { quality: 55, effort: 4 } },
+  { format: 'webp', ext: 'webp', type: 'image/webp', options: { quality: 75 } },
+  { format: 'jpeg', ext: 'jpg', type: 'image/jpeg', options: { quality: 80, mozjpeg: true } },
+];
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_FILE = /\.(jpe?g|png|webp)$/i;
+// Bump after changing the settings above, so cached variants are rebuilt
+const PIPELINE_VERSION = 1;
+
+// Literal references in components: <ResponsiveImage image="covers/book.jpg" ... />
+const COMPONENT_REFERENCE = /<ResponsiveImage\b[^>]*?\bimage="([^"]+)"/g;
+// Remote images are shown as they are, until the file is committed
+const REMOTE_IMAGE = /^https?:\/\//;
+
+/** Image names ("pillars/learn.jpg") under `dir`, with forward slashes. */
+const listImages = (dir, prefix = '') => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const name = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) return listImages(path.join(dir, entry.name), `${name}/`);
+    return SOURCE_FILE.test(entry.name) ? [name] : [];
+  });
+};
+
+/** Every `image` value in the content files, with the file it came from. */
+const contentReferences = (content) => {
+  const references = [];
+  const walk = (value, file) => {
+    if (Array.isArray(value)) value.forEach(item => walk(item, file));
+    else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => {
+        if (key === 'image' && typeof item === 'string') references.push({ image: item, file });
+        else walk(item, file);
+      });
+    }
+  };
+  Object.entries(content).forEach(([name, data]) => walk(data, `src/content/${name}.json`));
+  return references;
+};
+
+const variantWidths = (width) => {
+  const widths = WIDTHS.filter(w => w < width);
+  if (width <= WIDTHS[WIDTHS.length - 1]) widths.push(width);
+  return widths;
+};
+
+const encode = (source, width, { format, options }) => sharp(source).resize({ width }).toFormat(format, options).toBuffer();
+
+/**
+ * PLUGIN: siteImages
+ * Serves the images in src/assets/images through `virtual:site-images`:
+ * { [name]: { width, height, placeholder, sources: [{ type, srcSet }], src, srcSet } }
+ * for ResponsiveImage. Each image gets resized AVIF, WebP and JPEG variants
+ * and a tiny blurred placeholder, inlined as a data URI.
+ *
+ * Builds emit the variants as hashed assets; the dev server encodes them on
+ * request. Either way encoded files are cached in node_modules/.cache, so
+ * only new or changed images cost anything. Image names used in src/content
+ * or in <ResponsiveImage image="..."> that match no file are reported as
+ * build warnings; https:// URLs are left to the browser.
+ */
+export default function siteImages({ dir = 'src/assets/images', contentDir = 'src/content' } = {}) {
+  let root;
+  let base;
+  let imagesDir;
+  let cacheDir;
+  let isBuild = false;
+  let isSsrBuild = false;
+  let logger;
+  // Dev only: requested file name -> the variant to encode for it
+  const devVariants = new Map();
+
+  const warnMissing = (warn, references) => {
+    const available = new Set(listImages(imagesDir));
+    references
+      .filter(({ image }) => !REMOTE_IMAGE.test(image) && !available.has(image))
+      .forEach(({ image, file }) => warn(`${file}: image "${image}" is not in ${path.relative(root, imagesDir)}`));
+  };
+
+  const cached = async (key, ext, create) => {
+    const file = path.join(cacheDir, `${key}.${ext}`);
+    try {
+      return await fs.promises.readFile(file);
+    } catch {
+      const data = await create();
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      await fs.promises.writeFile(file, data);
+      return data;
+    }
+  };
+
+  // A variant's bytes: { source, width, format, key } as built by describe()
+  const variantData = ({ source, width, format, key }) => cached(key, format.ext, () => encode(source, width, format));
+
+  const describe = async (name, url) => {
+    const source = await fs.promises.readFile(path.join(imagesDir, name));
+    const digest = crypto.createHash('sha256').update(`${PIPELINE_VERSION}\0`).update(source).digest('hex');
+    const { width, height } = await sharp(source).metadata();
+    const stem = name.replace(SOURCE_FILE, '').replace(/[^\w-]+/g, '-');
+
+    const placeholder = await cached(`${digest.slice(0, 16)}-placeholder`, 'webp', () => (
+      sharp(source).resize({ width: PLACEHOLDER_WIDTH }).blur().webp({ quality: 50 }).toBuffer()
+    ));
+
+    const sources = [];
+    for (const format of FORMATS) {
+      const variants = [];
+      for (const w of variantWidths(width)) {
+        const variant = { source, width: w, format, key: `${digest.slice(0, 16)}-${w}` };
+        variants.push({ url: await url(`${stem}-${w}-${digest.slice(0, 8)}.${format.ext}`, variant), width: w });
+      }
+      sources.push({ type: format.type, variants });
+    }
+
+    const srcSet = (variants) => variants.map(variant => `${variant.url} ${variant.width}w`).join(', ');
+    // The last format is the <img> every browser can show
+    const fallback = sources.pop().variants;
+    return {
+      width,
+      height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      sources: sources.map(({ type, variants }) => ({ type, srcSet: srcSet(variants) })),
+      src: fallback[fallback.length - 1].url,
+      srcSet: srcSet(fallback),
+    };
+  };
+
+  return {
+    name: 'site-images',
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+      imagesDir = path.resolve(root, dir);
+      cacheDir = path.resolve(root, 'node_modules/.cache/site-images');
+      isBuild = config.command === 'build';
+      isSsrBuild = Boolean(config.build.ssr);
+      logger = config.logger;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        if (!req.url.startsWith(DEV_PREFIX)) return next();
+        const variant = devVariants.get(decodeURIComponent(req.url.slice(DEV_PREFIX.length)));
+        if (!variant) return next();
+        try {
+          const data = await variantData(variant);
+          res.setHeader('Content-Type', variant.format.type);
+          res.setHeader('Cache-Control', 'no-cache');
+          res.end(data);
+        } catch (err) {
+          next(err);
+        }
+      });
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      // Invalid content is siteContent's to report
+      const { content, problems } = loadContent(path.resolve(root, contentDir));
+      if (!problems.length && !isSsrBuild) warnMissing(message => this.warn(message), contentReferences(content));
+
+      // The URL a variant is served from
+      const url = async (fileName, variant) => {
+        if (!isBuild) {
+          devVariants.set(fileName, variant);
+          return `${DEV_PREFIX}${fileName}`;
+        }
+        const assetName = `assets/images/${fileName}`;
+        // The pre-render build links to the files the browser build emitted
+        if (!isSsrBuild) this.emitFile({ type: 'asset', fileName: assetName, source: await variantData(variant) });
+        return `${base}${assetName}`;
+      };
+
+      const manifest = {};
+      for (const name of listImages(imagesDir)) {
+        manifest[name] = await describe(name, url);
+      }
+      return `export default ${JSON.stringify(manifest)};`;
+    },
+
+    // Before esbuild compiles the JSX away
+    transform: {
+      order: 'pre',
+      handler(code, id) {
+        if (isSsrBuild || !id.startsWith(root) || !id.endsWith('.jsx') || !code.includes('<ResponsiveImage')) return;
+        const file = path.relative(root, id);
+        const references = [...code.matchAll(COMPONENT_REFERENCE)].map(([, image]) => ({ image, file }));
+        warnMissing(message => logger.warn(message), references);
+      },
+    },
+
+    handleHotUpdate({ file, server }) {
+      const isImage = file.startsWith(imagesDir + path.sep);
+      const isContent = path.dirname(file) === path.resolve(root, contentDir) && file.endsWith('.json');
+      if (!isImage && !isContent) return;
+      const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (!mod) return;
+      server.moduleGraph.invalidateModule(mod);
+      if (isImage) {
+        server.ws.send({ type: 'full-reload' });
+        return [];
+      }
+    },
+  };
+}
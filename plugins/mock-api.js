@@ -0,0 +1,69 @@
+import subscriptions from '../mock/subscriptions.js';
+import showAndTell from '../mock/showAndTell.js';
+
+// Handlers keyed by "METHOD /path". Each receives { body, origin, log } and
+// returns [statusCode, jsonBody].
+const ROUTES = { ...subscriptions, ...showAndTell };
+
+class BadRequestError extends Error {}
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('error', reject);
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch {
+      reject(new BadRequestError('The request body is not valid JSON.'));
+    }
+  });
+});
+
+const send = (res, status, payload) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * PLUGIN: mockApi
+ * Serves the handlers in mock/ from the dev and preview servers so forms work
+ * without a backend. Disabled when `enabled` is false (real endpoints are set).
+ */
+export default function mockApi({ enabled = true } = {}) {
+  const attach = (server, logger) => {
+    server.middlewares.use(async (req, res, next) => {
+      const handler = ROUTES[`${req.method} ${req.url.split('?')[0]}`];
+      if (!handler) return next();
+
+      const origin = `http://${req.headers.host}`;
+      try {
+        const [status, payload] = await handler({
+          body: await readBody(req),
+          origin,
+          log: (message) => logger.info(`[mock-api] ${message}`, { timestamp: true }),
+        });
+        send(res, status, payload);
+      } catch (err) {
+        if (err instanceof BadRequestError) {
+          send(res, 400, { error: 'invalid-request', message: err.message });
+          return;
+        }
+        logger.error(`[mock-api] ${req.method} ${req.url} failed: ${err.stack || err}`, { timestamp: true });
+        send(res, 500, { error: 'server', message: 'Something went wrong. Please try again later.' });
+      }
+    });
+  };
+
+  return {
+    name: 'mock-api',
+    apply: () => enabled,
+    configureServer(server) {
+      attach(server, server.config.logger);
+    },
+    configurePreviewServer(server) {
+      attach(server, server.config.logger);
+    },
+  };
+}
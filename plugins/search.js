@@ -0,0 +1,42 @@
+import path from 'node:path';
+import { loadContent } from './content.js';
+import { buildSearchIndex } from '../src/lib/search.js';
+
+const VIRTUAL_ID = 'virtual:search-index';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+/**
+ * PLUGIN: siteSearch
+ * Builds the command palette's index (see src/lib/search.js) from the files
+ * in src/content and exposes it as `virtual:search-index`. Invalid content is
+ * left for siteContent to report, so the index is simply empty then.
+ */
+export default function siteSearch({ dir = 'src/content' } = {}) {
+  let contentDir;
+
+  return {
+    name: 'site-search',
+
+    configResolved(config) {
+      contentDir = path.resolve(config.root, dir);
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+
+      const { content, problems } = loadContent(contentDir);
+      const index = problems.length ? [] : buildSearchIndex(content);
+      return `export default ${JSON.stringify(index)};`;
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (path.dirname(file) !== contentDir || !file.endsWith('.json')) return;
+      const mod = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (mod) server.moduleGraph.invalidateModule(mod);
+    },
+  };
+}
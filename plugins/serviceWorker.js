@@ -0,0 +1,62 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { DOWNLOADS_CACHE, DOWNLOADS_PATH } from '../src/lib/offline.js';
+
+/**
+ * PLUGIN: serviceWorker
+ * Writes dist/sw.js for production builds: `source` (src/sw.js) with a
+ * SW_CONFIG declaration in front naming what to precache. The shell is the
+ * root page, every script and stylesheet of the build and the files at the
+ * top of public/ (the icon and manifest); image variants and public/downloads
+ * are left to be cached on demand.
+ *
+ * `version` hashes the precache list and the worker itself, so any change to
+ * either installs a new worker, which the page offers as an update. Hosts
+ * should serve /sw.js without long-lived caching so browsers see it.
+ */
+export default function serviceWorker({ source = 'src/sw.js', fileName = 'sw.js' } = {}) {
+  let root;
+  let base;
+  let publicDir;
+  let enabled = false;
+
+  return {
+    name: 'service-worker',
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+      publicDir = config.publicDir;
+      // The pre-render build only produces HTML for the browser build's assets
+      enabled = config.command === 'build' && !config.build.ssr;
+    },
+
+    generateBundle(options, bundle) {
+      if (!enabled) return;
+
+      const built = Object.keys(bundle).filter(file => /\.(js|css)$/.test(file));
+      const publicFiles = publicDir && fs.existsSync(publicDir)
+        ? fs.readdirSync(publicDir, { withFileTypes: true }).filter(entry => entry.isFile()).map(entry => entry.name)
+        : [];
+      // The root page first: src/sw.js falls back to it for any route
+      const precache = [base, ...[...built, ...publicFiles].sort().map(file => `${base}${file}`)];
+
+      const worker = fs.readFileSync(path.resolve(root, source), 'utf8');
+      const version = crypto.createHash('sha256').update(JSON.stringify(precache)).update(worker).digest('hex').slice(0, 12);
+      const config = {
+        version,
+        precache,
+        downloadsCache: DOWNLOADS_CACHE,
+        downloadsPath: `${base}${DOWNLOADS_PATH.slice(1)}`,
+        imagesPath: `${base}assets/images/`,
+      };
+
+      this.emitFile({
+        type: 'asset',
+        fileName,
+        source: `const SW_CONFIG = ${JSON.stringify(config, null, 2)};\n\n${worker}`,
+      });
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const VIRTUAL_ID = 'virtual:site-stats';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const FETCH_TIMEOUT_MS = 5000;
+
+const fetchJSON = async (url, headers = {}) => {
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`${url} answered ${res.status}`);
+  return res.json();
+};
+
+// Each provider turns the part of a source after the colon into a number.
+// `community` is fetched once per build, however many stats read from it.
+const PROVIDERS = {
+  github: async (repo, { token }) => {
+    const headers = { Accept: 'application/vnd.github+json', 'User-Agent': 'tinyml4d-site' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const data = await fetchJSON(`https://api.github.com/repos/${repo}`, headers);
+    return data.stargazers_count;
+  },
+  community: async (key, { community }) => {
+    if (!community) throw new Error('no community stats file configured (STATS_COMMUNITY_URL)');
+    return (await community)[key];
+  },
+};
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const readJSONFile = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+
+// Whichever of the build cache and the committed snapshot was written last
+const readLatest = (files) => {
+  const [latest] = files.filter(fs.existsSync).sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return latest ? readJSONFile(latest, { values: {} }) : { values: {} };
+};
+
+/**
+ * Sources in stats.json that a provider can fetch. Other sources
+ * (events:sessions) are counted from content in the browser.
+ */
+export const fetchableSources = (stats = []) => (
+  [...new Set(stats.map(stat => stat.source).filter(source => source && PROVIDERS[source.split(':')[0]]))]
+);
+
+/**
+ * Fetch every source once. Returns the snapshot with fresh values merged in
+ * and the sources that could not be refreshed, which keep their last known
+ * value (or none, so the page falls back to stats.json).
+ */
+export const refreshStats = async (sources, previous, { offline, fixture, communityUrl, token }) => {
+  const values = { ...previous.values };
+  const failed = [];
+  const now = new Date().toISOString();
+  const community = communityUrl ? fetchJSON(communityUrl) : null;
+  // Keep a failed community fetch from surfacing as an unhandled rejection
+  if (community) community.catch(() => {});
+
+  await Promise.all(sources.map(async (source) => {
+    const [provider, key] = [source.slice(0, source.indexOf(':')), source.slice(source.indexOf(':') + 1)];
+    try {
+      const value = offline ? fixture[source] : await PROVIDERS[provider](key, { token, community });
+      if (!isCount(value)) throw new Error(`got ${JSON.stringify(value)} instead of a count`);
+      values[source] = { value, updatedAt: offline ? fixture.updatedAt : now };
+    } catch (err) {
+      failed.push(`${source}: ${err.message}`);
+    }
+  }));
+
+  return { snapshot: { values }, failed };
+};
+
+/**
+ * PLUGIN: siteStats
+ * Exposes live numbers for the stats section as `virtual:site-stats`
+ * ({ values: { [source]: { value, updatedAt } } }). Stats in stats.json name a
+ * `source` such as "github:owner/repo" or "community:countries".
+ *
+ * Builds fetch every source and keep the result in `cache`, outside the
+ * working tree, so a build never leaves uncommitted changes. `snapshot` is
+ * committed and only rewritten by `npm run stats` (scripts/refresh-stats.mjs);
+ * it is the fallback when nothing has been fetched yet, and a failed fetch
+ * keeps the last known value from either file. With `offline` the values come
+ * from `fixture` instead of the network. The dev server only reads the newer
+ * of the two files, and so does the pre-render build (scripts/prerender.mjs),
+ * which runs right after the browser build has refreshed the cache.
+ */
+export default function siteStats({
+  content = 'src/content/stats.json',
+  snapshot = 'src/content/stats-snapshot.json',
+  cache = 'node_modules/.cache/site-stats/stats-snapshot.json',
+  fixture = 'mock/stats.json',
+  offline = false,
+  communityUrl,
+  token,
+} = {}) {
+  let root;
+  let isBuild = false;
+  let isSsrBuild = false;
+  let refreshed = null;
+
+  const file = (relative) => path.resolve(root, relative);
+
+  return {
+    name: 'site-stats',
+
+    configResolved(config) {
+      root = config.root;
+      isBuild = config.command === 'build';
+      isSsrBuild = Boolean(config.build.ssr);
+    },
+
+    async buildStart() {
+      // Offline values come from the fixture, so both builds can compute them
+      if (!isBuild || (isSsrBuild && !offline)) return;
+
+      // An invalid stats.json is reported by siteContent; just skip the refresh
+      const { stats } = readJSONFile(file(content), {});
+      const sources = fetchableSources(stats);
+      if (!sources.length) return;
+
+      const previous = readLatest([file(cache), file(snapshot)]);
+      const { snapshot: next, failed } = await refreshStats(sources, previous, {
+        offline,
+        fixture: offline ? readJSONFile(file(fixture), {}) : null,
+        communityUrl,
+        token,
+      });
+
+      failed.forEach(problem => this.warn(`Could not refresh ${problem}; using the last known value`));
+      if (!offline && failed.length < sources.length) {
+        fs.mkdirSync(path.dirname(file(cache)), { recursive: true });
+        fs.writeFileSync(file(cache), `${JSON.stringify(next, null, 2)}\n`);
+      }
+      refreshed = next;
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return;
+      const data = refreshed || readLatest([file(cache), file(snapshot)]);
+      return `export default ${JSON.stringify(data)};`;
+    },
+  };
+}
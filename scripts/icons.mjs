@@ -0,0 +1,47 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+/**
+ * ICONS
+ * Renders public/icon.svg into the PNG icons that installing the site needs:
+ *
+ *   npm run icons
+ *
+ *   icon-192.png, icon-512.png   manifest icons (Chrome's install criteria)
+ *   icon-maskable-512.png        manifest icon Android may crop to a circle
+ *   apple-touch-icon.png         home screen icon on iOS
+ *
+ * The PNGs are committed; run this again after changing icon.svg.
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = path.join(root, 'public');
+const source = path.join(publicDir, 'icon.svg');
+// background_color in public/manifest.webmanifest
+const BACKGROUND = '#f8fafc';
+
+// `scale` is the share of the side the mark takes; maskable icons keep it
+// inside the central 80% safe zone, and iOS fills transparency with black.
+// On a background the mark is trimmed to its squares and centred.
+const ICONS = [
+  { file: 'icon-192.png', size: 192, scale: 1 },
+  { file: 'icon-512.png', size: 512, scale: 1 },
+  { file: 'icon-maskable-512.png', size: 512, scale: 0.6, background: BACKGROUND },
+  { file: 'apple-touch-icon.png', size: 180, scale: 0.8, background: BACKGROUND },
+];
+
+for (const { file, size, scale, background } of ICONS) {
+  const inner = Math.round(size * scale);
+  const pad = Math.floor((size - inner) / 2);
+  let mark = sharp(source, { density: 72 * (size / 32) });
+  if (background) mark = sharp(await mark.trim().png().toBuffer());
+  mark = await mark.resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  await sharp({
+    create: { width: size, height: size, channels: 4, background: background || { r: 0, g: 0, b: 0, alpha: 0 } },
+  })
+    .composite([{ input: mark, left: pad, top: pad }])
+    .png({ compressionLevel: 9 })
+    .toFile(path.join(publicDir, file));
+  console.log(`wrote public/${file} (${size}x${size})`);
+}
@@ -0,0 +1,79 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { build, loadEnv } from 'vite';
+
+/**
+ * PRERENDER
+ * Runs after `vite build` (see the build script in package.json): builds
+ * src/entry-server.jsx for Node, renders every route from prerenderPaths()
+ * and writes it into a copy of dist/index.html with the route's title,
+ * description and Open Graph tags, so crawlers and slow connections get real
+ * HTML. main.jsx then hydrates it.
+ *
+ *   /            -> dist/index.html
+ *   /learn/book  -> dist/learn/book/index.html
+ *   /404         -> dist/404.html
+ *
+ * SITE_URL (e.g. https://tinyml4d.org) adds canonical links and og:url.
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dist = path.join(root, 'dist');
+const ssrOut = path.join(root, 'dist-ssr');
+
+const ROOT_ELEMENT = '<div id="root"></div>';
+const TITLE = /<title>.*?<\/title>/;
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+const outputFile = (route, notFoundPath) => {
+  if (route === notFoundPath) return path.join(dist, '404.html');
+  return path.join(dist, route, 'index.html');
+};
+
+const template = await fs.readFile(path.join(dist, 'index.html'), 'utf8');
+if (!template.includes(ROOT_ELEMENT) || !TITLE.test(template)) {
+  throw new Error(`dist/index.html needs an empty ${ROOT_ELEMENT} and a <title> to pre-render into`);
+}
+
+await build({
+  root,
+  logLevel: 'warn',
+  build: {
+    ssr: 'src/entry-server.jsx',
+    outDir: ssrOut,
+    emptyOutDir: true,
+    rollupOptions: {
+      // The components' `import React` is only there for the client's JSX transform
+      onwarn: (warning, warn) => {
+        if (warning.code !== 'UNUSED_EXTERNAL_IMPORT') warn(warning);
+      },
+    },
+  },
+});
+
+try {
+  const { render, preloadAll, prerenderPaths, headTags, NOT_FOUND_PATH } = await import(
+    pathToFileURL(path.join(ssrOut, 'entry-server.js')).href
+  );
+  // Route pages and effects are split into chunks (src/routes.js)
+  await preloadAll();
+  const siteUrl = loadEnv('production', root, '').SITE_URL || '';
+  const renderedAt = Date.now();
+
+  for (const route of prerenderPaths()) {
+    const { html, meta } = render(route, renderedAt);
+    const page = template
+      .replace(TITLE, () => headTags(meta, { path: route, siteUrl }))
+      .replace(ROOT_ELEMENT, () => (
+        `<div id="root" data-path="${escapeAttribute(route)}" data-rendered-at="${renderedAt}">${html}</div>`
+      ));
+    const file = outputFile(route, NOT_FOUND_PATH);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, page);
+    console.log(`pre-rendered ${route} -> ${path.relative(root, file)}`);
+  }
+} finally {
+  await fs.rm(ssrOut, { recursive: true, force: true });
+}
@@ -0,0 +1,134 @@
+import { deflateSync } from 'node:zlib';
+
+/**
+ * RASTER
+ * Just enough of CanvasRenderingContext2D for scripts/snapshot.mjs to run the
+ * site's canvas effects in Node: solid #rrggbb fills of axis-aligned
+ * rectangles, a scale/translate transform and globalAlpha. Pixels are RGBA
+ * bytes, so two renders of the same seed compare byte for byte.
+ */
+
+const parseColor = (value) => {
+  const match = /^#([0-9a-f]{6})$/i.exec(value);
+  if (!match) throw new Error(`raster: unsupported colour "${value}"`);
+  const n = parseInt(match[1], 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+const createContext = (canvas) => {
+  let transform = [1, 0, 0, 1, 0, 0];
+  let path = [];
+  let color = [0, 0, 0];
+
+  const fillRectDevice = (x, y, w, h) => {
+    const [a, , , d, e, f] = transform;
+    const x0 = Math.max(0, Math.round(x * a + e));
+    const y0 = Math.max(0, Math.round(y * d + f));
+    const x1 = Math.min(canvas.width, Math.round((x + w) * a + e));
+    const y1 = Math.min(canvas.height, Math.round((y + h) * d + f));
+    const alpha = ctx.globalAlpha;
+    const { data } = canvas;
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const k = (py * canvas.width + px) * 4;
+        for (let c = 0; c < 3; c++) data[k + c] = Math.round(data[k + c] * (1 - alpha) + color[c] * alpha);
+        data[k + 3] = 255;
+      }
+    }
+  };
+
+  const ctx = {
+    globalAlpha: 1,
+
+    set fillStyle(value) {
+      color = parseColor(value);
+    },
+
+    setTransform(a, b, c, d, e, f) {
+      if (b || c) throw new Error('raster: only scale and translate transforms are supported');
+      transform = [a, b, c, d, e, f];
+    },
+
+    fillRect: fillRectDevice,
+
+    beginPath() {
+      path = [];
+    },
+
+    rect(x, y, w, h) {
+      path.push([x, y, w, h]);
+    },
+
+    fill() {
+      path.forEach(rect => fillRectDevice(...rect));
+    },
+  };
+  return ctx;
+};
+
+/** A canvas-like object with a 2D context; `data` holds its RGBA pixels. */
+export const createRasterCanvas = (width, height) => {
+  const canvas = {
+    data: new Uint8ClampedArray(width * height * 4),
+    get width() {
+      return width;
+    },
+    set width(value) {
+      width = value;
+      canvas.data = new Uint8ClampedArray(width * height * 4);
+    },
+    get height() {
+      return height;
+    },
+    set height(value) {
+      height = value;
+      canvas.data = new Uint8ClampedArray(width * height * 4);
+    },
+  };
+  const ctx = createContext(canvas);
+  canvas.getContext = () => ctx;
+  return canvas;
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (const byte of bytes) c = CRC_TABLE[(c ^ byte) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, body) => {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+};
+
+/** The canvas as an 8-bit RGBA PNG. */
+export const encodePng = (canvas) => {
+  const { width, height, data } = canvas;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  // Filter type 0 (none) in front of every row
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, y * width * 4, width * 4).copy(rows, y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(rows)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
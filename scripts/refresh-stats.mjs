@@ -0,0 +1,53 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadEnv } from 'vite';
+import { fetchableSources, refreshStats } from '../plugins/stats.js';
+
+/**
+ * REFRESH STATS
+ * Rewrites the committed fallback for the stats section,
+ * src/content/stats-snapshot.json, with live numbers:
+ *
+ *   npm run stats
+ *
+ * Builds keep their fetched numbers in node_modules/.cache (see
+ * plugins/stats.js); this is the only thing that changes the committed file.
+ * Reads STATS_COMMUNITY_URL and GITHUB_TOKEN from the environment or .env
+ * files, like the build. Exits with 1 when no source could be fetched.
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const snapshotFile = path.join(root, 'src/content/stats-snapshot.json');
+const env = loadEnv('production', root, '');
+
+const readJSON = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+};
+
+const { stats } = await readJSON(path.join(root, 'src/content/stats.json'), {});
+const sources = fetchableSources(stats);
+if (!sources.length) {
+  console.log('No stats in src/content/stats.json name a fetchable source.');
+  process.exit(0);
+}
+
+const previous = await readJSON(snapshotFile, { values: {} });
+const { snapshot, failed } = await refreshStats(sources, previous, {
+  offline: false,
+  communityUrl: env.STATS_COMMUNITY_URL,
+  token: env.GITHUB_TOKEN,
+});
+
+failed.forEach(problem => console.warn(`Could not refresh ${problem}; keeping the last known value`));
+if (failed.length === sources.length) {
+  console.error('No stats could be refreshed; src/content/stats-snapshot.json is unchanged.');
+  process.exit(1);
+}
+
+await fs.writeFile(snapshotFile, `${JSON.stringify(snapshot, null, 2)}\n`);
+console.log(`Refreshed ${sources.length - failed.length} of ${sources.length} stats in src/content/stats-snapshot.json`);
@@ -0,0 +1,139 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+import { createRasterCanvas, encodePng } from './raster.mjs';
+
+/**
+ * SNAPSHOT
+ * Headless renders of the seeded visuals for visual regression checks:
+ *
+ *   npm run snapshot                         compare every default case
+ *   npm run snapshot -- --update             rewrite the stored images
+ *   npm run snapshot -- --seed 7 --scroll 640 --progress 0.5
+ *
+ * `pixels` is PixelBackground's grid (src/lib/pixelGrid.js) drawn at a scroll
+ * offset, with a fixed brush stroke so the seeded colours show. `particles`
+ * is ParticleMorphScene's default cube-to-sphere morph at a progress through
+ * its section, drawn as the poster quality tier draws it (drawParticles in
+ * src/lib/morphScene.js): not what WebGL draws, but it moves whenever the
+ * seed, shapes or easing change.
+ *
+ * Images live in snapshots/. A mismatch is written next to the stored image
+ * as *.actual.png and the script exits with 1.
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WIDTH = 480;
+const HEIGHT = 320;
+const DEFAULT_SEED = '1';
+const DEFAULT_SCROLLS = [0, 640];
+const DEFAULT_PROGRESS = [0, 0.35, 0.8, 1];
+
+const { values: args } = parseArgs({
+  options: {
+    seed: { type: 'string', default: DEFAULT_SEED },
+    scroll: { type: 'string', multiple: true },
+    progress: { type: 'string', multiple: true },
+    theme: { type: 'string', default: 'light' },
+    out: { type: 'string', default: 'snapshots' },
+    update: { type: 'boolean', default: false },
+  },
+});
+
+const toNumbers = (list, fallback) => (list ? list.map(Number) : fallback);
+
+// The grid only draws through requestAnimationFrame; flush() draws instead
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+
+const server = await createServer({
+  root,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+});
+const load = (file) => server.ssrLoadModule(path.join(root, file));
+
+const renderPixels = async ({ seed, scroll, theme }) => {
+  const { createPixelRenderer } = await load('src/lib/pixelGrid.js');
+  const canvas = createRasterCanvas(WIDTH, HEIGHT);
+  const renderer = createPixelRenderer(canvas, { ...theme.pixels, cellSize: 12, radius: 3, seed });
+  renderer.resize(WIDTH, HEIGHT);
+  for (let x = 40; x < WIDTH - 40; x += 24) renderer.paint(x, HEIGHT / 2 + Math.sin(x / 60) * 80);
+  renderer.setScroll(scroll);
+  renderer.flush();
+  renderer.destroy();
+  return canvas;
+};
+
+const renderParticles = async ({ seed, progress, theme }) => {
+  const { randomFor } = await load('src/lib/random.js');
+  const { keyframeSegment } = await load('src/lib/shapes.js');
+  const { createMorphParticles } = await load('src/lib/morphParticles.js');
+  const { DEFAULT_KEYFRAMES, PARTICLE_SIZE, createMorphTargets, drawParticles } = await load('src/lib/morphScene.js');
+
+  // Same count and draw order as ParticleMorphScene
+  const count = 8 ** 3;
+  const random = randomFor(seed, 'particles');
+  const targets = createMorphTargets(DEFAULT_KEYFRAMES, count, random);
+  const particles = createMorphParticles({ count, particleSize: PARTICLE_SIZE, colors: theme.particles.colors, random });
+  const segment = keyframeSegment(DEFAULT_KEYFRAMES, progress);
+  particles.setShapes(targets[segment.from], targets[segment.to]);
+  const { positions, colors } = particles.sample(segment.t);
+  particles.dispose();
+
+  const canvas = createRasterCanvas(WIDTH, HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = theme.ui['slate-50'];
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  drawParticles(ctx, { positions, colors, width: WIDTH, height: HEIGHT });
+  return canvas;
+};
+
+const check = async (name, canvas) => {
+  const file = path.resolve(root, args.out, `${name}.png`);
+  const actual = encodePng(canvas);
+  const expected = await fs.readFile(file).catch(() => null);
+
+  if (args.update || !expected) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, actual);
+    console.log(`${expected ? 'updated' : 'wrote'}  ${path.relative(root, file)}`);
+    return true;
+  }
+  if (expected.equals(actual)) {
+    console.log(`ok     ${path.relative(root, file)}`);
+    return true;
+  }
+  const actualFile = file.replace(/\.png$/, '.actual.png');
+  await fs.writeFile(actualFile, actual);
+  console.error(`FAIL   ${path.relative(root, file)} (see ${path.relative(root, actualFile)})`);
+  return false;
+};
+
+let failed = false;
+try {
+  const { THEMES } = await load('src/lib/themeTokens.js');
+  const theme = THEMES[args.theme];
+  if (!theme) throw new Error(`Unknown theme "${args.theme}"`);
+  const { seed } = args;
+  const suffix = args.theme === 'light' ? '' : `-${args.theme}`;
+
+  for (const scroll of toNumbers(args.scroll, DEFAULT_SCROLLS)) {
+    const canvas = await renderPixels({ seed, scroll, theme });
+    if (!(await check(`pixels-seed${seed}-scroll${scroll}${suffix}`, canvas))) failed = true;
+  }
+  for (const progress of toNumbers(args.progress, DEFAULT_PROGRESS)) {
+    const canvas = await renderParticles({ seed, progress, theme });
+    if (!(await check(`particles-seed${seed}-progress${progress}${suffix}`, canvas))) failed = true;
+  }
+} catch (error) {
+  console.error(error);
+  failed = true;
+} finally {
+  await server.close();
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { useReducedMotion } from '../context/motion';
+import { useRandom } from '../context/random';
+import { resolveScrollSource } from '../lib/scrollSource';
+import { themeColor } from '../lib/themeTokens';
+
+/**
+ * COMPONENT: AnimatedLogo
+ * Two semi-transparent squares that randomly jitter and overlap on scroll.
+ * Sits still when motion is reduced. Square colours come from the theme
+ * (logo-primary / logo-secondary in src/lib/themeTokens.js), set inline so
+ * they need no Tailwind colours; pages without the theme variables get the
+ * light theme's. The jitter is seeded in deterministic mode (`seed`, or the
+ * RandomProvider's seed).
+ *
+ * Props, all optional; the defaults are this site's logo:
+ * - `size`: width and height in CSS pixels (40); the squares are 60% of it
+ * - `jitter`: how far each square can move, in CSS pixels (12)
+ * - `rotation`: how far each square can turn, in degrees (60)
+ * - `colors`: [first, second] CSS colours in place of the theme's
+ * - `scrollSource`: element, or ref to one, whose scrolling moves the squares (window)
+ */
+const RESTING = { x1: 0, y1: 0, r1: 0, x2: 0, y2: 0, r2: 0 };
+
+const SIZE = 40;
+const JITTER = 12;
+const ROTATION = 60;
+// Share of the logo each square covers
+const SQUARE_SCALE = 0.6;
+const THEME_COLORS = [themeColor('logo-primary', 0.7), themeColor('logo-secondary', 0.7)];
+
+const AnimatedLogo = ({ seed, size = SIZE, jitter = JITTER, rotation = ROTATION, colors, scrollSource }) => {
+  const [offsets, setOffsets] = useState(RESTING);
+  const reducedMotion = useReducedMotion();
+  const random = useRandom('logo', seed);
+
+  useEffect(() => {
+    if (reducedMotion) {
+      setOffsets(RESTING);
+      return;
+    }
+
+    const source = resolveScrollSource(scrollSource);
+    const handleScroll = () => {
+      // Generate chaotic random offsets based on scroll
+      // Reduced range slightly but sped up transition for responsive feel
+      setOffsets({
+        x1: (random() - 0.5) * jitter,
+        y1: (random() - 0.5) * jitter,
+        r1: (random() - 0.5) * rotation, // Clear rotation
+        x2: (random() - 0.5) * jitter,
+        y2: (random() - 0.5) * jitter,
+        r2: (random() - 0.5) * rotation,
+      });
+    };
+
+    source.addEventListener('scroll', handleScroll);
+    return () => source.removeEventListener('scroll', handleScroll);
+  }, [reducedMotion, random, jitter, rotation, scrollSource]);
+
+  const square = size * SQUARE_SCALE;
+
+  return (
+    // Changed duration to 300ms for responsiveness (no lag)
+    <div className="relative flex items-center justify-center" style={{ width: size, height: size }}>
+      {/* Square 1: Blue */}
+      <div
+        className={`absolute rounded-sm backdrop-blend-multiply transition-all duration-300 ease-out${colors ? ' opacity-70' : ''}`}
+        style={{
+          width: square,
+          height: square,
+          backgroundColor: (colors || THEME_COLORS)[0],
+          transform: `translate(${offsets.x1}px, ${offsets.y1}px) rotate(${offsets.r1}deg)`,
+        }}
+      />
+      {/* Square 2: Red/Pink Accent */}
+      <div
+        className={`absolute rounded-sm backdrop-blend-multiply transition-all duration-300 ease-out${colors ? ' opacity-70' : ''}`}
+        style={{
+          width: square,
+          height: square,
+          backgroundColor: (colors || THEME_COLORS)[1],
+          transform: `translate(${offsets.x2}px, ${offsets.y2}px) rotate(${offsets.r2}deg)`,
+        }}
+      />
+    </div>
+  );
+};
+
+export default AnimatedLogo;
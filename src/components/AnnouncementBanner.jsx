@@ -0,0 +1,58 @@
+import React from 'react';
+import { X, ArrowRight } from 'lucide-react';
+import SubscribeForm from './SubscribeForm';
+import ContentLink from './ContentLink';
+import { useTranslation } from '../context/locale';
+
+/**
+ * COMPONENT: AnnouncementBanner
+ * Non-blocking presentation of an announcement: a bar along the bottom of
+ * the viewport that leaves the page usable. Dismissing it or following its
+ * link calls `onClose`, which retires the announcement.
+ */
+const AnnouncementBanner = ({ announcement, onClose }) => {
+  const t = useTranslation();
+  if (!announcement) return null;
+  const { badge, title, body, cta } = announcement;
+
+  return (
+    <section
+      aria-label={t('announcement.label')}
+      className="fixed bottom-0 inset-x-0 z-40 border-t border-slate-200 bg-surface/95 backdrop-blur-md shadow-[0_-8px_24px_rgba(15,23,42,0.08)]"
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex flex-col md:flex-row md:items-center gap-4 pe-12 relative">
+        <div className="flex-1 min-w-0">
+          <p className="text-sm text-slate-900">
+            {badge && <span className="me-2 px-2 py-0.5 bg-blue-100 text-blue-700 text-[10px] font-bold uppercase tracking-wider rounded-full align-middle">{badge}</span>}
+            <span className="font-bold">{title}</span>
+          </p>
+          <p className="text-sm text-slate-600">{body}</p>
+        </div>
+        {cta && cta.type === 'subscribe' && (
+          <div className="md:w-96">
+            <SubscribeForm source="banner" />
+          </div>
+        )}
+        {cta && cta.type === 'link' && (
+          <ContentLink
+            href={cta.href}
+            onClick={onClose}
+            className="inline-flex items-center gap-2 self-start md:self-auto px-5 py-2.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-sm transition-colors whitespace-nowrap"
+          >
+            {cta.label}
+            <ArrowRight size={16} className="rtl:rotate-180" />
+          </ContentLink>
+        )}
+        <button
+          onClick={onClose}
+          className="absolute top-4 end-4 text-slate-400 hover:text-slate-900 transition-colors"
+          aria-label={t('announcement.dismiss')}
+        >
+          <X size={20} />
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default AnnouncementBanner;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import SubscribeForm from './SubscribeForm';
+import ContentLink from './ContentLink';
+import { useTranslation } from '../context/locale';
+
+/**
+ * COMPONENT: AnnouncementModal
+ * Blocking presentation of an announcement from src/content/announcements.json
+ * (see useAnnouncements for which one, and when). Closing it or following
+ * its link calls `onClose`, which retires the announcement.
+ */
+const AnnouncementModal = ({ announcement, onClose }) => {
+  const t = useTranslation();
+  if (!announcement) return null;
+  const { id, badge, title, body, cta } = announcement;
+  const titleId = `announcement-${id}-title`;
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/60 dark:bg-black/60 backdrop-blur-sm transition-opacity" onClick={onClose} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        className="relative bg-surface p-8 max-w-md w-full rounded-sm shadow-2xl animate-in fade-in zoom-in duration-300 border-s-4 border-blue-600"
+      >
+        <button onClick={onClose} className="absolute top-4 end-4 text-slate-400 hover:text-slate-900 transition-colors" aria-label={t('modal.close')}>
+          <X size={24} />
+        </button>
+        <div className="mb-6">
+          {badge && (
+            <span className="inline-block px-3 py-1 bg-blue-100 text-blue-700 text-xs font-bold uppercase tracking-wider rounded-full mb-3">
+              {badge}
+            </span>
+          )}
+          <h2 id={titleId} className="text-2xl font-bold text-slate-900 mb-3">{title}</h2>
+          <p className="text-slate-600 leading-relaxed text-sm">
+            {body}
+          </p>
+        </div>
+        {cta && cta.type === 'subscribe' && <SubscribeForm source="modal" variant="modal" />}
+        {cta && cta.type === 'link' && (
+          <ContentLink
+            href={cta.href}
+            onClick={onClose}
+            className="block w-full py-3 text-center bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-sm transition-colors shadow-lg shadow-blue-500/30"
+          >
+            {cta.label}
+          </ContentLink>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnnouncementModal;
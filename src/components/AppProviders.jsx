@@ -0,0 +1,27 @@
+import React from 'react';
+import { LocaleProvider } from '../context/locale';
+import { ThemeProvider } from '../context/theme';
+import { MotionPreferenceProvider } from '../context/motion';
+import { RandomProvider } from '../context/random';
+import { RenderQualityProvider } from '../context/quality';
+
+/**
+ * COMPONENT: AppProviders
+ * The context providers around App, shared by the browser entry (main.jsx)
+ * and the pre-render entry (entry-server.jsx) so both render the same tree.
+ */
+const AppProviders = ({ children }) => (
+  <LocaleProvider>
+    <ThemeProvider>
+      <MotionPreferenceProvider>
+        <RandomProvider>
+          <RenderQualityProvider>
+            {children}
+          </RenderQualityProvider>
+        </RandomProvider>
+      </MotionPreferenceProvider>
+    </ThemeProvider>
+  </LocaleProvider>
+);
+
+export default AppProviders;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, FileText, Link as LinkIcon, CalendarDays, ExternalLink } from 'lucide-react';
+import searchEntries from 'virtual:search-index';
+import { useLocale } from '../context/locale';
+import { searchIndex } from '../lib/search';
+
+const TYPE_ICONS = { page: FileText, link: LinkIcon, event: CalendarDays, resource: ExternalLink };
+
+// Title with the fuzzy-matched letters emphasised
+const Highlighted = ({ text, indices }) => {
+  if (!indices.length) return text;
+  const marked = new Set(indices);
+  return [...text].map((char, i) => (marked.has(i)
+    ? <mark key={i} className="bg-transparent text-blue-600 font-extrabold">{char}</mark>
+    : char));
+};
+
+/**
+ * COMPONENT: CommandPalette
+ * Site-wide search over the build-time index from plugins/search.js: pages,
+ * navigation links, upcoming events and external resources. Arrow keys move
+ * through the results, Enter opens one and Escape closes the palette.
+ * `onOpenChange` reports the change. The Ctrl+K / Cmd+K shortcut lives in
+ * App, which only loads the palette once search is first opened.
+ */
+const CommandPalette = ({ isOpen, onOpenChange }) => {
+  const { t, locale } = useLocale();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const returnFocusRef = useRef(null);
+
+  // Start fresh each time, and hand focus back to whatever opened the palette
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    returnFocusRef.current = document.activeElement;
+    setQuery('');
+    setActiveIndex(0);
+    inputRef.current?.focus();
+    return () => {
+      if (returnFocusRef.current && typeof returnFocusRef.current.focus === 'function') returnFocusRef.current.focus();
+    };
+  }, [isOpen]);
+
+  // Sessions that have already started are left to the calendar's past list
+  const entries = useMemo(() => {
+    const now = Date.now();
+    return searchEntries.filter(entry => entry.type !== 'event' || Date.parse(entry.date) > now);
+  }, []);
+  const results = useMemo(() => searchIndex(entries, query), [entries, query]);
+
+  const dateFormat = useMemo(() => new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short', year: 'numeric' }), [locale]);
+
+  useEffect(() => {
+    const active = listRef.current && listRef.current.querySelector('[aria-selected="true"]');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex, results]);
+
+  if (!isOpen) return null;
+
+  const close = () => onOpenChange(false);
+
+  const open = ({ entry }) => {
+    close();
+    if (entry.href.startsWith('/')) navigate(entry.href);
+    else if (/^https?:\/\//.test(entry.href)) window.open(entry.href, '_blank', 'noopener,noreferrer');
+    else window.location.href = entry.href;
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => (results.length ? (i + 1) % results.length : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => (results.length ? (i - 1 + results.length) % results.length : 0));
+    } else if (e.key === 'Home' && e.ctrlKey) {
+      e.preventDefault();
+      setActiveIndex(0);
+    } else if (e.key === 'End' && e.ctrlKey) {
+      e.preventDefault();
+      setActiveIndex(Math.max(0, results.length - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[activeIndex]) open(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'Tab') {
+      // Focus stays in the search field while the palette is open
+      e.preventDefault();
+    }
+  };
+
+  const optionId = (i) => `command-palette-option-${i}`;
+
+  return (
+    <div className="fixed inset-0 z-[110] flex items-start justify-center px-4 pt-[12vh]">
+      <div className="absolute inset-0 bg-slate-900/60 dark:bg-black/60 backdrop-blur-sm" onClick={close} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('search.title')}
+        className="relative w-full max-w-xl bg-surface rounded-sm shadow-2xl border border-slate-200 overflow-hidden"
+      >
+        <div className="flex items-center gap-3 px-4 border-b border-slate-200">
+          <Search size={18} className="text-slate-400 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            type="text"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-results"
+            aria-activedescendant={results[activeIndex] ? optionId(activeIndex) : undefined}
+            aria-autocomplete="list"
+            aria-label={t('search.title')}
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setActiveIndex(0); }}
+            onKeyDown={onKeyDown}
+            placeholder={t('search.placeholder')}
+            className="flex-1 py-4 bg-transparent text-slate-900 placeholder:text-slate-400 focus:outline-none"
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <kbd className="hidden sm:inline px-1.5 py-0.5 text-[10px] font-mono font-bold text-slate-500 border border-slate-200 rounded-sm">Esc</kbd>
+        </div>
+
+        <ul ref={listRef} id="command-palette-results" role="listbox" aria-label={t('search.results')} className="max-h-[50vh] overflow-y-auto py-2">
+          {results.map((result, i) => {
+            const { entry } = result;
+            const Icon = TYPE_ICONS[entry.type];
+            const detail = entry.type === 'event'
+              ? `${dateFormat.format(new Date(entry.date))} · ${entry.context}`
+              : entry.context;
+            return (
+              <li
+                key={entry.id}
+                id={optionId(i)}
+                role="option"
+                aria-selected={i === activeIndex}
+                onMouseMove={() => setActiveIndex(i)}
+                onClick={() => open(result)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${i === activeIndex ? 'bg-slate-100' : ''}`}
+              >
+                <Icon size={16} className="text-slate-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-bold text-slate-900 truncate">
+                    <Highlighted text={entry.title} indices={result.indices} />
+                  </p>
+                  {detail && <p className="text-xs text-slate-500 truncate">{detail}</p>}
+                </div>
+                <span className="text-[10px] font-bold uppercase tracking-wide text-slate-400">{t(`search.type.${entry.type}`)}</span>
+              </li>
+            );
+          })}
+        </ul>
+        {results.length === 0 && (
+          <p role="status" className="px-4 pb-6 pt-2 text-sm text-slate-500">{t('search.noResults', { query: query.trim() })}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
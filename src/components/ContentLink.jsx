@@ -0,0 +1,28 @@
+import React from 'react';
+import { Link, NavLink } from 'react-router-dom';
+
+/**
+ * COMPONENT: ContentLink
+ * Renders an href from src/content. Site paths ("/learn/book", "/#about") go
+ * through the router; anything else is a plain anchor. `className` may be a
+ * function of { isActive } like NavLink's; anchors and in-page hash links are
+ * never active.
+ */
+const ContentLink = ({ href, className = "", children, ...rest }) => {
+  const resolved = typeof className === 'function' ? className({ isActive: false }) : className;
+
+  if (href.startsWith('/')) {
+    return href.includes('#')
+      ? <Link to={href} className={resolved} {...rest}>{children}</Link>
+      : <NavLink to={href} end className={className} {...rest}>{children}</NavLink>;
+  }
+
+  const external = /^https?:\/\//.test(href);
+  return (
+    <a href={href} className={resolved} {...(external ? { target: '_blank', rel: 'noopener noreferrer' } : {})} {...rest}>
+      {children}
+    </a>
+  );
+};
+
+export default ContentLink;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useReducedMotion } from '../context/motion';
+import { useLocale } from '../context/locale';
+import { animationScheduler } from '../lib/animationScheduler';
+
+/**
+ * COMPONENT: CountUpAnimation
+ * Numbers are grouped for the current locale (18,000 / 18.000 / ١٨٬٠٠٠).
+ * Shows the final value straight away when motion is reduced. The count
+ * runs on the shared animation scheduler and pauses while scrolled away or
+ * while the tab is hidden.
+ */
+const CountUpAnimation = ({ end, suffix = "", duration = 2000 }) => {
+  const [count, setCount] = useState(0);
+  const elementRef = useRef(null);
+  const [hasStarted, setHasStarted] = useState(false);
+  const reducedMotion = useReducedMotion();
+  const { formatNumber } = useLocale();
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !hasStarted) {
+          setHasStarted(true);
+        }
+      },
+      { threshold: 0.1 } 
+    );
+
+    if (elementRef.current) {
+      observer.observe(elementRef.current);
+    }
+
+    return () => observer.disconnect();
+  }, [hasStarted]);
+
+  useEffect(() => {
+    if (!hasStarted || reducedMotion) return;
+
+    // Time spent counting; paused frames do not add to it
+    let elapsed = 0;
+
+    const animate = (timestamp, delta) => {
+      elapsed += delta;
+      const progress = Math.min(elapsed / duration, 1);
+      const easeValue = progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress);
+      setCount(Math.floor(easeValue * end));
+
+      return progress < 1;
+    };
+
+    const task = animationScheduler.add(animate, { element: elementRef.current });
+    task.wake();
+    return () => task.remove();
+  }, [hasStarted, end, duration, reducedMotion]);
+
+  const value = reducedMotion ? end : count;
+  return <span ref={elementRef}>{formatNumber(value)}{suffix}</span>;
+};
+
+export default CountUpAnimation;
@@ -0,0 +1,204 @@
+import React, { useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Heart, Check } from 'lucide-react';
+import useDonation from '../hooks/useDonation';
+import { useLocale } from '../context/locale';
+import { FREQUENCIES, MAX_AMOUNT, campaignProgress } from '../lib/donations';
+
+const CHOICE_CLASS = "px-4 py-3 border rounded-sm font-bold transition-colors focus-within:ring-2 focus-within:ring-blue-500";
+const choiceState = (selected) => (selected
+  ? 'border-blue-600 bg-blue-600 text-white'
+  : 'border-slate-200 bg-slate-50 text-slate-700 hover:border-blue-600');
+
+const ProgressBar = ({ campaign, raised, format, t }) => {
+  const progress = campaignProgress({ raised, goal: campaign.goal });
+  return (
+    <div className="space-y-1">
+      <div
+        role="progressbar"
+        aria-label={t('donate.progressLabel', { campaign: campaign.title })}
+        aria-valuemin={0}
+        aria-valuemax={campaign.goal}
+        aria-valuenow={Math.min(raised, campaign.goal)}
+        aria-valuetext={t('donate.progress', { raised: format(raised), goal: format(campaign.goal) })}
+        className="h-2 bg-slate-100 rounded-full overflow-hidden"
+      >
+        <div className="h-full bg-green-600 transition-[width] duration-700" style={{ width: `${progress * 100}%` }} />
+      </div>
+      <p className="text-xs text-slate-500">
+        {t('donate.progress', { raised: format(raised), goal: format(campaign.goal) })}
+      </p>
+    </div>
+  );
+};
+
+/**
+ * COMPONENT: DonationWidget
+ * Donation form for the campaigns in src/content/campaigns.json: pick a
+ * campaign, one-off or monthly, and a preset tier or another amount. Each
+ * campaign shows how far it is towards its goal. Payment goes through the
+ * provider from src/lib/paymentProviders.js, which either completes in place
+ * or sends the donor to its own checkout and back with ?donation=thanks.
+ */
+const DonationWidget = ({ provider }) => {
+  const { t, locale, content } = useLocale();
+  const { campaigns, tiers, currency } = content.campaigns;
+  const [searchParams] = useSearchParams();
+  const returned = searchParams.get('donation') === 'thanks';
+
+  const {
+    campaign, setCampaign, frequency, setFrequency, tier, setTier,
+    customAmount, setCustomAmount, amount, status, error, errorCode,
+    reference, given, submit, reset,
+  } = useDonation({ campaigns, tiers, currency, provider });
+
+  const currencyFormat = useMemo(() => new Intl.NumberFormat(locale, {
+    style: 'currency', currency, maximumFractionDigits: 0,
+  }), [locale, currency]);
+  const format = (value) => currencyFormat.format(value);
+
+  const selected = campaigns.find(entry => entry.id === campaign);
+  const isProcessing = status === 'processing' || status === 'redirecting';
+
+  if (status === 'completed' || returned) {
+    return (
+      <div role="status" className="p-8 bg-surface border border-slate-200 shadow-xl space-y-4">
+        <div className="flex items-center gap-3 text-green-700">
+          <Check size={24} className="flex-shrink-0" />
+          <h2 className="text-2xl font-extrabold">{t('donate.thanks.title')}</h2>
+        </div>
+        <p className="text-slate-600 leading-relaxed">
+          {status === 'completed'
+            ? t(`donate.thanks.${frequency}`, { amount: format(amount), campaign: selected.title })
+            : t('donate.thanks.returned')}
+        </p>
+        {reference && <p className="text-xs font-mono text-slate-500">{t('donate.thanks.reference', { id: reference })}</p>}
+        {status === 'completed' && (
+          <>
+            <ProgressBar campaign={selected} raised={selected.raised + (given[selected.id] || 0)} format={format} t={t} />
+            <button onClick={reset} className="text-sm font-bold text-blue-600 hover:text-blue-800">
+              {t('donate.thanks.again')}
+            </button>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} noValidate className="p-8 bg-surface border border-slate-200 shadow-xl space-y-8">
+      <fieldset className="space-y-3">
+        <legend className="text-xs font-bold uppercase tracking-wide text-slate-700 mb-3">{t('donate.campaign')}</legend>
+        {campaigns.map(entry => (
+          <label
+            key={entry.id}
+            className={`block p-4 border rounded-sm cursor-pointer transition-colors focus-within:ring-2 focus-within:ring-blue-500 ${entry.id === campaign ? 'border-blue-600 bg-blue-600/5' : 'border-slate-200 hover:border-blue-600'}`}
+          >
+            <div className="flex items-start gap-3">
+              <input
+                type="radio"
+                name="donation-campaign"
+                value={entry.id}
+                checked={entry.id === campaign}
+                onChange={() => setCampaign(entry.id)}
+                className="mt-1.5 accent-blue-600"
+              />
+              <div className="flex-1 space-y-2">
+                <div>
+                  <p className="font-bold text-slate-900">{entry.title}</p>
+                  <p className="text-sm text-slate-600">{entry.description}</p>
+                </div>
+                <ProgressBar campaign={entry} raised={entry.raised + (given[entry.id] || 0)} format={format} t={t} />
+              </div>
+            </div>
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-xs font-bold uppercase tracking-wide text-slate-700 mb-3">{t('donate.frequency')}</legend>
+        <div className="grid grid-cols-2 gap-3">
+          {FREQUENCIES.map(option => (
+            <label key={option} className={`${CHOICE_CLASS} text-center cursor-pointer ${choiceState(frequency === option)}`}>
+              <input
+                type="radio"
+                name="donation-frequency"
+                value={option}
+                checked={frequency === option}
+                onChange={() => setFrequency(option)}
+                className="sr-only"
+              />
+              {t(`donate.frequency.${option}`)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-xs font-bold uppercase tracking-wide text-slate-700 mb-3">{t('donate.amount')}</legend>
+        <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+          {tiers.map(option => (
+            <label key={option} className={`${CHOICE_CLASS} text-center cursor-pointer ${choiceState(tier === option)}`}>
+              <input
+                type="radio"
+                name="donation-tier"
+                value={option}
+                checked={tier === option}
+                onChange={() => setTier(option)}
+                className="sr-only"
+              />
+              {format(option)}
+            </label>
+          ))}
+          <label className={`${CHOICE_CLASS} text-center cursor-pointer ${choiceState(tier === 'custom')}`}>
+            <input
+              type="radio"
+              name="donation-tier"
+              value="custom"
+              checked={tier === 'custom'}
+              onChange={() => setTier('custom')}
+              className="sr-only"
+            />
+            {t('donate.other')}
+          </label>
+        </div>
+        {tier === 'custom' && (
+          <div className="mt-3">
+            <label htmlFor="donation-custom-amount" className="sr-only">{t('donate.otherLabel', { currency })}</label>
+            <input
+              id="donation-custom-amount"
+              type="text"
+              inputMode="numeric"
+              value={customAmount}
+              onChange={(e) => setCustomAmount(e.target.value)}
+              placeholder={t('donate.otherLabel', { currency })}
+              aria-invalid={status === 'error' && errorCode !== 'declined'}
+              className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-sm focus:ring-2 focus:ring-blue-500 focus:outline-none"
+              autoFocus
+            />
+          </div>
+        )}
+      </fieldset>
+
+      {status === 'error' && (
+        <p role="alert" className="text-sm font-bold text-red-600">
+          {t(`donate.error.${errorCode}`, { max: format(MAX_AMOUNT) }, error)}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        disabled={isProcessing}
+        className="w-full flex items-center justify-center gap-2 py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-bold rounded-sm transition-colors shadow-lg shadow-blue-500/30"
+      >
+        <Heart size={18} />
+        {isProcessing && t('donate.processing')}
+        {!isProcessing && (Number.isFinite(amount)
+          ? t(`donate.submit.${frequency}`, { amount: format(amount) })
+          : t('donate.submit'))}
+      </button>
+    </form>
+  );
+};
+
+export default DonationWidget;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { Download, HardDriveDownload, Check, Loader2 } from 'lucide-react';
+import { useLocale } from '../context/locale';
+import useOfflineDownloads from '../hooks/useOfflineDownloads';
+
+const OfflineToggle = ({ download, isSaved, status, onToggle, t }) => {
+  const busy = status === 'saving' || status === 'removing';
+  let Icon = isSaved ? Check : HardDriveDownload;
+  if (busy) Icon = Loader2;
+
+  return (
+    <div className="flex flex-col items-start gap-1">
+      <button
+        onClick={() => onToggle(download.href)}
+        disabled={busy}
+        aria-pressed={isSaved}
+        className={`flex items-center gap-2 px-3 py-2 border rounded-sm text-sm font-bold transition-colors disabled:opacity-60 ${isSaved ? 'border-green-600 text-green-600 hover:bg-slate-50' : 'border-slate-200 text-slate-700 hover:bg-slate-50 hover:text-blue-600'}`}
+      >
+        <Icon size={16} className={busy ? 'animate-spin' : ''} />
+        {isSaved ? t('downloads.saved') : t('downloads.save')}
+      </button>
+      {isSaved && !busy && <span className="text-xs text-slate-500">{t('downloads.removeHint')}</span>}
+      {status === 'error' && <span role="alert" className="text-xs text-red-600">{t('downloads.error')}</span>}
+    </div>
+  );
+};
+
+/**
+ * COMPONENT: DownloadsList
+ * The files in src/content/downloads.json. Each can be downloaded, and where
+ * the browser supports it, saved for offline use (see src/lib/offline.js) so
+ * the link keeps working without a connection.
+ */
+const DownloadsList = () => {
+  const { t, content } = useLocale();
+  const { supported, saved, status, toggle } = useOfflineDownloads();
+
+  return (
+    <div className="space-y-4">
+      <ul className="space-y-3">
+        {content.downloads.downloads.map(download => (
+          <li key={download.id} className="p-5 bg-surface border border-slate-200 flex flex-col sm:flex-row sm:items-start gap-4">
+            <div className="flex-1 space-y-1">
+              <span className="text-xs font-bold uppercase tracking-wide text-blue-600">{download.format}</span>
+              <h3 className="text-lg font-bold text-slate-900">{download.title}</h3>
+              <p className="text-sm text-slate-600 leading-relaxed">{download.description}</p>
+            </div>
+            <div className="flex flex-row sm:flex-col gap-2">
+              <a
+                href={download.href}
+                download
+                className="self-start flex items-center gap-2 px-3 py-2 bg-blue-600 text-white rounded-sm text-sm font-bold hover:bg-blue-700 transition-colors"
+              >
+                <Download size={16} /> {t('downloads.download')}
+              </a>
+              {supported && (
+                <OfflineToggle
+                  download={download}
+                  isSaved={saved.has(download.href)}
+                  status={status[download.href]}
+                  onToggle={toggle}
+                  t={t}
+                />
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+      {supported && <p className="text-xs text-slate-500">{t('downloads.offlineNote')}</p>}
+    </div>
+  );
+};
+
+export default DownloadsList;
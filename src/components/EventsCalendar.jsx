@@ -0,0 +1,132 @@
+import React, { useState, useMemo } from 'react';
+import { CalendarPlus, Download, MapPin } from 'lucide-react';
+import { useLocale } from '../context/locale';
+import useVisitorTime from '../hooks/useVisitorTime';
+import { EVENT_REGIONS, EVENT_TOPICS } from '../content/schema';
+import { eventStart, eventEnd, isUpcoming, icsBlob } from '../lib/calendar';
+import { downloadBlob } from '../lib/download';
+
+const byStart = (a, b) => Date.parse(a.start) - Date.parse(b.start);
+
+const FilterSelect = ({ label, value, options, onChange, t, prefix }) => (
+  <label className="flex flex-col gap-1 text-xs font-bold uppercase tracking-wide text-slate-500">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-sm text-sm normal-case tracking-normal text-slate-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+    >
+      <option value="all">{t('events.all')}</option>
+      {options.map(option => (
+        <option key={option} value={option}>{t(`${prefix}.${option}`)}</option>
+      ))}
+    </select>
+  </label>
+);
+
+const EventItem = ({ event, t, locale, formatter }) => {
+  const hostTime = event.timeZone && new Intl.DateTimeFormat(locale, {
+    hour: 'numeric', minute: '2-digit', timeZone: event.timeZone, timeZoneName: 'short',
+  }).format(eventStart(event));
+
+  const download = () => downloadBlob(icsBlob([event], { name: event.title, origin: window.location.origin }), `${event.id}.ics`);
+
+  return (
+    <li className="p-5 bg-surface border border-slate-200 flex flex-col sm:flex-row sm:items-start gap-4">
+      <div className="flex-1 space-y-1">
+        <div className="flex flex-wrap gap-2 text-xs font-bold uppercase tracking-wide">
+          <span className="text-blue-600">{t(`events.topic.${event.topic}`)}</span>
+          <span className="text-slate-400">·</span>
+          <span className="text-slate-500">{t(`events.region.${event.region}`)}</span>
+        </div>
+        <h3 className="text-lg font-bold text-slate-900">{event.title}</h3>
+        <p className="text-sm font-medium text-slate-700">
+          <time dateTime={event.start}>{formatter.formatRange(eventStart(event), eventEnd(event))}</time>
+        </p>
+        {hostTime && (
+          <p className="text-xs text-slate-500">{t('events.hostTime', { time: hostTime })}</p>
+        )}
+        <p className="flex items-center gap-1 text-sm text-slate-600"><MapPin size={14} /> {event.location}</p>
+        <p className="text-sm text-slate-600 leading-relaxed">{event.description}</p>
+      </div>
+      <button
+        onClick={download}
+        className="self-start flex items-center gap-2 px-3 py-2 border border-slate-200 rounded-sm text-sm font-bold text-slate-700 hover:bg-slate-50 hover:text-blue-600 transition-colors"
+      >
+        <CalendarPlus size={16} /> {t('events.addToCalendar')}
+      </button>
+    </li>
+  );
+};
+
+/**
+ * COMPONENT: EventsCalendar
+ * Workshop and Show & Tell schedule from src/content/events.json, in the
+ * visitor's time zone, filterable by region and topic. Each session, or the
+ * whole schedule, can be downloaded as an .ics file.
+ */
+const EventsCalendar = () => {
+  const { t, locale, content } = useLocale();
+  const [region, setRegion] = useState('all');
+  const [topic, setTopic] = useState('all');
+  const { now, timeZone: visitorTimeZone } = useVisitorTime();
+
+  const { events } = content.events;
+  const formatter = useMemo(() => new Intl.DateTimeFormat(locale, {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short', timeZone: visitorTimeZone,
+  }), [locale, visitorTimeZone]);
+  const timeZone = formatter.resolvedOptions().timeZone;
+
+  // Only offer filters that match something
+  const regions = EVENT_REGIONS.filter(option => events.some(event => event.region === option));
+  const topics = EVENT_TOPICS.filter(option => events.some(event => event.topic === option));
+
+  const matching = events.filter(event => (
+    (region === 'all' || event.region === region) && (topic === 'all' || event.topic === topic)
+  ));
+  const upcoming = matching.filter(event => isUpcoming(event, now)).sort(byStart);
+  const past = matching.filter(event => !isUpcoming(event, now)).sort((a, b) => byStart(b, a));
+
+  const downloadAll = () => downloadBlob(icsBlob([...events].sort(byStart), { origin: window.location.origin }), 'tinyml4d-events.ics');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+        <FilterSelect label={t('events.region')} value={region} options={regions} onChange={setRegion} t={t} prefix="events.region" />
+        <FilterSelect label={t('events.topic')} value={topic} options={topics} onChange={setTopic} t={t} prefix="events.topic" />
+        <button
+          onClick={downloadAll}
+          className="sm:ms-auto flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-sm font-bold hover:bg-blue-700 transition-colors"
+        >
+          <Download size={16} /> {t('events.downloadAll')}
+        </button>
+      </div>
+      <p className="text-xs text-slate-500">{t('events.timeZoneNote', { zone: timeZone })}</p>
+
+      <section>
+        <h2 className="text-2xl font-extrabold text-slate-900 mb-4">{t('events.upcoming')}</h2>
+        {upcoming.length ? (
+          <ul className="space-y-3">
+            {upcoming.map(event => <EventItem key={event.id} event={event} t={t} locale={locale} formatter={formatter} />)}
+          </ul>
+        ) : (
+          <p className="text-slate-600">{t('events.none')}</p>
+        )}
+      </section>
+
+      {past.length > 0 && (
+        <details>
+          <summary className="cursor-pointer text-lg font-bold text-slate-700 hover:text-blue-600">
+            {t('events.past', { count: past.length })}
+          </summary>
+          <ul className="space-y-3 mt-4 opacity-80">
+            {past.map(event => <EventItem key={event.id} event={event} t={t} locale={locale} formatter={formatter} />)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+export default EventsCalendar;
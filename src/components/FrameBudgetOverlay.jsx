@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+
+/**
+ * COMPONENT: FrameBudgetOverlay
+ * Small readout of a frame budget's summary, refreshed twice a second.
+ * Shown by the canvas effects when the page is opened with ?perf.
+ */
+const FrameBudgetOverlay = ({ label, budget }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => setSummary(budget.summary()), 500);
+    return () => clearInterval(interval);
+  }, [budget]);
+
+  const withinBudget = !summary || summary.p95 <= summary.budgetMs;
+
+  return (
+    <div className={`fixed bottom-4 left-4 z-[200] px-3 py-2 font-mono text-xs rounded-sm shadow-lg text-slate-50 ${withinBudget ? 'bg-slate-900/90' : 'bg-red-600/90'}`}>
+      <div className="font-bold">{label} · budget {budget.budgetMs}ms</div>
+      {summary ? (
+        <div>
+          avg {summary.avg.toFixed(2)} · p95 {summary.p95.toFixed(2)} · max {summary.max.toFixed(2)}ms
+          <br />
+          {summary.frames} frames, {summary.overBudget} over budget
+        </div>
+      ) : (
+        <div>waiting for frames…</div>
+      )}
+    </div>
+  );
+};
+
+export default FrameBudgetOverlay;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+/**
+ * COMPONENT: HighlightText
+ */
+const HighlightText = ({ children, className = "", variant = "light" }) => {
+  const bgClass = variant === "dark" 
+    ? "bg-slate-900 text-slate-50" 
+    : "bg-surface/90 text-slate-900 backdrop-blur-sm shadow-sm";
+  
+  return (
+    <span className={`inline-block px-2 py-0.5 my-0.5 rounded-sm box-decoration-clone ${bgClass} ${className}`}>
+      {children}
+    </span>
+  );
+};
+
+export default HighlightText;
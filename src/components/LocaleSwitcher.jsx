@@ -0,0 +1,30 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useLocale } from '../context/locale';
+import { CATALOGS, LOCALES } from '../lib/i18n';
+
+/**
+ * COMPONENT: LocaleSwitcher
+ * Language picker for the nav. Each option is shown in its own language.
+ */
+const LocaleSwitcher = ({ showLabel = false, className = "" }) => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <label className={`flex items-center gap-2 ${className}`}>
+      <Languages size={16} aria-hidden="true" />
+      <span className={showLabel ? '' : 'sr-only'}>{t('locale.label')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent font-bold cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-sm"
+      >
+        {LOCALES.map(code => (
+          <option key={code} value={code} lang={code}>{CATALOGS[code].name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { Pause, Play } from 'lucide-react';
+import { useMotionPreference } from '../context/motion';
+import { useTranslation } from '../context/locale';
+
+/**
+ * COMPONENT: MotionToggle
+ * Switches animations off or on. Choosing what the OS already asks for goes
+ * back to following the OS setting.
+ */
+const MotionToggle = ({ showLabel = false, className = "" }) => {
+  const { reducedMotion, systemReduced, setPreference } = useMotionPreference();
+  const t = useTranslation();
+
+  const toggle = () => {
+    const nextReduced = !reducedMotion;
+    if (nextReduced === systemReduced) setPreference('system');
+    else setPreference(nextReduced ? 'reduced' : 'full');
+  };
+
+  const label = t(reducedMotion ? 'motion.enable' : 'motion.reduce');
+  const Icon = reducedMotion ? Play : Pause;
+
+  return (
+    <button
+      onClick={toggle}
+      aria-pressed={reducedMotion}
+      aria-label={showLabel ? undefined : label}
+      title={label}
+      className={`flex items-center gap-2 ${className}`}
+    >
+      <Icon size={16} />
+      {showLabel && <span>{label}</span>}
+    </button>
+  );
+};
+
+export default MotionToggle;
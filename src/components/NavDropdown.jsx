@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { ChevronDown } from 'lucide-react';
+import ContentLink from './ContentLink';
+
+/**
+ * COMPONENT: NavDropdown
+ * The label is highlighted while any of its items is the current page.
+ */
+const NavDropdown = ({ label, items }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { pathname } = useLocation();
+  const hasActiveItem = items.some(item => item.href === pathname);
+
+  return (
+    <div 
+      className="relative group"
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <button className={`flex items-center gap-1 px-4 py-2 font-bold bg-surface/80 hover:bg-surface border-b-2 hover:border-blue-600 transition-all ${hasActiveItem ? 'border-blue-600 text-blue-600' : 'border-transparent'}`}>
+        {label} <ChevronDown size={14} />
+      </button>
+      
+      {isOpen && (
+        <div className="absolute top-full start-0 w-56 bg-surface border border-slate-200 shadow-xl z-50 animate-in fade-in slide-in-from-top-2 duration-200">
+          {items.map((item, idx) => (
+            <ContentLink 
+              key={idx} 
+              href={item.href} 
+              onClick={() => setIsOpen(false)}
+              className={({ isActive }) => `block px-4 py-3 text-sm hover:bg-blue-50 hover:text-blue-700 dark:hover:bg-blue-950 dark:hover:text-blue-300 border-b border-slate-50 last:border-0 ${isActive ? 'bg-blue-50 text-blue-700 dark:bg-blue-950 dark:text-blue-300 font-bold' : 'text-slate-700'}`}
+            >
+              {item.label}
+            </ContentLink>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NavDropdown;
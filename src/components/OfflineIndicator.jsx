@@ -0,0 +1,25 @@
+import React from 'react';
+import { WifiOff } from 'lucide-react';
+import { useTranslation } from '../context/locale';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+/**
+ * COMPONENT: OfflineIndicator
+ * A notice under the navigation while the browser has no connection, saying
+ * what still works: pages visited before and downloads saved for offline use.
+ */
+const OfflineIndicator = () => {
+  const t = useTranslation();
+  const online = useOnlineStatus();
+  if (online) return null;
+
+  return (
+    <div role="status" className="fixed top-24 inset-x-0 z-40 flex justify-center px-4 pointer-events-none">
+      <p className="flex items-center gap-2 px-4 py-2 bg-slate-900 text-slate-50 text-sm font-bold rounded-full shadow-lg">
+        <WifiOff size={16} /> {t('offline.message')}
+      </p>
+    </div>
+  );
+};
+
+export default OfflineIndicator;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Paintbrush, X, Download, Trash2, Circle, Square, Diamond } from 'lucide-react';
+import { useTranslation } from '../context/locale';
+
+const SHAPE_ICONS = { circle: Circle, square: Square, diamond: Diamond };
+
+// Trail fade options in seconds (labelled by paint.fade.<seconds>); 0 keeps painted cells forever
+const FADE_OPTIONS = [0, 5, 15, 60];
+
+/**
+ * COMPONENT: PaintControls
+ * Floating panel for the PixelBackground brush: size, shape, trail fade,
+ * keeping the drawing across reloads, clearing and PNG export.
+ */
+const PaintControls = ({ settings, onChange, onClear, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const t = useTranslation();
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        aria-label={t('paint.open')}
+        className="fixed bottom-4 end-4 z-40 p-3 bg-surface/90 border border-slate-200 rounded-full shadow-lg hover:bg-surface text-slate-700 hover:text-blue-600 transition-colors"
+      >
+        <Paintbrush size={20} />
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-4 end-4 z-40 w-64 bg-surface border border-slate-200 border-s-4 border-s-blue-600 rounded-sm shadow-2xl p-4 space-y-4 text-sm">
+      <div className="flex items-center justify-between">
+        <span className="font-bold uppercase tracking-wide text-xs text-slate-700">{t('paint.title')}</span>
+        <button onClick={() => setIsOpen(false)} aria-label={t('paint.close')} className="text-slate-400 hover:text-slate-900 transition-colors">
+          <X size={18} />
+        </button>
+      </div>
+
+      <label className="block">
+        <span className="block text-xs font-bold text-slate-500 mb-1">{t('paint.brushSize', { size: settings.brushSize })}</span>
+        <input
+          type="range"
+          min="0"
+          max="8"
+          value={settings.brushSize}
+          onChange={(e) => onChange({ brushSize: Number(e.target.value) })}
+          className="w-full accent-blue-600"
+        />
+      </label>
+
+      <div>
+        <span className="block text-xs font-bold text-slate-500 mb-1">{t('paint.brushShape')}</span>
+        <div className="flex gap-2">
+          {Object.entries(SHAPE_ICONS).map(([shape, Icon]) => (
+            <button
+              key={shape}
+              onClick={() => onChange({ shape })}
+              aria-label={t(`paint.shape.${shape}`)}
+              aria-pressed={settings.shape === shape}
+              className={`p-2 border rounded-sm transition-colors ${settings.shape === shape ? 'border-blue-600 bg-blue-50 text-blue-700 dark:bg-blue-950 dark:text-blue-300' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+            >
+              <Icon size={16} />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-xs font-bold text-slate-500 mb-1">{t('paint.fadeAfter')}</span>
+        <div className="flex gap-1">
+          {FADE_OPTIONS.map(seconds => (
+            <button
+              key={seconds}
+              onClick={() => onChange({ fadeSeconds: seconds })}
+              aria-pressed={settings.fadeSeconds === seconds}
+              className={`flex-1 px-2 py-1 border rounded-sm text-xs font-bold transition-colors ${settings.fadeSeconds === seconds ? 'border-blue-600 bg-blue-50 text-blue-700 dark:bg-blue-950 dark:text-blue-300' : 'border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+            >
+              {t(`paint.fade.${seconds}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 font-bold text-slate-700">
+        <input
+          type="checkbox"
+          checked={settings.keepDrawing}
+          onChange={(e) => onChange({ keepDrawing: e.target.checked })}
+          className="accent-blue-600"
+        />
+        {t('paint.keepDrawing')}
+      </label>
+
+      <div className="flex gap-2 pt-2 border-t border-slate-100">
+        <button onClick={onClear} className="flex-1 flex items-center justify-center gap-1 px-3 py-2 border border-slate-200 rounded-sm font-bold text-slate-700 hover:bg-slate-50 transition-colors">
+          <Trash2 size={14} /> {t('paint.clear')}
+        </button>
+        <button onClick={onExport} className="flex-1 flex items-center justify-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-sm font-bold hover:bg-blue-700 transition-colors">
+          <Download size={14} /> {t('paint.png')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PaintControls;
@@ -0,0 +1,305 @@
+import React, { useEffect, useRef, useState, useMemo } from 'react';
+import * as THREE from 'three';
+import { keyframeSegment } from '../lib/shapes';
+import { createMorphParticles } from '../lib/morphParticles';
+import { DEFAULT_KEYFRAMES, PARTICLE_SIZE, CAMERA_FOV, CAMERA_Z, createMorphTargets, drawParticles } from '../lib/morphScene';
+import { randomFor } from '../lib/random';
+import { createFrameGovernor } from '../lib/renderQuality';
+import { animationScheduler } from '../lib/animationScheduler';
+import { disposeObject, watchContextLoss } from '../lib/webgl';
+import { resolveScrollSource, visibleArea } from '../lib/scrollSource';
+import { useReducedMotion } from '../context/motion';
+import { useThemeTokens } from '../context/theme';
+import { useSeed } from '../context/random';
+import { useRenderQuality } from '../context/quality';
+
+// Average time between frames (ms) past which the scene asks for a lower tier
+const FRAME_BUDGET_MS = 34;
+
+// Radians per frame at the top of the section; twice this by the bottom
+const ROTATION_SPEED = 0.002;
+// Share of the remaining distance to the scroll position covered each frame
+const SCROLL_DAMPING = 0.05;
+// Section height in screens
+const SECTION_SCREENS = 4;
+
+/**
+ * COMPONENT: ParticleMorphScene
+ * Three.js scene that morphs particles through a series of shapes on scroll.
+ * `keyframes` maps scroll progress through the section (0-1) to shapes from
+ * src/lib/shapes.js: [{ shape, from, to, options? }, ...]. Each shape is held
+ * for its range and particles morph into the next one between ranges.
+ *
+ * Particles are instanced and morphed in a shader (src/lib/morphParticles.js),
+ * so `cubeSize` (particles = cubeSize³) can go well past the default 8.
+ *
+ * When motion is reduced the section shrinks to one screen showing a still
+ * frame of the final shape, with no scroll-driven morph or rotation.
+ *
+ * Particle colours and the backdrop gradient follow the theme
+ * (src/lib/themeTokens.js); switching theme recolours the running scene.
+ *
+ * `seed` (or the RandomProvider's seed) makes the particle jitter, colours,
+ * rotations and delays the same on every render.
+ *
+ * Nothing is built until the render quality tier is settled (see
+ * src/context/quality.jsx). The reduced tier keeps fewer particles and drops
+ * antialiasing and high pixel ratios; the poster tier skips WebGL and paints
+ * the final shape once on a 2D canvas, as reduced motion does. So does a
+ * browser that refuses a WebGL context after all.
+ *
+ * Frames come from the shared animation scheduler
+ * (src/lib/animationScheduler.js), so nothing is drawn while the section is
+ * off screen or the tab is hidden. If the browser drops the WebGL context the
+ * scene is rebuilt once it is restored.
+ *
+ * Other props, all optional; the defaults are this site's look:
+ * - `particleSize`: particle edge length in scene units (0.15)
+ * - `rotationSpeed`: radians per frame the group turns (0.002)
+ * - `damping`: how quickly the morph catches up with scrolling, 0-1 (0.05)
+ * - `screens`: section height in screens, i.e. how long the morph lasts (4)
+ * - `colors`: particle colours as 0xRRGGBB numbers, and `gradient`: backdrop
+ *   CSS colours, in place of the theme's; both should be stable between renders
+ * - `scrollSource`: element, or ref to one, whose scrolling drives the morph
+ *   (window). It should be as tall as the viewport: the stage is one screen.
+ */
+const ParticleMorphScene = ({
+  keyframes = DEFAULT_KEYFRAMES,
+  cubeSize = 8,
+  seed,
+  particleSize = PARTICLE_SIZE,
+  rotationSpeed = ROTATION_SPEED,
+  damping = SCROLL_DAMPING,
+  screens = SECTION_SCREENS,
+  colors,
+  gradient,
+  scrollSource,
+}) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const targetScrollProgress = useRef(0);
+  const scrollProgress = useRef(0);
+  const reducedMotion = useReducedMotion();
+  const contextSeed = useSeed();
+  const activeSeed = seed ?? contextSeed;
+  const { particles: themeParticles } = useThemeTokens();
+  const palette = useMemo(() => ({
+    colors: colors || themeParticles.colors,
+    gradient: gradient || themeParticles.gradient,
+  }), [themeParticles, colors, gradient]);
+  const paletteRef = useRef(palette);
+  paletteRef.current = palette;
+  const recolorRef = useRef(null);
+  const { tier, settings: quality, ready: qualityReady, stepDown } = useRenderQuality();
+  // Set when the browser refuses a WebGL context; the scene then draws like the poster tier
+  const [webglFailed, setWebglFailed] = useState(false);
+  const animated = quality.animate && !webglFailed;
+  const still = reducedMotion || !animated;
+  // Counts WebGL context restores; each one rebuilds the scene
+  const [contextRestores, setContextRestores] = useState(0);
+
+  useEffect(() => {
+    if (!qualityReady) return undefined;
+
+    // Keep the share of particles the tier allows, as a whole cube
+    const count = Math.max(2, Math.round(cubeSize * Math.cbrt(quality.particleScale))) ** 3;
+    const source = resolveScrollSource(scrollSource);
+
+    let scene, camera, renderer, particleGroup, particles;
+    let targets = [];
+    let spin = 0;
+    let task = null;
+    let stopWatchingContext = null;
+    const governor = createFrameGovernor({ budgetMs: FRAME_BUDGET_MS, onSlow: () => stepDown('particles') });
+
+    const init = () => {
+      if (!canvasRef.current) return;
+      
+      const width = window.innerWidth;
+      const height = window.innerHeight;
+
+      // 1. Particles
+      // Shapes first, then particles: scripts/snapshot.mjs draws in the same order
+      const random = randomFor(activeSeed, 'particles');
+      targets = createMorphTargets(keyframes, count, random);
+
+      particles = createMorphParticles({
+        count,
+        particleSize,
+        colors: paletteRef.current.colors,
+        random,
+      });
+      particles.setShapes(targets[0], targets[0]);
+
+      recolorRef.current = (colors) => {
+        particles.setColors(colors);
+        if (still) renderStill();
+      };
+
+      // The poster tier needs nothing more than a 2D canvas
+      if (!animated) {
+        renderStill();
+        return;
+      }
+
+      // 2. Scene
+      scene = new THREE.Scene();
+      // No fog to allow gradient to show
+      particleGroup = new THREE.Group();
+      particleGroup.add(particles.object);
+      scene.add(particleGroup);
+      
+      // 3. Camera
+      camera = new THREE.PerspectiveCamera(CAMERA_FOV, width / height, 0.1, 100);
+      camera.position.z = CAMERA_Z;
+
+      // 4. Renderer. WebGL can still be missing or blocklisted past the quality probe
+      try {
+        renderer = new THREE.WebGLRenderer({ 
+          antialias: quality.antialias, 
+          alpha: true, 
+          canvas: canvasRef.current 
+        });
+      } catch {
+        setWebglFailed(true);
+        return;
+      }
+      renderer.setSize(width, height);
+      renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio));
+      stopWatchingContext = watchContextLoss(canvasRef.current, {
+        onLost: () => task && task.sleep(),
+        onRestored: () => setContextRestores(count => count + 1),
+      });
+
+      if (reducedMotion) {
+        renderStill();
+        return;
+      }
+      task = animationScheduler.add(animate, { element: containerRef.current });
+      task.wake();
+    };
+
+    const renderStill = () => {
+      const last = targets[targets.length - 1];
+      particles.setShapes(last, last);
+      if (renderer) {
+        particles.update(0, 0);
+        renderer.render(scene, camera);
+        return;
+      }
+      const canvas = canvasRef.current;
+      canvas.width = window.innerWidth;
+      canvas.height = window.innerHeight;
+      drawParticles(canvas.getContext('2d'), {
+        ...particles.sample(0),
+        width: canvas.width,
+        height: canvas.height,
+        particleSize,
+      });
+    };
+
+    const animate = (time, delta) => {
+      if (delta) governor.record(delta);
+
+      // Smooth damping
+      scrollProgress.current += (targetScrollProgress.current - scrollProgress.current) * damping;
+      const sp = scrollProgress.current;
+
+      // Rotate group
+      const currentRotSpeed = rotationSpeed * (1 + sp);
+      if (particleGroup) {
+        particleGroup.rotation.y += currentRotSpeed;
+        particleGroup.rotation.z += currentRotSpeed * 0.2;
+      }
+
+      // Update particles
+      const segment = keyframeSegment(keyframes, sp);
+      particles.setShapes(targets[segment.from], targets[segment.to]);
+      particles.update(segment.t, ++spin);
+
+      if (renderer && scene && camera) {
+        renderer.render(scene, camera);
+      }
+      return true;
+    };
+
+    const onResize = () => {
+      if (camera && renderer) {
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        if (reducedMotion) renderStill();
+      } else if (particles) {
+        renderStill();
+      }
+    };
+
+    const onScroll = () => {
+       if (!containerRef.current) return;
+       const rect = containerRef.current.getBoundingClientRect();
+       const area = visibleArea(source);
+       
+       // Calculate progress based on how far we've scrolled into the section
+       // Total scrollable height is rect.height - area.height
+       const totalDistance = rect.height - area.height;
+
+       if (totalDistance > 0) {
+         // rect.top is area.top at start, less as we scroll down
+         const progress = Math.max(0, Math.min(1, (area.top - rect.top) / totalDistance));
+         targetScrollProgress.current = progress;
+       }
+    };
+
+    init();
+    window.addEventListener('resize', onResize);
+    if (!still) source.addEventListener('scroll', onScroll);
+
+    return () => {
+      recolorRef.current = null;
+      window.removeEventListener('resize', onResize);
+      source.removeEventListener('scroll', onScroll);
+      if (task) task.remove();
+      if (stopWatchingContext) stopWatchingContext();
+      if (scene) {
+        disposeObject(scene);
+      }
+      if (particles) {
+        // Also frees what the scene does not hold, such as the edge geometry
+        particles.dispose();
+      }
+      if (renderer) {
+        renderer.dispose();
+      }
+    };
+  }, [keyframes, cubeSize, particleSize, rotationSpeed, damping, scrollSource, reducedMotion, activeSeed, qualityReady, quality, animated, still, stepDown, contextRestores]);
+
+  useEffect(() => {
+    if (recolorRef.current) recolorRef.current(palette.colors);
+  }, [palette]);
+
+  return (
+    <div ref={containerRef} className="relative w-full" style={{ height: still ? '100vh' : `${screens * 100}vh` }}>
+      <div className="sticky top-0 h-screen w-full overflow-hidden">
+         <style>{`
+            @keyframes gradientBG {
+                0% { background-position: 0% 50%; }
+                50% { background-position: 100% 50%; }
+                100% { background-position: 0% 50%; }
+            }
+            .gradient-bg-anim {
+                background-size: 200% 200%;
+                animation: gradientBG 15s ease infinite;
+            }
+         `}</style>
+         <div
+           className="absolute inset-0 gradient-bg-anim -z-10"
+           style={{ backgroundImage: `linear-gradient(135deg, ${palette.gradient.join(', ')})` }}
+         />
+         {/* A fresh canvas per tier: one that has had a WebGL context cannot give a 2D one */}
+         <canvas key={webglFailed ? 'no-webgl' : tier} ref={canvasRef} className="block w-full h-full outline-none" />
+      </div>
+    </div>
+  );
+};
+
+export default ParticleMorphScene;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { CONTENT_ICONS } from '../content';
+
+/**
+ * COMPONENT: PartnerMark
+ * Lettered badge or icon shown next to a partner name (see partners.json).
+ */
+const PartnerMark = ({ mark }) => {
+  if (mark.style === 'icon') {
+    const Icon = CONTENT_ICONS[mark.icon];
+    return <Icon size={40} />;
+  }
+  if (mark.style === 'circle') {
+    return <div className="w-10 h-10 border-2 border-slate-50 rounded-full flex items-center justify-center font-bold">{mark.text}</div>;
+  }
+  const fontClass = mark.style === 'serif' ? 'font-serif ' : '';
+  return <div className={`w-10 h-10 bg-surface rounded-sm flex items-center justify-center ${fontClass}font-bold text-slate-900`}>{mark.text}</div>;
+};
+
+export default PartnerMark;
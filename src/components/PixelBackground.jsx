@@ -0,0 +1,303 @@
+import React, { useEffect, useRef, useMemo, useCallback } from 'react';
+import { createPixelRenderer, BRUSH_SHAPES } from '../lib/pixelGrid';
+import { createFrameBudget, isPerfOverlayEnabled } from '../lib/frameBudget';
+import { createFrameGovernor } from '../lib/renderQuality';
+import { readJSON, writeJSON, removeItem } from '../lib/storage';
+import { downloadBlob } from '../lib/download';
+import { resolveScrollSource, scrollOffset } from '../lib/scrollSource';
+import { useReducedMotion } from '../context/motion';
+import { useThemeTokens } from '../context/theme';
+import { useSeed } from '../context/random';
+import { useRenderQuality } from '../context/quality';
+import useClientState from '../hooks/useClientState';
+import FrameBudgetOverlay from './FrameBudgetOverlay';
+import PaintControls from './PaintControls';
+
+const CELL_SIZE = 12;
+const BRUSH_SIZE = 3;
+const OPACITY = 0.6;
+const Z_INDEX = -10;
+
+// Milliseconds a redraw may take on a workshop laptop before it is flagged
+const FRAME_BUDGET_MS = 4;
+// Average redraw time (ms) past which the grid asks for a lower quality tier
+const QUALITY_BUDGET_MS = 12;
+const QUALITY_SAMPLE_SIZE = 30;
+
+const SETTINGS_KEY = 'pixel-paint-settings';
+const DRAWING_KEY = 'pixel-paint-drawing';
+const SAVE_DELAY_MS = 1000;
+
+const DEFAULT_SETTINGS = { brushSize: BRUSH_SIZE, shape: 'circle', fadeSeconds: 0, keepDrawing: false };
+
+const readSettings = (defaults) => {
+  const saved = { ...defaults, ...readJSON(SETTINGS_KEY, {}) };
+  return BRUSH_SHAPES.includes(saved.shape) ? saved : { ...saved, shape: defaults.shape };
+};
+
+const supportsOffscreen = () => (
+  typeof Worker !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'transferControlToOffscreen' in HTMLCanvasElement.prototype
+);
+
+// Same interface as createPixelRenderer, forwarded to a worker. Methods that
+// return a value (serialize, toBlob) return a Promise instead.
+const createWorkerRenderer = (canvas, options, onFrame) => {
+  const worker = new Worker(new URL('../workers/pixelBackground.worker.js', import.meta.url), { type: 'module' });
+  const offscreen = canvas.transferControlToOffscreen();
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.postMessage({ method: 'init', canvas: offscreen, options }, [offscreen]);
+  worker.onmessage = ({ data }) => {
+    if (data.id === undefined) {
+      onFrame(data.frameTime);
+      return;
+    }
+    pending.get(data.id)(data.result);
+    pending.delete(data.id);
+  };
+
+  const call = (method) => (...args) => worker.postMessage({ method, args });
+  const request = (method) => (...args) => new Promise(resolve => {
+    const id = nextId++;
+    pending.set(id, resolve);
+    worker.postMessage({ id, method, args });
+  });
+
+  return {
+    resize: call('resize'),
+    setScroll: call('setScroll'),
+    paint: call('paint'),
+    setBrush: call('setBrush'),
+    setDecay: call('setDecay'),
+    setColors: call('setColors'),
+    clear: call('clear'),
+    flush: call('flush'),
+    load: call('load'),
+    serialize: request('serialize'),
+    toBlob: request('toBlob'),
+    destroy: () => worker.terminate(),
+  };
+};
+
+/**
+ * COMPONENT: PixelBackground
+ * Features:
+ * 1. Base static noise pattern
+ * 2. Scrolled-based shift (Optimized for visibility)
+ * 3. "Painted" trail where the mouse, pen or finger has been, with an
+ *    adjustable brush, optional fade-out, saving and PNG export (PaintControls)
+ *
+ * When motion is reduced the grid is drawn once and stays still: no scroll
+ * shift and no painting. Colours come from the theme (src/lib/themeTokens.js)
+ * and switch in place, keeping whatever has been painted.
+ *
+ * Only redraws when the viewport, scroll position or painting changes (see
+ * src/lib/pixelGrid.js), on the shared animation scheduler, so a hidden tab
+ * draws nothing. With `offscreen` the grid is drawn in a worker where
+ * OffscreenCanvas is supported. Open the page with ?perf to see frame times.
+ * `seed` (or the RandomProvider's seed) makes painted colours repeatable.
+ * Nothing is drawn on the server; a pre-rendered page gets its canvas once
+ * hydrated and the saved settings are known.
+ *
+ * The render quality tier (src/context/quality.jsx) caps the pixel ratio and
+ * widens the cells on lower tiers; the poster tier draws once and stays still
+ * like reduced motion. Redraws that keep running long step the tier down.
+ *
+ * Props, all optional; the defaults are this site's look:
+ * - `cellSize`: grid cell size in CSS pixels (12)
+ * - `brushSize`: starting brush radius in cells (3), until changed in PaintControls
+ * - `palette`, `clearColor`: colours in place of the theme's (see THEMES in
+ *   src/lib/themeTokens.js for the palette layout); they stop following theme
+ *   switches, and should be stable between renders
+ * - `scrollSource`: element, or ref to one, whose scrolling shifts the grid (window)
+ * - `scrollSpeed`: how far the grid shifts per pixel scrolled, relative to now (1)
+ * - `opacity` (0.6) and `zIndex` (-10) of the fixed layer
+ * - `controls`: show PaintControls (true)
+ * - `exportFilename`: name of the PNG export
+ */
+const PixelBackground = ({
+  offscreen = false,
+  seed,
+  cellSize = CELL_SIZE,
+  brushSize = BRUSH_SIZE,
+  palette,
+  clearColor,
+  scrollSource,
+  scrollSpeed = 1,
+  opacity = OPACITY,
+  zIndex = Z_INDEX,
+  controls = true,
+  exportFilename = 'tinyml4d-pixels.png',
+}) => {
+  const containerRef = useRef(null);
+  const rendererRef = useRef(null);
+  const defaultSettings = useMemo(() => ({ ...DEFAULT_SETTINGS, brushSize }), [brushSize]);
+  const [settings, setSettings, settingsReady] = useClientState(() => readSettings(defaultSettings), defaultSettings);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+  const reducedMotion = useReducedMotion();
+  const contextSeed = useSeed();
+  const activeSeed = seed ?? contextSeed;
+  const { pixels: themePixels } = useThemeTokens();
+  const pixels = useMemo(() => ({
+    palette: palette || themePixels.palette,
+    clearColor: clearColor || themePixels.clearColor,
+  }), [themePixels, palette, clearColor]);
+  const pixelsRef = useRef(pixels);
+  pixelsRef.current = pixels;
+  const [perf] = useClientState(isPerfOverlayEnabled, false);
+  const budget = useMemo(() => (perf ? createFrameBudget({ budgetMs: FRAME_BUDGET_MS }) : null), [perf]);
+  const { settings: quality, ready: qualityReady, stepDown } = useRenderQuality();
+  const still = reducedMotion || !quality.animate;
+
+  const saveDrawing = useCallback(() => {
+    const renderer = rendererRef.current;
+    if (!renderer || !settingsRef.current.keepDrawing) return;
+    Promise.resolve(renderer.serialize()).then(drawing => writeJSON(DRAWING_KEY, drawing));
+  }, []);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || !settingsReady || !qualityReady) return;
+
+    // A fresh canvas per mount: control of a canvas can only be transferred once
+    const canvas = document.createElement('canvas');
+    canvas.className = 'block w-full h-full';
+    container.appendChild(canvas);
+
+    const { brushSize: radius, shape, fadeSeconds, keepDrawing } = settingsRef.current;
+    const decayMs = still ? 0 : fadeSeconds * 1000;
+    const source = resolveScrollSource(scrollSource);
+    const options = {
+      ...pixelsRef.current,
+      cellSize: cellSize * quality.cellScale,
+      radius,
+      shape,
+      decayMs,
+      seed: activeSeed,
+    };
+    const governor = createFrameGovernor({
+      budgetMs: QUALITY_BUDGET_MS,
+      sampleSize: QUALITY_SAMPLE_SIZE,
+      onSlow: () => stepDown('pixels'),
+    });
+    const onFrame = (frameTime) => {
+      governor.record(frameTime);
+      if (budget) budget.record(frameTime);
+    };
+    const renderer = offscreen && supportsOffscreen()
+      ? createWorkerRenderer(canvas, options, onFrame)
+      : createPixelRenderer(canvas, { ...options, onFrame });
+    rendererRef.current = renderer;
+
+    let saveTimer;
+    const paintAt = (clientX, clientY, scale) => {
+      const rect = canvas.getBoundingClientRect();
+      renderer.paint(clientX - rect.left, clientY - rect.top, scale);
+      if (settingsRef.current.keepDrawing) {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(saveDrawing, SAVE_DELAY_MS);
+      }
+    };
+
+    const handleResize = () => {
+      renderer.resize(window.innerWidth, window.innerHeight, Math.min(window.devicePixelRatio || 1, quality.maxPixelRatio));
+    };
+
+    const handleScroll = () => {
+      renderer.setScroll(scrollOffset(source) * scrollSpeed);
+    };
+
+    const handlePointerMove = (e) => {
+      // Touch is handled below so that painting never blocks scrolling
+      if (e.pointerType === 'touch') return;
+      const scale = e.pointerType === 'pen' && e.pressure > 0 ? 0.5 + e.pressure : 1;
+      paintAt(e.clientX, e.clientY, scale);
+    };
+
+    const handleTouch = (e) => {
+      Array.from(e.touches).forEach(touch => paintAt(touch.clientX, touch.clientY, 1));
+    };
+
+    handleResize();
+    if (keepDrawing) renderer.load(readJSON(DRAWING_KEY));
+
+    window.addEventListener('resize', handleResize);
+    if (!still) {
+      handleScroll();
+      source.addEventListener('scroll', handleScroll, { passive: true });
+      window.addEventListener('pointermove', handlePointerMove);
+      window.addEventListener('touchstart', handleTouch, { passive: true });
+      window.addEventListener('touchmove', handleTouch, { passive: true });
+    }
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      source.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('touchstart', handleTouch);
+      window.removeEventListener('touchmove', handleTouch);
+      clearTimeout(saveTimer);
+      rendererRef.current = null;
+      canvas.remove();
+      if (!settingsRef.current.keepDrawing) {
+        renderer.destroy();
+        return;
+      }
+      // Save on the way out; a rebuild (a quality step-down, a new seed or
+      // cell size) picks the drawing up, since load() rescales it
+      Promise.resolve(renderer.serialize()).then(drawing => {
+        writeJSON(DRAWING_KEY, drawing);
+        if (rendererRef.current) rendererRef.current.load(drawing);
+      }).finally(() => renderer.destroy());
+    };
+  }, [offscreen, budget, saveDrawing, still, activeSeed, settingsReady, qualityReady, quality, stepDown, cellSize, scrollSource, scrollSpeed]);
+
+  useEffect(() => {
+    if (rendererRef.current) rendererRef.current.setColors(pixels);
+  }, [pixels]);
+
+  // Push brush and fade settings to the renderer and remember them
+  useEffect(() => {
+    const renderer = rendererRef.current;
+    if (renderer) {
+      renderer.setBrush({ radius: settings.brushSize, shape: settings.shape });
+      renderer.setDecay(still ? 0 : settings.fadeSeconds * 1000);
+    }
+    if (settingsReady) writeJSON(SETTINGS_KEY, settings);
+  }, [settings, settingsReady, still]);
+
+  const updateSettings = (changes) => {
+    setSettings(current => ({ ...current, ...changes }));
+    if (changes.keepDrawing === false) removeItem(DRAWING_KEY);
+    if (changes.keepDrawing === true) setTimeout(saveDrawing, 0);
+  };
+
+  const clearDrawing = () => {
+    if (rendererRef.current) rendererRef.current.clear();
+    removeItem(DRAWING_KEY);
+  };
+
+  const exportDrawing = () => {
+    if (!rendererRef.current) return;
+    Promise.resolve(rendererRef.current.toBlob()).then(blob => {
+      if (blob) downloadBlob(blob, exportFilename);
+    });
+  };
+
+  return (
+    <>
+      <div
+        ref={containerRef}
+        className="fixed top-0 left-0 w-full h-full pointer-events-none"
+        style={{ zIndex, opacity }}
+      />
+      {controls && !still && <PaintControls settings={settings} onChange={updateSettings} onClear={clearDrawing} onExport={exportDrawing} />}
+      {budget && <FrameBudgetOverlay label="PixelBackground" budget={budget} />}
+    </>
+  );
+};
+
+export default PixelBackground;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import images from 'virtual:site-images';
+
+const REMOTE_IMAGE = /^https?:\/\//;
+
+/**
+ * COMPONENT: ResponsiveImage
+ * An image from src/assets/images by name ("pillars/learn.jpg"), with the
+ * AVIF/WebP/JPEG variants built by plugins/images.js. `sizes` tells the
+ * browser how wide it is drawn. Loads lazily unless `priority` (above the
+ * fold); until then the blurred placeholder shows. An unknown name (reported
+ * at build time) renders an empty box. An https:// URL, for a photo not yet
+ * committed to the repo, is shown as it is, with the same lazy loading.
+ */
+const ResponsiveImage = ({ image, alt, sizes, priority = false, className = '' }) => {
+  const [loaded, setLoaded] = useState(false);
+  const imgRef = useRef(null);
+  const entry = images[image];
+
+  // Pre-rendered images can finish loading before hydration attaches onLoad
+  useEffect(() => {
+    if (imgRef.current && imgRef.current.complete) setLoaded(true);
+  }, []);
+
+  if (REMOTE_IMAGE.test(image)) {
+    return (
+      <img
+        src={image}
+        alt={alt}
+        loading={priority ? 'eager' : 'lazy'}
+        fetchpriority={priority ? 'high' : undefined}
+        decoding="async"
+        className={className}
+      />
+    );
+  }
+
+  if (!entry) return <div role="img" aria-label={alt} className={`${className} bg-slate-100`} />;
+
+  const placeholder = loaded ? undefined : {
+    backgroundImage: `url(${entry.placeholder})`,
+    backgroundSize: 'cover',
+    backgroundPosition: 'center',
+  };
+
+  return (
+    <picture>
+      {entry.sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img
+        ref={imgRef}
+        src={entry.src}
+        srcSet={entry.srcSet}
+        sizes={sizes}
+        width={entry.width}
+        height={entry.height}
+        alt={alt}
+        loading={priority ? 'eager' : 'lazy'}
+        fetchpriority={priority ? 'high' : undefined}
+        decoding="async"
+        className={className}
+        style={placeholder}
+        onLoad={() => setLoaded(true)}
+      />
+    </picture>
+  );
+};
+
+export default ResponsiveImage;
@@ -0,0 +1,98 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+import { useLocation, useNavigationType } from 'react-router-dom';
+
+const STORAGE_KEY = 'scroll-positions';
+// How long a hash link waits for its target to render
+const HASH_WAIT_MS = 10000;
+
+// Layout effects do nothing (and warn) when pre-rendering
+const useBrowserLayoutEffect = typeof window === 'undefined' ? useEffect : useLayoutEffect;
+
+const readPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * COMPONENT: ScrollManager
+ * Scroll restoration for client-side navigation:
+ * 1. Links with a hash scroll to the matching element, once it is on the
+ *    page: a route whose chunk is still loading (see src/routes.js) renders
+ *    it a moment later
+ * 2. Back/forward (and reload) return to the position the entry was left at
+ * 3. Every other navigation starts at the top
+ *
+ * Runs in a layout effect, so the scroll events HomePage's hero transition
+ * listens for reflect the final position.
+ */
+const ScrollManager = () => {
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const positions = useRef(null);
+  const currentKey = useRef(location.key);
+
+  useEffect(() => {
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    let frame;
+    const handleScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        positions.current[currentKey.current] = window.scrollY;
+        try {
+          sessionStorage.setItem(STORAGE_KEY, JSON.stringify(positions.current));
+        } catch {
+          // Storage full or unavailable: restoration just won't survive reloads
+        }
+      });
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', handleScroll);
+    };
+  }, []);
+
+  useBrowserLayoutEffect(() => {
+    if (!positions.current) positions.current = readPositions();
+    currentKey.current = location.key;
+
+    let observer = null;
+    let timer;
+    if (location.hash) {
+      const id = decodeURIComponent(location.hash.slice(1));
+      const target = document.getElementById(id);
+      if (target) {
+        target.scrollIntoView();
+        return undefined;
+      }
+      observer = new MutationObserver(() => {
+        const found = document.getElementById(id);
+        if (!found) return;
+        observer.disconnect();
+        found.scrollIntoView();
+      });
+      observer.observe(document.body, { childList: true, subtree: true });
+      // A hash that names nothing should not keep watching the page
+      timer = setTimeout(() => observer.disconnect(), HASH_WAIT_MS);
+    }
+
+    const saved = positions.current[location.key];
+    window.scrollTo(0, navigationType === 'POP' && saved !== undefined ? saved : 0);
+
+    return () => {
+      clearTimeout(timer);
+      if (observer) observer.disconnect();
+    };
+  }, [location.key, location.hash, navigationType]);
+
+  return null;
+};
+
+export default ScrollManager;
@@ -0,0 +1,44 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useReducedMotion } from '../context/motion';
+
+/**
+ * COMPONENT: ScrollReveal
+ * Content is shown in place, without sliding in, when motion is reduced.
+ */
+const ScrollReveal = ({ children, className = "" }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const domRef = useRef();
+  const reducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) setIsVisible(true);
+      });
+    }, { threshold: 0.1 });
+    
+    const currentElement = domRef.current;
+    if (currentElement) observer.observe(currentElement);
+    
+    return () => {
+      if (currentElement) observer.unobserve(currentElement);
+    };
+  }, []);
+
+  if (reducedMotion) {
+    return <div ref={domRef} className={className}>{children}</div>;
+  }
+
+  return (
+    <div
+      ref={domRef}
+      className={`transition-all duration-1000 transform ${
+        isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-10'
+      } ${className}`}
+    >
+      {children}
+    </div>
+  );
+};
+
+export default ScrollReveal;
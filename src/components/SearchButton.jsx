@@ -0,0 +1,33 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { useTranslation } from '../context/locale';
+import useClientState from '../hooks/useClientState';
+
+const isApple = () => /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+/**
+ * COMPONENT: SearchButton
+ * Opens the command palette. The icon-only variant shows the keyboard
+ * shortcut in its tooltip; pre-rendered pages say Ctrl+K until hydrated.
+ */
+const SearchButton = ({ onClick, showLabel = false, className = "" }) => {
+  const t = useTranslation();
+  const [apple] = useClientState(isApple, false);
+  const shortcut = apple ? '⌘K' : 'Ctrl+K';
+  const label = t('search.open');
+
+  return (
+    <button
+      onClick={onClick}
+      aria-label={showLabel ? undefined : label}
+      aria-keyshortcuts="Control+K Meta+K"
+      title={`${label} (${shortcut})`}
+      className={`flex items-center gap-2 ${className}`}
+    >
+      <Search size={16} />
+      {showLabel && <span>{label}</span>}
+    </button>
+  );
+};
+
+export default SearchButton;
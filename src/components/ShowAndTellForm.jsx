@@ -0,0 +1,235 @@
+import React, { useMemo } from 'react';
+import { Check, ArrowLeft, ArrowRight, Save } from 'lucide-react';
+import useShowAndTellForm from '../hooks/useShowAndTellForm';
+import useVisitorTime from '../hooks/useVisitorTime';
+import { useLocale } from '../context/locale';
+import { EVENT_REGIONS } from '../content/schema';
+import { eventStart, isUpcoming } from '../lib/calendar';
+import { STEPS, LIMITS, FLEXIBLE_SESSION } from '../lib/showAndTell';
+
+// Suggestions for the hardware field; anything else can be typed in
+const HARDWARE_SUGGESTIONS = [
+  'Arduino Nano 33 BLE Sense',
+  'Arduino Nicla Vision',
+  'Seeed XIAO ESP32S3 Sense',
+  'ESP32-CAM',
+  'Raspberry Pi Pico',
+  'Raspberry Pi 4',
+  'SparkFun Edge',
+];
+
+const INPUT_CLASS = "w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-sm focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all aria-[invalid=true]:border-red-500";
+
+const Field = ({ id, label, hint, error, children }) => (
+  <div>
+    <label htmlFor={id} className="block text-xs font-bold text-slate-700 mb-1 uppercase tracking-wide">{label}</label>
+    {children}
+    {hint && !error && <p id={`${id}-hint`} className="mt-1 text-xs text-slate-500">{hint}</p>}
+    {error && <p id={`${id}-error`} role="alert" className="mt-1 text-sm font-bold text-red-600">{error}</p>}
+  </div>
+);
+
+/**
+ * COMPONENT: ShowAndTellForm
+ * Multi-step application to present at Show & Tell: the talk, the hardware
+ * and session, contact details, then a review before submitting. Drafts are
+ * kept in localStorage until the application is accepted.
+ */
+const ShowAndTellForm = () => {
+  const { t, locale, content } = useLocale();
+  const { now, timeZone } = useVisitorTime();
+
+  const sessions = useMemo(() => content.events.events
+    .filter(event => event.topic === 'show-and-tell' && isUpcoming(event, now))
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start)), [content.events.events, now]);
+  const sessionIds = useMemo(() => sessions.map(event => event.id), [sessions]);
+
+  const {
+    values, setField, step, next, back, goTo, errors,
+    status, error, errorCode, submissionId, submit, reset, restored,
+  } = useShowAndTellForm(sessionIds);
+
+  const dateFormatter = useMemo(() => new Intl.DateTimeFormat(locale, {
+    weekday: 'short', day: 'numeric', month: 'long', year: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short', timeZone,
+  }), [locale, timeZone]);
+
+  const sessionLabel = (id) => {
+    if (id === FLEXIBLE_SESSION) return t('showAndTell.session.flexible');
+    const session = sessions.find(event => event.id === id);
+    return session ? dateFormatter.format(eventStart(session)) : id;
+  };
+
+  const errorText = (field) => errors[field] && t(`showAndTell.error.${errors[field].code}`, errors[field]);
+
+  // Shared props for a text input or textarea bound to one field
+  const bind = (field) => ({
+    id: `show-and-tell-${field}`,
+    value: values[field],
+    onChange: (e) => setField(field, e.target.value),
+    'aria-invalid': Boolean(errors[field]),
+    'aria-describedby': `show-and-tell-${field}-${errors[field] ? 'error' : 'hint'}`,
+    className: INPUT_CLASS,
+  });
+
+  const lengthHint = (field) => t('showAndTell.hint.length', {
+    count: values[field].trim().length, max: LIMITS[field].max,
+  });
+
+  if (status === 'submitted') {
+    return (
+      <div role="status" className="p-8 bg-surface border border-slate-200 shadow-xl space-y-4">
+        <div className="flex items-center gap-3 text-green-700">
+          <Check size={24} className="flex-shrink-0" />
+          <h2 className="text-2xl font-extrabold">{t('showAndTell.confirmation.title')}</h2>
+        </div>
+        <p className="text-slate-600 leading-relaxed">
+          {t('showAndTell.confirmation.body', { title: values.title.trim(), email: values.email.trim() })}
+        </p>
+        <p className="text-sm text-slate-500">
+          {t('showAndTell.confirmation.session', { session: sessionLabel(values.session) })}
+        </p>
+        {submissionId && (
+          <p className="text-xs font-mono text-slate-500">{t('showAndTell.confirmation.reference', { id: submissionId })}</p>
+        )}
+        <button onClick={reset} className="text-sm font-bold text-blue-600 hover:text-blue-800">
+          {t('showAndTell.confirmation.another')}
+        </button>
+      </div>
+    );
+  }
+
+  const current = STEPS[step];
+  const isLast = step === STEPS.length - 1;
+  const isSubmitting = status === 'submitting';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (isLast) submit();
+    else next();
+  };
+
+  const review = [
+    ['title', values.title],
+    ['abstract', values.abstract],
+    ['hardware', values.hardware],
+    ['region', values.region && t(`events.region.${values.region}`)],
+    ['session', values.session && sessionLabel(values.session)],
+    ['name', values.name],
+    ['email', values.email],
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="p-8 bg-surface border border-slate-200 shadow-xl space-y-6">
+      <div className="space-y-2">
+        <h2 className="text-2xl font-extrabold text-slate-900">{t('showAndTell.heading')}</h2>
+        <ol className="flex flex-wrap gap-2 text-xs font-bold uppercase tracking-wide">
+          {STEPS.map(({ id }, index) => (
+            <li key={id}>
+              <button
+                type="button"
+                onClick={() => goTo(index)}
+                disabled={index >= step}
+                aria-current={index === step ? 'step' : undefined}
+                className={`px-2 py-1 border rounded-sm ${index === step ? 'border-blue-600 text-blue-600' : index < step ? 'border-slate-200 text-slate-700 hover:text-blue-600' : 'border-slate-200 text-slate-400'}`}
+              >
+                {index + 1}. {t(`showAndTell.step.${id}`)}
+              </button>
+            </li>
+          ))}
+        </ol>
+        {restored && step === 0 && values.title && (
+          <p className="flex items-center gap-2 text-xs text-slate-500"><Save size={14} /> {t('showAndTell.draftRestored')}</p>
+        )}
+      </div>
+
+      {current.id === 'talk' && (
+        <div className="space-y-4">
+          <Field id="show-and-tell-title" label={t('showAndTell.field.title')} hint={lengthHint('title')} error={errorText('title')}>
+            <input type="text" maxLength={LIMITS.title.max} {...bind('title')} />
+          </Field>
+          <Field id="show-and-tell-abstract" label={t('showAndTell.field.abstract')} hint={lengthHint('abstract')} error={errorText('abstract')}>
+            <textarea rows={6} maxLength={LIMITS.abstract.max} {...bind('abstract')} />
+          </Field>
+        </div>
+      )}
+
+      {current.id === 'details' && (
+        <div className="space-y-4">
+          <Field id="show-and-tell-hardware" label={t('showAndTell.field.hardware')} hint={t('showAndTell.hint.hardware')} error={errorText('hardware')}>
+            <input type="text" list="show-and-tell-hardware-options" maxLength={LIMITS.hardware.max} {...bind('hardware')} />
+            <datalist id="show-and-tell-hardware-options">
+              {HARDWARE_SUGGESTIONS.map(option => <option key={option} value={option} />)}
+            </datalist>
+          </Field>
+          <Field id="show-and-tell-region" label={t('showAndTell.field.region')} error={errorText('region')}>
+            <select {...bind('region')}>
+              <option value="">{t('showAndTell.choose')}</option>
+              {EVENT_REGIONS.map(region => (
+                <option key={region} value={region}>{t(`events.region.${region}`)}</option>
+              ))}
+            </select>
+          </Field>
+          <Field id="show-and-tell-session" label={t('showAndTell.field.session')} hint={t('showAndTell.hint.session')} error={errorText('session')}>
+            <select {...bind('session')}>
+              <option value="">{t('showAndTell.choose')}</option>
+              {sessions.map(session => (
+                <option key={session.id} value={session.id}>{sessionLabel(session.id)}</option>
+              ))}
+              <option value={FLEXIBLE_SESSION}>{t('showAndTell.session.flexible')}</option>
+            </select>
+          </Field>
+        </div>
+      )}
+
+      {current.id === 'contact' && (
+        <div className="space-y-4">
+          <Field id="show-and-tell-name" label={t('showAndTell.field.name')} error={errorText('name')}>
+            <input type="text" autoComplete="name" maxLength={LIMITS.name.max} {...bind('name')} />
+          </Field>
+          <Field id="show-and-tell-email" label={t('showAndTell.field.email')} hint={t('showAndTell.hint.email')} error={errorText('email')}>
+            <input type="email" autoComplete="email" {...bind('email')} />
+          </Field>
+        </div>
+      )}
+
+      {current.id === 'review' && (
+        <dl className="divide-y divide-slate-200 border-y border-slate-200">
+          {review.map(([field, value]) => (
+            <div key={field} className="py-3 grid sm:grid-cols-3 gap-1">
+              <dt className="text-xs font-bold uppercase tracking-wide text-slate-500">{t(`showAndTell.field.${field}`)}</dt>
+              <dd className="sm:col-span-2 text-sm text-slate-900 whitespace-pre-line break-words">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {status === 'error' && (
+        <p role="alert" className="text-sm font-bold text-red-600">{t(`showAndTell.error.${errorCode}`, {}, error)}</p>
+      )}
+
+      <div className="flex items-center gap-3">
+        {step > 0 && (
+          <button
+            type="button"
+            onClick={back}
+            className="flex items-center gap-2 px-4 py-3 border border-slate-200 rounded-sm font-bold text-slate-700 hover:bg-slate-50 transition-colors"
+          >
+            <ArrowLeft size={16} className="rtl:rotate-180" /> {t('showAndTell.back')}
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="ms-auto flex items-center gap-2 px-6 py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-bold rounded-sm transition-colors"
+        >
+          {isLast
+            ? (isSubmitting ? t('showAndTell.submitting') : t('showAndTell.submit'))
+            : <>{t('showAndTell.next')} <ArrowRight size={16} className="rtl:rotate-180" /></>}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ShowAndTellForm;
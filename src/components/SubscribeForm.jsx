@@ -0,0 +1,82 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import useSubscription from '../hooks/useSubscription';
+import { useTranslation } from '../context/locale';
+
+// Message ids for the statuses that replace the form
+const MESSAGES = {
+  pending: 'subscribe.pending',
+  'already-subscribed': 'subscribe.alreadySubscribed',
+};
+
+/**
+ * COMPONENT: SubscribeForm
+ * Email signup shared by the announcements and the footer.
+ * `source` ("modal" | "footer" | "banner") is recorded with the signup;
+ * `variant` only changes the layout.
+ */
+const SubscribeForm = ({ source, variant = "footer" }) => {
+  const { email, setEmail, status, error, errorCode, submit } = useSubscription(source);
+  const t = useTranslation();
+  const isSubmitting = status === 'submitting';
+
+  if (MESSAGES[status]) {
+    return (
+      <div role="status" className="flex items-start gap-3 p-4 bg-green-50 border border-green-200 rounded-sm text-sm text-green-800">
+        <Check size={18} className="flex-shrink-0 mt-0.5" />
+        <span>{t(MESSAGES[status])}</span>
+      </div>
+    );
+  }
+
+  const errorMessage = status === 'error' && (
+    <p role="alert" className="mt-2 text-sm font-bold text-red-600">{t(`subscribe.error.${errorCode}`, {}, error)}</p>
+  );
+
+  if (variant === 'modal') {
+    return (
+      <form className="space-y-4" onSubmit={submit} noValidate>
+        <div>
+          <label htmlFor="subscribe-modal-email" className="block text-xs font-bold text-slate-700 mb-1 uppercase tracking-wide">{t('subscribe.earlyAccess')}</label>
+          <input 
+            id="subscribe-modal-email"
+            type="email" 
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder={t('subscribe.placeholderLong')}
+            className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-sm focus:ring-2 focus:ring-blue-500 focus:outline-none transition-all"
+            aria-invalid={status === 'error'}
+            required 
+          />
+          {errorMessage}
+        </div>
+        <button type="submit" disabled={isSubmitting} className="w-full py-3 bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white font-bold rounded-sm transition-colors shadow-lg shadow-blue-500/30">
+          {isSubmitting ? t('subscribe.submitting') : t('subscribe.submitUpdates')}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} noValidate>
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input 
+          type="email" 
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder={t('subscribe.placeholder')}
+          aria-label={t('subscribe.emailLabel')}
+          aria-invalid={status === 'error'}
+          className="flex-1 px-4 py-3 bg-slate-50 border border-slate-200 rounded-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          required
+        />
+        <button type="submit" disabled={isSubmitting} className="px-6 py-3 bg-slate-900 text-slate-50 font-bold rounded-sm hover:bg-slate-800 disabled:opacity-60 transition-colors">
+          {isSubmitting ? t('subscribe.submitting') : t('subscribe.submit')}
+        </button>
+      </div>
+      {errorMessage}
+    </form>
+  );
+};
+
+export default SubscribeForm;
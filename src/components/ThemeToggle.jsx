@@ -0,0 +1,33 @@
+import React from 'react';
+import { Monitor, Sun, Moon } from 'lucide-react';
+import { useTheme, THEME_PREFERENCES } from '../context/theme';
+import { useTranslation } from '../context/locale';
+
+const ICONS = { system: Monitor, light: Sun, dark: Moon };
+
+/**
+ * COMPONENT: ThemeToggle
+ * Cycles the theme preference: system, light, dark.
+ */
+const ThemeToggle = ({ showLabel = false, className = "" }) => {
+  const { preference, setPreference } = useTheme();
+  const t = useTranslation();
+
+  const next = THEME_PREFERENCES[(THEME_PREFERENCES.indexOf(preference) + 1) % THEME_PREFERENCES.length];
+  const label = t('theme.label', { theme: t(`theme.${preference}`) });
+  const Icon = ICONS[preference];
+
+  return (
+    <button
+      onClick={() => setPreference(next)}
+      aria-label={showLabel ? undefined : label}
+      title={label}
+      className={`flex items-center gap-2 ${className}`}
+    >
+      <Icon size={16} />
+      {showLabel && <span>{label}</span>}
+    </button>
+  );
+};
+
+export default ThemeToggle;
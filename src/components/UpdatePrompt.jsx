@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { useTranslation } from '../context/locale';
+import useAppUpdate from '../hooks/useAppUpdate';
+
+/**
+ * COMPONENT: UpdatePrompt
+ * Offers to reload once a new version of the site has been downloaded in the
+ * background. "Later" hides it; the update then applies on the next visit.
+ */
+const UpdatePrompt = () => {
+  const t = useTranslation();
+  const { updateReady, applyUpdate } = useAppUpdate();
+  const [dismissed, setDismissed] = useState(false);
+  if (!updateReady || dismissed) return null;
+
+  return (
+    <div role="alert" className="fixed top-24 end-4 z-50 max-w-sm p-4 bg-surface border border-slate-200 shadow-xl flex items-start gap-3">
+      <RefreshCw size={20} className="mt-0.5 text-blue-600 shrink-0" />
+      <div className="flex-1 space-y-3">
+        <p className="text-sm font-bold text-slate-900">{t('update.message')}</p>
+        <div className="flex gap-2">
+          <button
+            onClick={applyUpdate}
+            className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold rounded-sm transition-colors"
+          >
+            {t('update.reload')}
+          </button>
+          <button
+            onClick={() => setDismissed(true)}
+            className="px-3 py-1.5 border border-slate-200 text-slate-700 hover:bg-slate-50 text-sm font-bold rounded-sm transition-colors"
+          >
+            {t('update.later')}
+          </button>
+        </div>
+      </div>
+      <button onClick={() => setDismissed(true)} aria-label={t('update.dismiss')} className="text-slate-400 hover:text-slate-900 transition-colors">
+        <X size={18} />
+      </button>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
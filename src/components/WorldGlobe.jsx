@@ -0,0 +1,344 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { MapPin } from 'lucide-react';
+import { createShape, latLngToVector } from '../lib/shapes';
+import { createMorphParticles } from '../lib/morphParticles';
+import { randomFor } from '../lib/random';
+import { createFrameGovernor } from '../lib/renderQuality';
+import { animationScheduler } from '../lib/animationScheduler';
+import { disposeObject, watchContextLoss } from '../lib/webgl';
+import { useReducedMotion } from '../context/motion';
+import { useThemeTokens } from '../context/theme';
+import { useLocale } from '../context/locale';
+import { useSeed } from '../context/random';
+import { useRenderQuality } from '../context/quality';
+import { LOCATION_KINDS } from '../content/schema';
+
+const RADIUS = 3.5;
+// Morph progress at which every particle has arrived (the shader delays some by up to 0.25)
+const MORPH_END = 1.25;
+const MORPH_MS = 2500;
+const ROTATION_SPEED = 0.0025;
+// How close (in CSS pixels) the pointer must be to a location to pick it
+const PICK_RADIUS = 18;
+// Africa faces the camera first
+const START_ROTATION = (-20 * Math.PI) / 180;
+// Average time between frames (ms) past which the globe asks for a lower tier
+const FRAME_BUDGET_MS = 34;
+
+const LocationList = ({ locations, t }) => (
+  <div className="grid sm:grid-cols-2 gap-6 text-start">
+    {LOCATION_KINDS.map(kind => (
+      <div key={kind}>
+        <h3 className="text-xs font-bold uppercase tracking-wide text-slate-500 mb-2">{t(`globe.kind.${kind}`)}</h3>
+        <ul className="space-y-1 text-sm text-slate-700">
+          {locations.filter(location => location.kind === kind).map(location => (
+            <li key={location.id}>
+              {location.name}
+              {location.detail && <span className="text-slate-500"> · {location.detail}</span>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    ))}
+  </div>
+);
+
+/**
+ * COMPONENT: WorldGlobe
+ * Particles from ParticleMorphScene's sphere settling onto the countries and
+ * workshop sites in src/content/locations.json. Drag to turn the globe;
+ * hovering or tapping a cluster names the locations there. Browsers without
+ * WebGL (or that refuse a WebGL context), and the poster render quality tier
+ * (src/context/quality.jsx), get the same locations as a list; the reduced
+ * tier draws fewer particles.
+ *
+ * Frames come from the shared animation scheduler
+ * (src/lib/animationScheduler.js), so the scene only animates while it is on
+ * screen and the tab is showing. With reduced motion the particles start in
+ * place, the globe does not turn by itself and frames are only drawn after a
+ * drag or theme change. A lost WebGL context is rebuilt once restored.
+ * `seed` (or the RandomProvider's seed) fixes the particle layout.
+ */
+const WorldGlobe = ({ particleCount = 2000, seed }) => {
+  const { t, content } = useLocale();
+  const { locations } = content.locations;
+  const reducedMotion = useReducedMotion();
+  const contextSeed = useSeed();
+  const activeSeed = seed ?? contextSeed;
+  const { particles: palette } = useThemeTokens();
+  const paletteRef = useRef(palette);
+  paletteRef.current = palette;
+  const recolorRef = useRef(null);
+  const { tier, settings: quality, reason, ready: qualityReady, stepDown } = useRenderQuality();
+  // Set when the browser refuses a WebGL context; the list is shown instead
+  const [webglFailed, setWebglFailed] = useState(false);
+  // null until the tier is settled, which can only happen in the browser
+  const webgl = qualityReady ? tier !== 'poster' && !webglFailed : null;
+  const count = Math.max(1, Math.round(particleCount * quality.particleScale));
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const tooltipRef = useRef(null);
+  const activeRef = useRef(null);
+  // Counts WebGL context restores; each one rebuilds the scene
+  const [contextRestores, setContextRestores] = useState(0);
+  // { indices, x, y }: the locations under the pointer, nearest first, and where to point at
+  const [active, setActiveState] = useState(null);
+
+  useEffect(() => {
+    if (!webgl) return undefined;
+    const container = containerRef.current;
+    const canvas = canvasRef.current;
+    let width = container.clientWidth;
+    let height = container.clientHeight;
+
+    // WebGL can still be missing or blocklisted past the quality probe
+    let renderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: quality.antialias, alpha: true, canvas });
+    } catch {
+      setWebglFailed(true);
+      return undefined;
+    }
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(45, width / height, 0.1, 100);
+    camera.position.z = 11;
+
+    renderer.setSize(width, height, false);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio));
+
+    const group = new THREE.Group();
+    group.rotation.set(0.3, START_ROTATION, 0);
+    scene.add(group);
+
+    const random = randomFor(activeSeed, 'globe');
+    const sphere = createShape('sphere', count, { radius: RADIUS }, random);
+    const globe = createShape('globe', count, { radius: RADIUS, points: locations }, random);
+    const particles = createMorphParticles({
+      count,
+      particleSize: 0.08,
+      colors: paletteRef.current.colors,
+      random,
+    });
+    particles.setShapes(sphere, globe);
+    group.add(particles.object);
+
+    const anchors = locations.map(({ lat, lng }) => new THREE.Vector3(...latLngToVector(lat, lng, RADIUS)));
+    const projected = new THREE.Vector3();
+    const toCamera = new THREE.Vector3();
+
+    // Screen position of a location, and whether it is on the near side
+    const screenPosition = (index) => {
+      projected.copy(anchors[index]).applyMatrix4(group.matrixWorld);
+      const facing = projected.dot(toCamera.copy(camera.position).sub(projected)) > 0;
+      projected.project(camera);
+      return { x: ((projected.x + 1) / 2) * width, y: ((1 - projected.y) / 2) * height, facing };
+    };
+
+    const pick = (x, y) => {
+      group.updateMatrixWorld();
+      const hits = anchors
+        .map((_, index) => ({ index, ...screenPosition(index) }))
+        .filter(hit => hit.facing)
+        .map(hit => ({ index: hit.index, distance: Math.hypot(hit.x - x, hit.y - y) }))
+        .filter(hit => hit.distance < PICK_RADIUS)
+        .sort((a, b) => a.distance - b.distance);
+      return hits.length ? hits.map(hit => hit.index) : null;
+    };
+
+    const setActive = (indices) => {
+      const current = activeRef.current;
+      if (current === indices || (current && indices && current.join() === indices.join())) return;
+      activeRef.current = indices;
+      setActiveState(indices && { indices, ...screenPosition(indices[0]) });
+    };
+
+    // Keep the tooltip on its location as the globe turns; drop it once it goes round the back
+    const placeTooltip = () => {
+      if (!activeRef.current || !tooltipRef.current) return;
+      const { x, y, facing } = screenPosition(activeRef.current[0]);
+      if (!facing) {
+        setActive(null);
+        return;
+      }
+      tooltipRef.current.style.transform = `translate(${x}px, ${y}px)`;
+    };
+
+    let morph = reducedMotion ? MORPH_END : 0;
+    let morphStart = null;
+    let spin = 0;
+    let drag = null;
+    const governor = createFrameGovernor({ budgetMs: FRAME_BUDGET_MS, onSlow: () => stepDown('globe') });
+
+    // Only runs while the globe is on screen
+    const tick = (time, delta) => {
+      if (!reducedMotion) {
+        if (delta) governor.record(delta);
+        // The particles settle once the globe first scrolls into view
+        if (morphStart === null) morphStart = time;
+        morph = Math.min(MORPH_END, ((time - morphStart) / MORPH_MS) * MORPH_END);
+        spin += 1;
+        // Hold still while someone is reading a tooltip or dragging
+        if (!drag && !activeRef.current) group.rotation.y += ROTATION_SPEED;
+      }
+      particles.update(morph, spin);
+      renderer.render(scene, camera);
+      placeTooltip();
+      return !reducedMotion;
+    };
+
+    const task = animationScheduler.add(tick, { element: container });
+    const schedule = () => task.wake();
+
+    const pointerPosition = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    const onPointerDown = (e) => {
+      drag = { x: e.clientX, y: e.clientY, rotation: group.rotation.clone(), moved: false };
+      canvas.setPointerCapture(e.pointerId);
+    };
+
+    const onPointerMove = (e) => {
+      if (drag) {
+        const dx = e.clientX - drag.x;
+        const dy = e.clientY - drag.y;
+        if (Math.hypot(dx, dy) > 4) drag.moved = true;
+        if (!drag.moved) return;
+        setActive(null);
+        group.rotation.y = drag.rotation.y + dx * 0.01;
+        group.rotation.x = Math.max(-1, Math.min(1, drag.rotation.x + dy * 0.01));
+        schedule();
+        return;
+      }
+      if (e.pointerType === 'mouse') {
+        const { x, y } = pointerPosition(e);
+        setActive(pick(x, y));
+        schedule();
+      }
+    };
+
+    const onPointerUp = (e) => {
+      const tapped = drag && !drag.moved;
+      drag = null;
+      if (tapped) {
+        const { x, y } = pointerPosition(e);
+        setActive(pick(x, y));
+        schedule();
+      }
+    };
+
+    const onPointerCancel = () => {
+      drag = null;
+    };
+
+    const onPointerLeave = (e) => {
+      if (e.pointerType === 'mouse' && !drag) setActive(null);
+    };
+
+    const onResize = () => {
+      width = container.clientWidth;
+      height = container.clientHeight;
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      renderer.setSize(width, height, false);
+      schedule();
+    };
+
+    const stopWatchingContext = watchContextLoss(canvas, {
+      onLost: () => task.sleep(),
+      onRestored: () => setContextRestores(count => count + 1),
+    });
+    schedule();
+
+    recolorRef.current = (colors) => {
+      particles.setColors(colors);
+      schedule();
+    };
+
+    canvas.addEventListener('pointerdown', onPointerDown);
+    canvas.addEventListener('pointermove', onPointerMove);
+    canvas.addEventListener('pointerup', onPointerUp);
+    canvas.addEventListener('pointercancel', onPointerCancel);
+    canvas.addEventListener('pointerleave', onPointerLeave);
+    window.addEventListener('resize', onResize);
+
+    return () => {
+      recolorRef.current = null;
+      activeRef.current = null;
+      setActiveState(null);
+      task.remove();
+      stopWatchingContext();
+      canvas.removeEventListener('pointerdown', onPointerDown);
+      canvas.removeEventListener('pointermove', onPointerMove);
+      canvas.removeEventListener('pointerup', onPointerUp);
+      canvas.removeEventListener('pointercancel', onPointerCancel);
+      canvas.removeEventListener('pointerleave', onPointerLeave);
+      window.removeEventListener('resize', onResize);
+      disposeObject(scene);
+      particles.dispose();
+      renderer.dispose();
+    };
+  }, [webgl, locations, count, quality, reducedMotion, activeSeed, stepDown, contextRestores]);
+
+  useEffect(() => {
+    if (recolorRef.current) recolorRef.current(palette.colors);
+  }, [palette]);
+
+  if (webgl === false) {
+    return (
+      <div className="bg-surface border border-slate-200 p-6 space-y-4">
+        <p className="text-sm text-slate-500">{t(reason === 'no-webgl' || webglFailed ? 'globe.fallback' : 'globe.lowPower')}</p>
+        <LocationList locations={locations} t={t} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div ref={containerRef} className="relative w-full max-w-xl aspect-square mx-auto">
+        <canvas
+          ref={canvasRef}
+          className="block w-full h-full outline-none cursor-grab active:cursor-grabbing"
+          style={{ touchAction: 'pan-y' }}
+          aria-label={t('globe.label', { count: locations.length })}
+          role="img"
+        />
+        {active && (
+          <div
+            ref={tooltipRef}
+            className="pointer-events-none absolute top-0 left-0 will-change-transform"
+            style={{ transform: `translate(${active.x}px, ${active.y}px)` }}
+          >
+            <div role="status" className="-translate-x-1/2 -translate-y-full -mt-3 px-3 py-2 bg-slate-900 text-slate-50 text-sm rounded-sm shadow-lg whitespace-nowrap">
+              {active.indices.map(index => {
+                const location = locations[index];
+                return (
+                  <p key={location.id} className="flex items-center gap-2">
+                    <MapPin size={14} className="flex-shrink-0" />
+                    <span className="font-bold">{location.name}</span>
+                    <span className="text-slate-400">{location.detail || t(`globe.kind.${location.kind}`)}</span>
+                  </p>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+      <p className="text-center text-xs text-slate-500">{t('globe.hint')}</p>
+      <details className="max-w-3xl mx-auto">
+        <summary className="cursor-pointer text-center text-sm font-bold text-slate-700 hover:text-blue-600">
+          {t('globe.list', { count: locations.length })}
+        </summary>
+        <div className="mt-4 bg-surface border border-slate-200 p-6">
+          <LocationList locations={locations} t={t} />
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default WorldGlobe;
@@ -0,0 +1,39 @@
+import { Github, Globe, Users, Zap, Layers } from 'lucide-react';
+import content from 'virtual:site-content';
+import liveStats from 'virtual:site-stats';
+import { renderTime } from '../lib/hydration';
+
+// Icon names used in src/content map onto these components (see ICON_NAMES in src/content/schema.js).
+export const CONTENT_ICONS = { Github, Globe, Users, Zap, Layers };
+
+// Accent names used in src/content. Full class strings so Tailwind can see them.
+export const ACCENTS = {
+  blue: { text: 'text-blue-600', border: 'border-blue-600', overlay: 'bg-blue-600' },
+  green: { text: 'text-green-600', border: 'border-green-600', overlay: 'bg-green-600' },
+  red: { text: 'text-red-600', border: 'border-red-600', overlay: 'bg-red-600' },
+  yellow: { text: 'text-yellow-600', border: 'border-yellow-600', overlay: 'bg-yellow-600' },
+  slate: { text: 'text-slate-900', border: 'border-slate-900', overlay: 'bg-slate-900' },
+};
+
+// Stats counted from other content files rather than fetched at build time,
+// as of `now`
+const CONTENT_STATS = {
+  // Sessions that have taken place, so the count grows as the calendar moves on
+  'events:sessions': (now) => content.events.events.filter(event => Date.parse(event.start) <= now).length,
+};
+
+/**
+ * A stat from stats.json with its live value from the build-time snapshot
+ * (see plugins/stats.js) and when that value was fetched. Without a usable
+ * snapshot value the stat keeps its value from stats.json. Stats counted from
+ * content are counted at `now`; pass the render time (src/lib/hydration.js) so
+ * pre-rendered HTML and hydration agree.
+ */
+export const resolveStat = (stat, now = renderTime()) => {
+  if (CONTENT_STATS[stat.source]) return { ...stat, value: CONTENT_STATS[stat.source](now) };
+  const live = stat.source && liveStats.values[stat.source];
+  if (!live || !Number.isFinite(live.value)) return stat;
+  return { ...stat, value: live.value, updatedAt: live.updatedAt };
+};
+
+export default content;
@@ -0,0 +1,318 @@
+/**
+ * CONTENT SCHEMA
+ * Describes the shape of every file in src/content. The build validates each
+ * file against this schema (see plugins/content.js) and refuses to continue
+ * when something is malformed, listing every problem with its JSON path.
+ *
+ * Validators return an array of problem strings; an empty array means valid.
+ */
+
+// Icons the page knows how to render. Keep in sync with CONTENT_ICONS in src/content/index.js.
+export const ICON_NAMES = ['Github', 'Globe', 'Users', 'Zap', 'Layers'];
+
+// Accent colours available to stats and pillars. Keep in sync with ACCENTS in src/content/index.js.
+export const ACCENT_NAMES = ['blue', 'green', 'red', 'yellow', 'slate'];
+
+// Event filters. Each needs an events.region.* / events.topic.* message in src/locales.
+export const EVENT_REGIONS = ['africa', 'asia', 'europe', 'latin-america', 'middle-east', 'north-america', 'online'];
+export const EVENT_TOPICS = ['foundations', 'hardware', 'deployment', 'curriculum', 'research', 'show-and-tell'];
+
+// What a point on the world-reach globe marks. Each needs a globe.kind.* message in src/locales.
+export const LOCATION_KINDS = ['country', 'workshop'];
+
+// Currencies donations can be taken in (ISO 4217 codes).
+export const DONATION_CURRENCIES = ['USD', 'EUR'];
+
+// Components a page can show below its text. Keep in sync with EMBED_COMPONENTS in src/routes.js.
+export const PAGE_EMBEDS = ['events', 'show-and-tell-form', 'donate', 'downloads'];
+
+// Who an announcement is shown to, and how (see src/lib/announcements.js)
+export const ANNOUNCEMENT_AUDIENCES = ['everyone', 'new-visitors', 'returning-visitors', 'not-subscribed'];
+export const ANNOUNCEMENT_PRESENTATIONS = ['modal', 'banner'];
+export const ANNOUNCEMENT_CTA_TYPES = ['link', 'subscribe'];
+
+const describe = (value) => {
+  if (Array.isArray(value)) return 'a list';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return `"${value}"`;
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${value}`;
+};
+
+const optional = (validator) => ({ ...validator, optional: true });
+
+const string = ({ pattern, hint } = {}) => ({
+  check: (value, path) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      return [`${path} must be a non-empty text value, got ${describe(value)}`];
+    }
+    if (pattern && !pattern.test(value)) {
+      return [`${path} ${hint}, got ${describe(value)}`];
+    }
+    return [];
+  },
+});
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => ({
+  check: (value, path) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return [`${path} must be a number, got ${describe(value)}`];
+    }
+    if (integer && !Number.isInteger(value)) return [`${path} must be a whole number, got ${value}`];
+    if (value < min) return [`${path} must be at least ${min}, got ${value}`];
+    if (value > max) return [`${path} must be at most ${max}, got ${value}`];
+    return [];
+  },
+});
+
+const oneOf = (values) => ({
+  check: (value, path) => (values.includes(value)
+    ? []
+    : [`${path} must be one of ${values.join(', ')}, got ${describe(value)}`]),
+});
+
+const array = (item, { minLength = 0 } = {}) => ({
+  check: (value, path) => {
+    if (!Array.isArray(value)) return [`${path} must be a list, got ${describe(value)}`];
+    if (value.length < minLength) return [`${path} must contain at least ${minLength} entr${minLength === 1 ? 'y' : 'ies'}`];
+    return value.flatMap((entry, i) => item.check(entry, `${path}[${i}]`));
+  },
+});
+
+const object = (shape) => ({
+  check: (value, path) => {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return [`${path} must be an object, got ${describe(value)}`];
+    }
+    const problems = Object.keys(value)
+      .filter(key => !(key in shape))
+      .map(key => `${path}.${key} is not a known field (expected one of ${Object.keys(shape).join(', ')})`);
+
+    Object.entries(shape).forEach(([key, validator]) => {
+      if (value[key] === undefined) {
+        if (!validator.optional) problems.push(`${path}.${key} is required`);
+        return;
+      }
+      problems.push(...validator.check(value[key], `${path}.${key}`));
+    });
+    return problems;
+  },
+});
+
+// A mark is either a lettered badge or one of the known icons.
+const partnerMark = {
+  check: (value, path) => {
+    if (value && value.style === 'icon') {
+      return object({ style: oneOf(['icon']), icon: oneOf(ICON_NAMES) }).check(value, path);
+    }
+    return object({ style: oneOf(['circle', 'square', 'serif', 'icon']), text: string() }).check(value, path);
+  },
+};
+
+// A bare "#" goes nowhere, so in-page anchors need a name
+const href = string({ pattern: /^(#[\w-]|\/|https?:\/\/|mailto:)/, hint: 'must be an #anchor or start with /, http(s):// or mailto:' });
+
+const link = object({ label: string(), href });
+
+const slug = string({ pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'must be lowercase letters, digits and dashes' });
+
+// A file in src/assets/images, served through plugins/images.js, or an
+// https:// URL for a photo that has not been committed yet
+const image = string({
+  pattern: /^(https:\/\/\S+|[\w-]+(\/[\w-]+)*\.(jpe?g|png|webp))$/,
+  hint: 'must name a file in src/assets/images, e.g. pillars/learn.jpg, or be an https:// URL',
+});
+const utcTime = string({ pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?Z$/, hint: 'must be a UTC time like 2026-03-17T14:00Z' });
+
+export const contentSchema = {
+  navigation: object({
+    sections: array(object({ label: string(), items: array(link, { minLength: 1 }) }), { minLength: 1 }),
+    links: optional(array(link)),
+  }),
+  stats: object({
+    stats: array(object({
+      label: string(),
+      value: number({ min: 0, integer: true }),
+      // Where the live value comes from (plugins/stats.js, or events.json for
+      // events:sessions); `value` is the fallback
+      source: optional(string({
+        pattern: /^(github:[\w.-]+\/[\w.-]+|community:[a-z][\w-]*|events:sessions)$/,
+        hint: 'must be github:<owner>/<repo>, community:<key> or events:sessions',
+      })),
+      suffix: optional(string()),
+      icon: oneOf(ICON_NAMES),
+      accent: oneOf(ACCENT_NAMES),
+    }), { minLength: 1 }),
+  }),
+  pillars: object({
+    heading: string(),
+    pillars: array(object({
+      title: string(),
+      accent: oneOf(ACCENT_NAMES),
+      image,
+      imageAlt: string(),
+      description: string(),
+      highlights: array(string()),
+    }), { minLength: 1 }),
+  }),
+  partners: object({
+    heading: string(),
+    intro: optional(string()),
+    partners: array(object({ name: string(), mark: partnerMark })),
+  }),
+  footer: object({
+    brand: string(),
+    tagline: string(),
+    social: array(object({ label: string(), icon: oneOf(ICON_NAMES), href })),
+    columns: array(object({ heading: string(), links: array(link) })),
+    legal: array(link),
+    copyright: string(),
+  }),
+  pages: object({
+    pages: array(object({
+      path: string({ pattern: /^\/[a-z0-9-]+(\/[a-z0-9-]+)*$/, hint: 'must look like /section/page-name (lowercase, digits and dashes)' }),
+      section: optional(string()),
+      title: string(),
+      summary: string(),
+      body: array(string(), { minLength: 1 }),
+      links: optional(array(link)),
+      embed: optional(oneOf(PAGE_EMBEDS)),
+    }), { minLength: 1 }),
+  }),
+  events: object({
+    events: array(object({
+      id: slug,
+      title: string(),
+      start: utcTime,
+      durationMinutes: number({ min: 1, integer: true }),
+      // The host's IANA time zone, to show the local start time alongside the visitor's
+      timeZone: optional(string({ pattern: /^[A-Za-z_]+(\/[A-Za-z_+-]+)+$/, hint: 'must be an IANA time zone like Africa/Nairobi' })),
+      region: oneOf(EVENT_REGIONS),
+      topic: oneOf(EVENT_TOPICS),
+      location: string(),
+      description: string(),
+      url: optional(href),
+    })),
+  }),
+  locations: object({
+    heading: string(),
+    intro: optional(string()),
+    locations: array(object({
+      id: slug,
+      name: string(),
+      kind: oneOf(LOCATION_KINDS),
+      lat: number({ min: -90, max: 90 }),
+      lng: number({ min: -180, max: 180 }),
+      detail: optional(string()),
+    }), { minLength: 1 }),
+  }),
+  campaigns: object({
+    currency: oneOf(DONATION_CURRENCIES),
+    // Preset amounts offered by the donation form, in whole currency units
+    tiers: array(number({ min: 1, integer: true }), { minLength: 1 }),
+    campaigns: array(object({
+      id: slug,
+      title: string(),
+      description: string(),
+      goal: number({ min: 1, integer: true }),
+      // Raised so far, updated by hand from the payment provider's dashboard
+      raised: number({ min: 0, integer: true }),
+      // Open Collective project (or collective) slug that collects for this
+      // campaign; without one the Open Collective provider refuses it
+      openCollective: optional(slug),
+    }), { minLength: 1 }),
+  }),
+  announcements: object({
+    announcements: array(object({
+      id: slug,
+      presentation: oneOf(ANNOUNCEMENT_PRESENTATIONS),
+      audience: oneOf(ANNOUNCEMENT_AUDIENCES),
+      badge: optional(string()),
+      title: string(),
+      body: string(),
+      // A link needs a label and href; subscribe shows the newsletter form
+      cta: optional(object({ type: oneOf(ANNOUNCEMENT_CTA_TYPES), label: optional(string()), href: optional(href) })),
+      // Shown from `start` until `end`; either may be left open
+      start: optional(utcTime),
+      end: optional(utcTime),
+      // Higher goes first when several are due at once
+      priority: optional(number({ integer: true })),
+      // Frequency cap: how many times in all, and how long to wait between showings
+      maxViews: optional(number({ min: 1, integer: true })),
+      cooldownHours: optional(number({ min: 0 })),
+    })),
+  }),
+  downloads: object({
+    downloads: array(object({
+      id: slug,
+      title: string(),
+      description: string(),
+      // Served from this site, so visitors can save it for offline use
+      href: string({ pattern: /^\/downloads\/[\w.-]+$/, hint: 'must be a file in public/downloads, e.g. /downloads/lab-1.pdf' }),
+      // Shown next to the title, e.g. PDF or CSV
+      format: string(),
+    }), { minLength: 1 }),
+  }),
+};
+
+// Paths the app routes itself rather than through pages.json.
+export const APP_ROUTES = ['/'];
+
+const duplicateIds = (file, entries, noun) => {
+  const ids = entries.map(entry => entry.id);
+  return ids
+    .filter((id, i) => ids.indexOf(id) !== i)
+    .map(id => `${file}: ${id} is used by more than one ${noun}`);
+};
+
+/**
+ * Cross-file check run once every file is valid on its own: every site path
+ * ("/...") linked from the navigation, footer or pages must exist, and page
+ * paths and event, location, campaign, announcement and download ids must
+ * be unique.
+ * Announcements must end after they start and link CTAs need a label and href.
+ */
+export const validateSiteLinks = (content) => {
+  const paths = content.pages.pages.map(page => page.path);
+  const problems = paths
+    .filter((path, i) => paths.indexOf(path) !== i)
+    .map(path => `pages: ${path} is defined more than once`);
+
+  problems.push(
+    ...duplicateIds('events', content.events.events, 'event'),
+    ...duplicateIds('locations', content.locations.locations, 'location'),
+    ...duplicateIds('campaigns', content.campaigns.campaigns, 'campaign'),
+    ...duplicateIds('announcements', content.announcements.announcements, 'announcement'),
+    ...duplicateIds('downloads', content.downloads.downloads, 'download'),
+  );
+
+  content.announcements.announcements.forEach(({ id, start, end, cta }) => {
+    if (start && end && Date.parse(end) <= Date.parse(start)) problems.push(`announcements: ${id} ends before it starts`);
+    if (cta && cta.type === 'link' && !(cta.label && cta.href)) problems.push(`announcements: ${id} has a link CTA without a label and href`);
+  });
+
+  const known = new Set([...APP_ROUTES, ...paths]);
+  const check = (file, links) => links.forEach(({ label, href }) => {
+    if (!href.startsWith('/')) return;
+    const path = href.split('#')[0] || '/';
+    if (!known.has(path)) problems.push(`${file}: "${label}" links to ${href}, which is not a page in pages.json`);
+  });
+
+  check('navigation', [...content.navigation.sections.flatMap(section => section.items), ...(content.navigation.links || [])]);
+  check('footer', [...content.footer.columns.flatMap(column => column.links), ...content.footer.legal, ...content.footer.social]);
+  check('pages', content.pages.pages.flatMap(page => page.links || []));
+  check('events', content.events.events.filter(event => event.url).map(event => ({ label: event.title, href: event.url })));
+  check('announcements', content.announcements.announcements
+    .filter(({ cta }) => cta && cta.href)
+    .map(({ cta }) => ({ label: cta.label, href: cta.href })));
+  return problems;
+};
+
+/**
+ * Validate one content file. `name` is the file's base name (e.g. "stats").
+ * Returns an array of problem strings.
+ */
+export const validateContent = (name, data) => {
+  const schema = contentSchema[name];
+  if (!schema) return [`${name} has no schema; add it to contentSchema in src/content/schema.js`];
+  return schema.check(data, name);
+};
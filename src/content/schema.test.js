@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { contentSchema, validateContent, validateSiteLinks } from './schema';
+
+const files = import.meta.glob('./*.json', { eager: true, import: 'default' });
+const content = Object.fromEntries(Object.keys(contentSchema).map(name => [name, files[`./${name}.json`]]));
+
+// A copy of the site's content with `change` applied to it
+const edited = (change) => {
+  const copy = structuredClone(content);
+  change(copy);
+  return copy;
+};
+
+describe('validateContent', () => {
+  it('accepts every content file as committed', () => {
+    Object.entries(content).forEach(([name, data]) => expect(validateContent(name, data)).toEqual([]));
+  });
+
+  it('asks for a schema for unknown files', () => {
+    expect(validateContent('recipes', {})).toEqual(['recipes has no schema; add it to contentSchema in src/content/schema.js']);
+  });
+
+  it('names the path of missing, unknown and mistyped fields', () => {
+    const { footer } = edited(copy => {
+      delete copy.footer.brand;
+      copy.footer.colour = 'blue';
+      copy.footer.legal[0].label = 42;
+    });
+    expect(validateContent('footer', footer)).toEqual([
+      'footer.colour is not a known field (expected one of brand, tagline, social, columns, legal, copyright)',
+      'footer.brand is required',
+      'footer.legal[0].label must be a non-empty text value, got number 42',
+    ]);
+  });
+
+  it('rejects a bare # and other hrefs that go nowhere', () => {
+    ['#', 'about', 'javascript:alert(1)'].forEach(href => {
+      const { footer } = edited(copy => { copy.footer.social[0].href = href; });
+      expect(validateContent('footer', footer)).toEqual([
+        `footer.social[0].href must be an #anchor or start with /, http(s):// or mailto:, got "${href}"`,
+      ]);
+    });
+  });
+
+  it('takes image files and https:// URLs for pictures', () => {
+    const withImage = (image) => edited(copy => { copy.pillars.pillars[0].image = image; }).pillars;
+    expect(validateContent('pillars', withImage('pillars/learn.jpg'))).toEqual([]);
+    expect(validateContent('pillars', withImage('https://images.example.com/learn.jpg'))).toEqual([]);
+    expect(validateContent('pillars', withImage('../secret.png'))).toHaveLength(1);
+    expect(validateContent('pillars', withImage('pillars/learn.gif'))).toHaveLength(1);
+  });
+});
+
+describe('validateSiteLinks', () => {
+  it('accepts the site as committed', () => {
+    expect(validateSiteLinks(content)).toEqual([]);
+  });
+
+  it('reports links to pages that do not exist', () => {
+    const problems = validateSiteLinks(edited(copy => {
+      copy.navigation.sections[0].items[0].href = '/learn/missing#top';
+    }));
+    expect(problems).toEqual([
+      `navigation: "${content.navigation.sections[0].items[0].label}" links to /learn/missing#top, which is not a page in pages.json`,
+    ]);
+  });
+
+  it('reports duplicate page paths and ids', () => {
+    const problems = validateSiteLinks(edited(copy => {
+      copy.pages.pages.push(copy.pages.pages[0]);
+      copy.events.events.push(copy.events.events[0]);
+    }));
+    expect(problems).toEqual([
+      `pages: ${content.pages.pages[0].path} is defined more than once`,
+      `events: ${content.events.events[0].id} is used by more than one event`,
+    ]);
+  });
+
+  it('reports announcements that end before they start', () => {
+    const problems = validateSiteLinks(edited(copy => {
+      const [announcement] = copy.announcements.announcements;
+      announcement.start = '2026-05-01T00:00Z';
+      announcement.end = '2026-04-01T00:00Z';
+    }));
+    expect(problems).toContain(`announcements: ${content.announcements.announcements[0].id} ends before it starts`);
+  });
+});
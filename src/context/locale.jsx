@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import siteContent from '../content';
+import useClientState from '../hooks/useClientState';
+import { readJSON, writeJSON } from '../lib/storage';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  fallbackChain,
+  matchLocale,
+  textDirection,
+  translate,
+  localizeContent,
+} from '../lib/i18n';
+
+const STORAGE_KEY = 'locale';
+
+const readInitialLocale = () => {
+  const saved = readJSON(STORAGE_KEY, null);
+  if (LOCALES.includes(saved)) return saved;
+  return matchLocale(navigator.languages || [navigator.language].filter(Boolean));
+};
+
+const createValue = (locale, setLocale) => {
+  const chain = fallbackChain(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+  return {
+    locale,
+    dir: textDirection(locale),
+    setLocale,
+    t: (key, params, fallback) => translate(chain, key, params, fallback),
+    content: localizeContent(siteContent, chain),
+    formatNumber: (value) => numberFormat.format(value),
+    formatDate: (value, options = { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' }) => (
+      new Date(value).toLocaleDateString(locale, options)
+    ),
+  };
+};
+
+const LocaleContext = createContext(createValue(DEFAULT_LOCALE, () => {}));
+
+/**
+ * PROVIDER: LocaleProvider
+ * The visitor's language: the one picked in the LocaleSwitcher (persisted in
+ * localStorage), else the best match for the browser languages. Sets lang and
+ * dir on <html> so right-to-left locales flip the layout.
+ *
+ * Provides `t` for UI strings, `content` (src/content with the catalog's
+ * translations applied) and locale-aware number and date formatting.
+ * Pre-rendered pages are in English until hydrated.
+ */
+export const LocaleProvider = ({ children }) => {
+  const [locale, setLocaleState] = useClientState(readInitialLocale, DEFAULT_LOCALE);
+
+  const setLocale = useCallback((next) => {
+    if (!LOCALES.includes(next)) return;
+    setLocaleState(next);
+    writeJSON(STORAGE_KEY, next);
+  }, [setLocaleState]);
+
+  const value = useMemo(() => createValue(locale, setLocale), [locale, setLocale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = value.dir;
+  }, [locale, value.dir]);
+
+  return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+};
+
+export const useLocale = () => useContext(LocaleContext);
+
+// Shorthands for the two things most components need
+export const useTranslation = () => useContext(LocaleContext).t;
+export const useContent = () => useContext(LocaleContext).content;
@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import useClientState from '../hooks/useClientState';
+import { readJSON, writeJSON, removeItem } from '../lib/storage';
+
+const STORAGE_KEY = 'motion-preference';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+// 'system' follows the OS setting; 'reduced' and 'full' are explicit choices
+const PREFERENCES = ['system', 'reduced', 'full'];
+
+const MotionContext = createContext({
+  preference: 'system',
+  systemReduced: false,
+  reducedMotion: false,
+  setPreference: () => {},
+});
+
+const readSystemReduced = () => (
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(QUERY).matches
+);
+
+const readPreference = () => {
+  const saved = readJSON(STORAGE_KEY, 'system');
+  return PREFERENCES.includes(saved) ? saved : 'system';
+};
+
+/**
+ * PROVIDER: MotionPreferenceProvider
+ * Combines the OS prefers-reduced-motion setting with the on-page toggle
+ * (persisted in localStorage). Also sets data-motion="reduced" on <html>, which
+ * index.css uses to switch off CSS transitions and animations. Pre-rendered
+ * pages hydrate with full motion and settle right after.
+ */
+export const MotionPreferenceProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useClientState(readPreference, 'system');
+  const [systemReduced, setSystemReduced] = useClientState(readSystemReduced, false);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+    const query = window.matchMedia(QUERY);
+    const handleChange = () => setSystemReduced(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [setSystemReduced]);
+
+  const reducedMotion = preference === 'system' ? systemReduced : preference === 'reduced';
+
+  useEffect(() => {
+    document.documentElement.dataset.motion = reducedMotion ? 'reduced' : 'full';
+  }, [reducedMotion]);
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next);
+    if (next === 'system') removeItem(STORAGE_KEY);
+    else writeJSON(STORAGE_KEY, next);
+  }, [setPreferenceState]);
+
+  const value = useMemo(
+    () => ({ preference, systemReduced, reducedMotion, setPreference }),
+    [preference, systemReduced, reducedMotion, setPreference]
+  );
+
+  return <MotionContext.Provider value={value}>{children}</MotionContext.Provider>;
+};
+
+export const useMotionPreference = () => useContext(MotionContext);
+
+export const useReducedMotion = () => useContext(MotionContext).reducedMotion;
@@ -0,0 +1,63 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  QUALITY_SETTINGS,
+  probeDevice,
+  measureFrameTime,
+  pickTier,
+  lowerTier,
+  readQualityOverride,
+} from '../lib/renderQuality';
+
+// Outside a provider, e.g. an effect reused on another site, everything draws at full
+const QualityContext = createContext({
+  tier: 'full',
+  settings: QUALITY_SETTINGS.full,
+  reason: null,
+  ready: true,
+  stepDown: () => {},
+});
+
+/**
+ * PROVIDER: RenderQualityProvider
+ * The quality tier the visual effects draw at (see src/lib/renderQuality.js).
+ * It is settled once mounted: the device is probed and a short frame-time
+ * measurement runs, so effects wait for `ready` before building anything.
+ * Pre-rendered pages are built at "full" and never ready. `stepDown(reason)`
+ * lowers the tier when an effect's frames keep running long; a tier forced
+ * with ?quality= stays put.
+ */
+export const RenderQualityProvider = ({ children }) => {
+  const [state, setState] = useState({ tier: 'full', reason: null, ready: false });
+
+  useEffect(() => {
+    const forced = readQualityOverride();
+    if (forced) {
+      setState({ tier: forced, reason: 'override', ready: true });
+      return undefined;
+    }
+    let cancelled = false;
+    const device = probeDevice();
+    // A device without WebGL has nothing to measure
+    const frameTime = device.webgl ? measureFrameTime() : Promise.resolve(null);
+    frameTime.then(measured => {
+      if (!cancelled) setState({ ...pickTier({ ...device, frameTime: measured }), ready: true });
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const stepDown = useCallback((reason) => setState(current => {
+    const tier = lowerTier(current.tier);
+    if (!current.ready || current.reason === 'override' || tier === current.tier) return current;
+    return { tier, reason, ready: true };
+  }), []);
+
+  const value = useMemo(
+    () => ({ ...state, settings: QUALITY_SETTINGS[state.tier], stepDown }),
+    [state, stepDown]
+  );
+
+  return <QualityContext.Provider value={value}>{children}</QualityContext.Provider>;
+};
+
+/** { tier, settings, reason, ready, stepDown } */
+export const useRenderQuality = () => useContext(QualityContext);
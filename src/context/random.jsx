@@ -0,0 +1,32 @@
+import React, { createContext, useContext, useState, useMemo } from 'react';
+import { randomFor, readSeedFromUrl } from '../lib/random';
+
+const RandomContext = createContext(null);
+
+/**
+ * PROVIDER: RandomProvider
+ * Deterministic mode for the visual effects. A `seed` prop, or ?seed= in the
+ * URL, makes every effect draw from seeded streams (src/lib/random.js) so two
+ * renders with the same seed look the same. Without either, effects stay
+ * random.
+ */
+export const RandomProvider = ({ seed = null, children }) => {
+  const [urlSeed] = useState(readSeedFromUrl);
+  const value = seed ?? urlSeed;
+  return <RandomContext.Provider value={value}>{children}</RandomContext.Provider>;
+};
+
+/** The active seed, or null outside deterministic mode. */
+export const useSeed = () => useContext(RandomContext);
+
+/**
+ * A random function for one effect. `seed` overrides the provider's, e.g. a
+ * component's own seed prop. Effects that rebuild their scene should call
+ * randomFor(useSeed(), label) inside the effect instead, so a rebuild starts
+ * the stream over.
+ */
+export const useRandom = (label, seed) => {
+  const contextSeed = useSeed();
+  const active = seed ?? contextSeed;
+  return useMemo(() => randomFor(active, label), [active, label]);
+};
@@ -0,0 +1,71 @@
+import React, { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import useClientState from '../hooks/useClientState';
+import { readJSON, writeJSON, removeItem } from '../lib/storage';
+import { THEMES } from '../lib/themeTokens';
+
+// Also read by the inline script in index.html, which applies the theme before first paint
+const STORAGE_KEY = 'theme-preference';
+const QUERY = '(prefers-color-scheme: dark)';
+
+// 'system' follows the OS setting; 'light' and 'dark' are explicit choices
+export const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+const ThemeContext = createContext({
+  preference: 'system',
+  theme: 'light',
+  tokens: THEMES.light,
+  setPreference: () => {},
+});
+
+const readSystemDark = () => (
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(QUERY).matches
+);
+
+const readPreference = () => {
+  const saved = readJSON(STORAGE_KEY, 'system');
+  return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+};
+
+/**
+ * PROVIDER: ThemeProvider
+ * Light, dark or system theme, persisted in localStorage. Toggles .dark on
+ * <html> for Tailwind and hands the matching palettes from
+ * src/lib/themeTokens.js to the canvas and Three.js effects.
+ * Pre-rendered pages hydrate as light; index.html has already applied the
+ * saved theme's class, so it is left alone until the real theme is known.
+ */
+export const ThemeProvider = ({ children }) => {
+  const [preference, setPreferenceState, ready] = useClientState(readPreference, 'system');
+  const [systemDark, setSystemDark] = useClientState(readSystemDark, false);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+    const query = window.matchMedia(QUERY);
+    const handleChange = () => setSystemDark(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, [setSystemDark]);
+
+  const theme = preference === 'system' ? (systemDark ? 'dark' : 'light') : preference;
+
+  useEffect(() => {
+    if (ready) document.documentElement.classList.toggle('dark', theme === 'dark');
+  }, [theme, ready]);
+
+  const setPreference = useCallback((next) => {
+    setPreferenceState(next);
+    if (next === 'system') removeItem(STORAGE_KEY);
+    else writeJSON(STORAGE_KEY, next);
+  }, [setPreferenceState]);
+
+  const value = useMemo(
+    () => ({ preference, theme, tokens: THEMES[theme], setPreference }),
+    [preference, theme, setPreference]
+  );
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export const useTheme = () => useContext(ThemeContext);
+
+export const useThemeTokens = () => useContext(ThemeContext).tokens;
@@ -0,0 +1,34 @@
+/**
+ * EFFECTS
+ * The visual effects as reusable components, for the book and lab sites to
+ * import instead of copying App.jsx. Props are documented on each component;
+ * without any, they look as they do here.
+ *
+ * None needs the providers in AppProviders. Outside them the effects use the
+ * light theme, animate regardless of the reduced-motion preference, stay
+ * random and draw at full quality. Wrap them in the providers below to get
+ * theme switching, the motion toggle, seeds and adaptive quality back.
+ *
+ * Other sites install this repo as a package and import the library build
+ * (`npm run build:effects`, run on install by `prepare`) along with its
+ * stylesheet, which carries the layout classes and theme colours the
+ * effects use:
+ *
+ *   import { PixelBackground } from 'pixels-colorful/effects';
+ *   import 'pixels-colorful/effects.css';
+ *
+ * React, React DOM and three come from the importing site.
+ */
+import './effects.css';
+
+export { default as PixelBackground } from './components/PixelBackground';
+export { default as ParticleMorphScene } from './components/ParticleMorphScene';
+export { default as AnimatedLogo } from './components/AnimatedLogo';
+
+export { ThemeProvider } from './context/theme';
+export { MotionPreferenceProvider } from './context/motion';
+export { RandomProvider } from './context/random';
+export { RenderQualityProvider } from './context/quality';
+
+export { DEFAULT_KEYFRAMES, HOME_KEYFRAMES } from './lib/morphScene';
+export { THEMES } from './lib/themeTokens';
@@ -0,0 +1,50 @@
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server.js';
+import App from './App.jsx';
+import AppProviders from './components/AppProviders';
+import siteContent from './content';
+import { DEFAULT_LOCALE, fallbackChain, localizeContent, translate } from './lib/i18n';
+import { startHydration, finishHydration } from './lib/hydration';
+import { CONFIRM_PATH, NOT_FOUND_PATH, routeMeta } from './lib/seo';
+
+export { headTags, NOT_FOUND_PATH } from './lib/seo';
+
+// renderToString cannot wait for a chunk: call this once before rendering
+export { preloadAll } from './routes';
+
+/**
+ * Entry for scripts/prerender.mjs: renders a route to HTML in the default
+ * locale, as the browser's first (hydrating) render will see it.
+ */
+
+// Every route with a fixed URL, plus the not-found page
+export const prerenderPaths = () => [
+  '/',
+  ...siteContent.pages.pages.map(page => page.path),
+  CONFIRM_PATH,
+  NOT_FOUND_PATH,
+];
+
+const chain = fallbackChain(DEFAULT_LOCALE);
+const locale = {
+  content: localizeContent(siteContent, chain),
+  t: (key, params, fallback) => translate(chain, key, params, fallback),
+};
+
+/** { html, meta } for `path`; `renderedAt` is written to #root for hydration. */
+export const render = (path, renderedAt) => {
+  startHydration({ path, renderedAt });
+  try {
+    const html = renderToString(
+      <StaticRouter location={path}>
+        <AppProviders>
+          <App />
+        </AppProviders>
+      </StaticRouter>
+    );
+    return { html, meta: routeMeta(path, locale) };
+  } finally {
+    finishHydration();
+  }
+};
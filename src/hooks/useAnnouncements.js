@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { selectAnnouncements, startVisit, recordShown, recordDismissed } from '../lib/announcements';
+
+// Let the page settle before anything pops up, as the modal always did
+const SHOW_DELAY_MS = 500;
+
+/**
+ * HOOK: useAnnouncements
+ * The announcement queue for this visit. `modal` and `banner` are the first
+ * due announcement of each presentation (or null); dismissing one brings the
+ * next of that kind forward. Each announcement counts as shown once, when it
+ * first reaches the front of the queue.
+ */
+const useAnnouncements = (announcements) => {
+  const [queue, setQueue] = useState([]);
+  const announcementsRef = useRef(announcements);
+  announcementsRef.current = announcements;
+
+  // The queue is settled once per visit; a locale switch only retranslates it (below)
+  useEffect(() => {
+    const history = startVisit();
+    const timer = setTimeout(() => setQueue(selectAnnouncements(announcementsRef.current, { history })), SHOW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, []);
+
+  // Entries from the current locale's content, in queue order
+  const current = queue
+    .map(({ id }) => announcements.find(announcement => announcement.id === id))
+    .filter(Boolean);
+  const modal = current.find(announcement => announcement.presentation === 'modal') || null;
+  const banner = current.find(announcement => announcement.presentation === 'banner') || null;
+
+  const shownRef = useRef(new Set());
+  const modalId = modal && modal.id;
+  const bannerId = banner && banner.id;
+  useEffect(() => {
+    [modalId, bannerId].forEach(id => {
+      if (!id || shownRef.current.has(id)) return;
+      shownRef.current.add(id);
+      recordShown(id);
+    });
+  }, [modalId, bannerId]);
+
+  const dismiss = useCallback((id) => {
+    recordDismissed(id);
+    setQueue(entries => entries.filter(entry => entry.id !== id));
+  }, []);
+
+  return { modal, banner, dismiss };
+};
+
+export default useAnnouncements;
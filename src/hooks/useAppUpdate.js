@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { onUpdateReady, applyUpdate } from '../lib/serviceWorker';
+
+/**
+ * HOOK: useAppUpdate
+ * `updateReady` turns true once a new version of the site has been
+ * downloaded (see src/lib/serviceWorker.js); `applyUpdate` reloads onto it.
+ */
+const useAppUpdate = () => {
+  const [updateReady, setUpdateReady] = useState(false);
+
+  useEffect(() => onUpdateReady(() => setUpdateReady(true)), []);
+
+  return { updateReady, applyUpdate };
+};
+
+export default useAppUpdate;
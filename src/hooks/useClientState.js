@@ -0,0 +1,31 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { isHydrating } from '../lib/hydration';
+
+/**
+ * HOOK: useClientState
+ * useState for values only the browser knows: localStorage, media queries,
+ * the scroll position, the clock or time zone. While pre-rendering or
+ * hydrating (see src/lib/hydration.js) the state starts as `serverValue` and
+ * `read()` replaces it right after the first commit; any other time `read()`
+ * is used straight away. The third value, `ready`, is false until then.
+ */
+const useClientState = (read, serverValue) => {
+  const [state, setState] = useState(() => (
+    isHydrating() ? { value: serverValue, ready: false } : { value: read(), ready: true }
+  ));
+  const readRef = useRef(read);
+  readRef.current = read;
+
+  useEffect(() => {
+    if (!state.ready) setState({ value: readRef.current(), ready: true });
+  }, [state.ready]);
+
+  const setValue = useCallback((next) => setState(current => ({
+    value: typeof next === 'function' ? next(current.value) : next,
+    ready: true,
+  })), []);
+
+  return [state.value, setValue, state.ready];
+};
+
+export default useClientState;
@@ -0,0 +1,81 @@
+import { useState, useCallback, useMemo } from 'react';
+import { donate, parseAmount } from '../lib/donations';
+import { createPaymentProvider, PAYMENT_PROVIDER } from '../lib/paymentProviders';
+
+/**
+ * HOOK: useDonation
+ * State for the donation form. The amount is either one of the preset
+ * `tiers` or whatever is typed into "Other". `status` is one of
+ * idle | processing | completed | redirecting | error; on error `errorCode` is
+ * the DonationError code so the form can show a translated message.
+ *
+ * `given` adds up the donations completed on this page per campaign, so the
+ * progress bars move without waiting for campaigns.json to be updated.
+ * `provider` defaults to the one configured in src/lib/paymentProviders.js.
+ */
+const useDonation = ({ campaigns, tiers, currency, provider: providerOverride }) => {
+  const provider = useMemo(
+    () => providerOverride || createPaymentProvider(PAYMENT_PROVIDER, { campaigns }),
+    [providerOverride, campaigns]
+  );
+  const [campaign, setCampaign] = useState(campaigns[0].id);
+  const [frequency, setFrequency] = useState('once');
+  const [tier, setTier] = useState(tiers[Math.min(1, tiers.length - 1)]);
+  const [customAmount, setCustomAmount] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [reference, setReference] = useState(null);
+  const [given, setGiven] = useState({});
+
+  const amount = tier === 'custom' ? parseAmount(customAmount) : tier;
+
+  // Any change after a failed attempt clears the error
+  const editing = (setter) => (value) => {
+    setter(value);
+    setStatus(current => (current === 'error' ? 'idle' : current));
+  };
+
+  const submit = useCallback(async (e) => {
+    if (e) e.preventDefault();
+    setStatus('processing');
+    setError(null);
+    setErrorCode(null);
+    try {
+      const result = await donate({
+        campaign,
+        amount,
+        frequency,
+        returnUrl: `${window.location.origin}${window.location.pathname}?donation=thanks`,
+      }, { campaigns, currency, provider });
+
+      if (result.status === 'redirect') {
+        setStatus('redirecting');
+        window.location.assign(result.url);
+        return;
+      }
+      setReference(result.reference);
+      setGiven(current => ({ ...current, [campaign]: (current[campaign] || 0) + amount }));
+      setStatus('completed');
+    } catch (err) {
+      setError(err.message);
+      setErrorCode(err.code || null);
+      setStatus('error');
+    }
+  }, [campaign, amount, frequency, campaigns, currency, provider]);
+
+  const reset = useCallback(() => {
+    setStatus('idle');
+    setReference(null);
+  }, []);
+
+  return {
+    campaign, setCampaign: editing(setCampaign),
+    frequency, setFrequency: editing(setFrequency),
+    tier, setTier: editing(setTier),
+    customAmount, setCustomAmount: editing(setCustomAmount),
+    amount, status, error, errorCode, reference, given, submit, reset,
+  };
+};
+
+export default useDonation;
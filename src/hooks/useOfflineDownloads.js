@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+import useClientState from './useClientState';
+import { canSaveOffline, listSaved, saveOffline, removeOffline } from '../lib/offline';
+
+/**
+ * HOOK: useOfflineDownloads
+ * Which downloads are saved for offline use (see src/lib/offline.js), and a
+ * toggle to save or remove one. `supported` is false where the browser can't
+ * keep them. `status[href]` is saving | removing while a toggle is under way
+ * and error if the last one failed (usually for want of a connection).
+ */
+const useOfflineDownloads = () => {
+  const [supported] = useClientState(canSaveOffline, false);
+  const [saved, setSaved] = useState(() => new Set());
+  const [status, setStatus] = useState({});
+
+  useEffect(() => {
+    if (!supported) return undefined;
+    let cancelled = false;
+    listSaved()
+      .then(paths => { if (!cancelled) setSaved(new Set(paths)); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [supported]);
+
+  const setHrefStatus = (href, value) => setStatus(current => {
+    const next = { ...current };
+    if (value) next[href] = value;
+    else delete next[href];
+    return next;
+  });
+
+  const toggle = useCallback(async (href) => {
+    const remove = saved.has(href);
+    setHrefStatus(href, remove ? 'removing' : 'saving');
+    try {
+      await (remove ? removeOffline(href) : saveOffline(href));
+      setSaved(current => {
+        const next = new Set(current);
+        if (remove) next.delete(href);
+        else next.add(href);
+        return next;
+      });
+      setHrefStatus(href, null);
+    } catch {
+      setHrefStatus(href, 'error');
+    }
+  }, [saved]);
+
+  return { supported, saved, status, toggle };
+};
+
+export default useOfflineDownloads;
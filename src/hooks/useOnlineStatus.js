@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import useClientState from './useClientState';
+
+const readOnline = () => navigator.onLine;
+
+/**
+ * HOOK: useOnlineStatus
+ * Whether the browser thinks it has a connection. Pre-rendered pages assume
+ * it does until hydrated.
+ */
+const useOnlineStatus = () => {
+  const [online, setOnline] = useClientState(readOnline, true);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, [setOnline]);
+
+  return online;
+};
+
+export default useOnlineStatus;
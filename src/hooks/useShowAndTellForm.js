@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from 'react';
+import useClientState from './useClientState';
+import { readJSON, writeJSON, removeItem } from '../lib/storage';
+import { STEPS, EMPTY_PROPOSAL, validateProposal, submitProposal } from '../lib/showAndTell';
+
+const DRAFT_KEY = 'show-and-tell-draft';
+const AUTOSAVE_DELAY_MS = 500;
+
+const NO_DRAFT = { values: EMPTY_PROPOSAL, step: 0, restored: false };
+
+const readDraft = () => {
+  const draft = readJSON(DRAFT_KEY, null);
+  if (!draft || typeof draft !== 'object') return NO_DRAFT;
+  const values = { ...EMPTY_PROPOSAL };
+  Object.keys(values).forEach((field) => {
+    if (typeof draft.values?.[field] === 'string') values[field] = draft.values[field];
+  });
+  const step = Number.isInteger(draft.step) ? Math.min(Math.max(draft.step, 0), STEPS.length - 1) : 0;
+  return { values, step, restored: true };
+};
+
+/**
+ * HOOK: useShowAndTellForm
+ * State for the multi-step Show & Tell application. Values and the current
+ * step are autosaved to localStorage so an unfinished application survives a
+ * reload; the draft is cleared once the API accepts it.
+ *
+ * `status` is one of idle | submitting | submitted | error. `errors` holds the
+ * validation errors of the current step, keyed by field; `sessions` are the
+ * event ids a visitor may pick.
+ */
+const useShowAndTellForm = (sessions) => {
+  const [initial] = useClientState(readDraft, NO_DRAFT);
+  const [values, setValues] = useState(initial.values);
+  const [step, setStep] = useState(initial.step);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+  const [submissionId, setSubmissionId] = useState(null);
+
+  // A pre-rendered page only finds the draft once hydrated
+  useEffect(() => {
+    setValues(initial.values);
+    setStep(initial.step);
+  }, [initial]);
+
+  useEffect(() => {
+    if (status === 'submitted') return undefined;
+    const isEmpty = step === 0 && Object.values(values).every(value => !value.trim());
+    const timer = setTimeout(() => {
+      if (isEmpty) removeItem(DRAFT_KEY);
+      else writeJSON(DRAFT_KEY, { values, step });
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [values, step, status]);
+
+  const setField = useCallback((field, value) => {
+    setValues(current => ({ ...current, [field]: value }));
+    setErrors(current => {
+      const next = { ...current };
+      delete next[field];
+      return next;
+    });
+    setStatus(current => (current === 'error' ? 'idle' : current));
+  }, []);
+
+  // Validates the current step; returns false and shows errors if it is incomplete
+  const checkStep = useCallback((index) => {
+    const stepErrors = validateProposal(values, { fields: STEPS[index].fields, sessions });
+    setErrors(stepErrors);
+    return Object.keys(stepErrors).length === 0;
+  }, [values, sessions]);
+
+  const next = useCallback(() => {
+    if (checkStep(step)) setStep(current => Math.min(current + 1, STEPS.length - 1));
+  }, [checkStep, step]);
+
+  const back = useCallback(() => {
+    setErrors({});
+    setStep(current => Math.max(current - 1, 0));
+  }, []);
+
+  // Jump back to an earlier step, e.g. "Edit" on the review step
+  const goTo = useCallback((index) => {
+    if (index < step) {
+      setErrors({});
+      setStep(index);
+    }
+  }, [step]);
+
+  const submit = useCallback(async (e) => {
+    if (e) e.preventDefault();
+    // A step can go stale in a restored draft (e.g. a session that has passed)
+    const firstInvalid = STEPS.findIndex(({ fields }) => (
+      Object.keys(validateProposal(values, { fields, sessions })).length > 0
+    ));
+    if (firstInvalid !== -1) {
+      setStep(firstInvalid);
+      checkStep(firstInvalid);
+      return;
+    }
+
+    setStatus('submitting');
+    setError(null);
+    setErrorCode(null);
+    try {
+      setSubmissionId(await submitProposal(values));
+      setStatus('submitted');
+      removeItem(DRAFT_KEY);
+    } catch (err) {
+      setError(err.message);
+      setErrorCode(err.code || null);
+      setStatus('error');
+    }
+  }, [values, sessions, checkStep]);
+
+  const reset = useCallback(() => {
+    removeItem(DRAFT_KEY);
+    setValues(EMPTY_PROPOSAL);
+    setStep(0);
+    setErrors({});
+    setStatus('idle');
+    setSubmissionId(null);
+  }, []);
+
+  return {
+    values, setField, step, next, back, goTo, errors,
+    status, error, errorCode, submissionId, submit, reset,
+    restored: initial.restored,
+  };
+};
+
+export default useShowAndTellForm;
@@ -0,0 +1,39 @@
+import { useState, useCallback } from 'react';
+import { subscribe } from '../lib/subscriptions';
+
+/**
+ * HOOK: useSubscription
+ * Form state for a subscribe form. `status` is one of
+ * idle | submitting | pending | already-subscribed | error.
+ * "pending" means the confirmation email has been sent. On error, `errorCode`
+ * is the SubscriptionError code so forms can show a translated message.
+ */
+const useSubscription = (source) => {
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [errorCode, setErrorCode] = useState(null);
+
+  const submit = useCallback(async (e) => {
+    if (e) e.preventDefault();
+    setStatus('submitting');
+    setError(null);
+    setErrorCode(null);
+    try {
+      setStatus(await subscribe(email, source));
+    } catch (err) {
+      setError(err.message);
+      setErrorCode(err.code || null);
+      setStatus('error');
+    }
+  }, [email, source]);
+
+  const updateEmail = useCallback((value) => {
+    setEmail(value);
+    if (status === 'error') setStatus('idle');
+  }, [status]);
+
+  return { email, setEmail: updateEmail, status, error, errorCode, submit };
+};
+
+export default useSubscription;
@@ -0,0 +1,19 @@
+import useClientState from './useClientState';
+import { renderTime, SERVER_TIME_ZONE } from '../lib/hydration';
+
+const readNow = () => Date.now();
+const readTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * HOOK: useVisitorTime
+ * The moment the component mounted and the visitor's time zone, for
+ * schedules. Pre-rendered pages start from the build's time and UTC, then
+ * switch to the visitor's once hydrated.
+ */
+const useVisitorTime = () => {
+  const [now] = useClientState(readNow, renderTime());
+  const [timeZone] = useClientState(readTimeZone, SERVER_TIME_ZONE);
+  return { now, timeZone };
+};
+
+export default useVisitorTime;
@@ -0,0 +1,133 @@
+/**
+ * ANIMATION SCHEDULER
+ * One requestAnimationFrame loop shared by the page's animations
+ * (ParticleMorphScene, PixelBackground, WorldGlobe, CountUpAnimation).
+ *
+ * Each animation adds a task: a callback run on the next frame once the task
+ * is woken. The task goes back to sleep after that frame unless the callback
+ * returns true, so effects that redraw only on change and ones that run every
+ * frame use the same loop. Callbacks get (time, delta): delta is the time
+ * since the task last ran, or 0 on its first frame after waking or a pause.
+ *
+ * A task added with an `element` is paused while that element is off screen,
+ * and every task is paused while the tab is hidden. Paused tasks stay awake
+ * and carry on once shown. The loop only runs while some task can.
+ *
+ * Works without a DOM (in a worker, or under Node for scripts/snapshot.mjs),
+ * where every task counts as on screen.
+ */
+
+export const createAnimationScheduler = () => {
+  const tasks = new Set();
+  const hasDocument = typeof document !== 'undefined';
+  let frame = null;
+  let observer = null;
+
+  const pageVisible = () => !hasDocument || document.visibilityState !== 'hidden';
+  const runnable = (task) => task.awake && task.onScreen;
+
+  const request = () => {
+    if (frame !== null || !pageVisible()) return;
+    for (const task of tasks) {
+      if (runnable(task)) {
+        frame = requestAnimationFrame(loop);
+        return;
+      }
+    }
+  };
+
+  const loop = (time) => {
+    frame = null;
+    // Copied: a callback may add or remove tasks
+    [...tasks].forEach(task => {
+      if (!tasks.has(task) || !runnable(task)) return;
+      const delta = task.lastRun === null ? 0 : time - task.lastRun;
+      task.awake = false;
+      task.lastRun = time;
+      // The callback may also wake its own task
+      if (task.callback(time, delta) === true) task.awake = true;
+      if (!task.awake) task.lastRun = null;
+    });
+    request();
+  };
+
+  const pause = (task) => {
+    task.lastRun = null;
+  };
+
+  const onVisibilityChange = () => {
+    if (pageVisible()) {
+      request();
+      return;
+    }
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    tasks.forEach(pause);
+  };
+
+  const observe = (task) => {
+    if (!task.element || typeof IntersectionObserver !== 'function') return;
+    if (!observer) {
+      observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          tasks.forEach(other => {
+            if (other.element !== entry.target) return;
+            other.onScreen = entry.isIntersecting;
+            if (!other.onScreen) pause(other);
+          });
+        });
+        request();
+      });
+    }
+    // Off screen until the observer reports otherwise, which it does straight away
+    task.onScreen = false;
+    observer.observe(task.element);
+  };
+
+  const unobserve = (task) => {
+    if (!observer || !task.element) return;
+    const shared = [...tasks].some(other => other.element === task.element);
+    if (!shared) observer.unobserve(task.element);
+  };
+
+  return {
+    /**
+     * Add `callback(time, delta)`, asleep. `element` ties the task to an
+     * element's visibility. Returns { wake, sleep, remove, awake }.
+     */
+    add(callback, { element = null } = {}) {
+      const task = { callback, element, awake: false, onScreen: true, lastRun: null };
+      if (!tasks.size && hasDocument) document.addEventListener('visibilitychange', onVisibilityChange);
+      tasks.add(task);
+      observe(task);
+
+      return {
+        // Run on the next frame (or once shown, if paused)
+        wake() {
+          if (!tasks.has(task)) return;
+          task.awake = true;
+          request();
+        },
+        sleep() {
+          task.awake = false;
+          pause(task);
+        },
+        remove() {
+          if (!tasks.delete(task)) return;
+          unobserve(task);
+          if (!tasks.size && hasDocument) document.removeEventListener('visibilitychange', onVisibilityChange);
+          if (!tasks.size && frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+          }
+        },
+        get awake() {
+          return task.awake;
+        },
+      };
+    },
+  };
+};
+
+// The scheduler for this page (or worker)
+export const animationScheduler = createAnimationScheduler();
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createAnimationScheduler } from './animationScheduler';
+
+// Animation frames run by hand with `frame(time)`
+let frames;
+let nextFrame;
+const frame = (time) => {
+  const callbacks = [...frames.values()];
+  frames.clear();
+  callbacks.forEach(callback => callback(time));
+};
+
+// A document whose visibility is set with `setVisibility`
+let listeners;
+let visibility;
+const setVisibility = (state) => {
+  visibility = state;
+  listeners.forEach(listener => listener());
+};
+
+// An IntersectionObserver whose reports are sent with `intersect`
+let observerCallback;
+const intersect = (element, isIntersecting) => observerCallback([{ target: element, isIntersecting }]);
+
+beforeEach(() => {
+  frames = new Map();
+  nextFrame = 0;
+  listeners = new Set();
+  visibility = 'visible';
+  vi.stubGlobal('requestAnimationFrame', (callback) => {
+    nextFrame += 1;
+    frames.set(nextFrame, callback);
+    return nextFrame;
+  });
+  vi.stubGlobal('cancelAnimationFrame', (id) => frames.delete(id));
+  vi.stubGlobal('document', {
+    get visibilityState() { return visibility; },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  });
+  vi.stubGlobal('IntersectionObserver', class {
+    constructor(callback) { observerCallback = callback; }
+    observe() {}
+    unobserve() {}
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('createAnimationScheduler', () => {
+  it('runs a woken task once, with no delta on its first frame', () => {
+    const callback = vi.fn();
+    const task = createAnimationScheduler().add(callback);
+
+    expect(frames.size).toBe(0);
+    task.wake();
+    frame(100);
+    frame(116);
+    expect(callback.mock.calls).toEqual([[100, 0]]);
+    expect(task.awake).toBe(false);
+    expect(frames.size).toBe(0);
+  });
+
+  it('keeps running tasks that return true, passing the time since the last run', () => {
+    const callback = vi.fn(() => true);
+    const task = createAnimationScheduler().add(callback);
+
+    task.wake();
+    frame(100);
+    frame(116);
+    task.sleep();
+    frame(132);
+    expect(callback.mock.calls).toEqual([[100, 0], [116, 16]]);
+  });
+
+  it('pauses every task while the tab is hidden and resumes with no delta', () => {
+    const callback = vi.fn(() => true);
+    const task = createAnimationScheduler().add(callback);
+
+    task.wake();
+    frame(100);
+    setVisibility('hidden');
+    expect(frames.size).toBe(0);
+    expect(task.awake).toBe(true);
+
+    setVisibility('visible');
+    frame(5000);
+    frame(5016);
+    expect(callback.mock.calls).toEqual([[100, 0], [5000, 0], [5016, 16]]);
+  });
+
+  it('does not start the loop for a task woken while the tab is hidden', () => {
+    const callback = vi.fn();
+    const task = createAnimationScheduler().add(callback);
+
+    setVisibility('hidden');
+    task.wake();
+    expect(frames.size).toBe(0);
+    setVisibility('visible');
+    frame(100);
+    expect(callback).toHaveBeenCalledWith(100, 0);
+  });
+
+  it('pauses a task while its element is off screen', () => {
+    const element = {};
+    const callback = vi.fn(() => true);
+    const task = createAnimationScheduler().add(callback, { element });
+
+    task.wake();
+    expect(frames.size).toBe(0);
+    intersect(element, true);
+    frame(100);
+    frame(116);
+
+    intersect(element, false);
+    frame(132);
+    intersect(element, true);
+    frame(900);
+    expect(callback.mock.calls).toEqual([[100, 0], [116, 16], [900, 0]]);
+  });
+
+  it('stops the loop and the visibility listener once the last task is removed', () => {
+    const scheduler = createAnimationScheduler();
+    const first = scheduler.add(() => true);
+    const second = scheduler.add(() => true);
+
+    first.wake();
+    second.wake();
+    expect(listeners.size).toBe(1);
+    first.remove();
+    expect(frames.size).toBe(1);
+    second.remove();
+    expect(frames.size).toBe(0);
+    expect(listeners.size).toBe(0);
+    second.wake();
+    expect(frames.size).toBe(0);
+  });
+});
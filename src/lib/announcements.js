@@ -0,0 +1,93 @@
+import { readJSON, writeJSON } from './storage';
+import { hasSubscribed } from './subscriptions';
+
+/**
+ * ANNOUNCEMENTS
+ * Decides which entries of src/content/announcements.json a visitor sees.
+ * An announcement is due while its start/end window is open, if the visitor
+ * is in its audience, they have not dismissed it, and its frequency cap
+ * (maxViews, cooldownHours) allows another showing. Due announcements queue
+ * by priority, then by their order in the file.
+ *
+ * What each visitor has seen is kept in localStorage:
+ *   { visits, seen: { [id]: { views, lastShown, dismissed } } }
+ */
+
+const HISTORY_KEY = 'announcements';
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMPTY_HISTORY = { visits: 0, seen: {} };
+
+export const readHistory = () => {
+  const saved = readJSON(HISTORY_KEY, null);
+  return saved && typeof saved.seen === 'object' ? { ...EMPTY_HISTORY, ...saved } : EMPTY_HISTORY;
+};
+
+const updateSeen = (id, update) => {
+  const history = readHistory();
+  const record = history.seen[id] || { views: 0, lastShown: null, dismissed: false };
+  const next = { ...history, seen: { ...history.seen, [id]: update(record) } };
+  writeJSON(HISTORY_KEY, next);
+  return next;
+};
+
+let visitStarted = false;
+
+/**
+ * Count this page load as a visit and return the updated history. Later
+ * calls (remounts, StrictMode's double effects) return it without counting.
+ */
+export const startVisit = () => {
+  const history = readHistory();
+  if (visitStarted) return history;
+  visitStarted = true;
+  const next = { ...history, visits: history.visits + 1 };
+  writeJSON(HISTORY_KEY, next);
+  return next;
+};
+
+export const recordShown = (id, now = Date.now()) => updateSeen(id, record => ({
+  ...record, views: record.views + 1, lastShown: now,
+}));
+
+// Closing an announcement or following its call to action retires it for good
+export const recordDismissed = (id) => updateSeen(id, record => ({ ...record, dismissed: true }));
+
+export const isScheduled = ({ start, end }, now = Date.now()) => (
+  (!start || Date.parse(start) <= now) && (!end || now < Date.parse(end))
+);
+
+/** Whether `visitor` ({ visits, subscribed }) is in the announcement's audience. */
+export const matchesAudience = ({ audience }, visitor) => {
+  if (audience === 'new-visitors') return visitor.visits <= 1;
+  if (audience === 'returning-visitors') return visitor.visits > 1;
+  if (audience === 'not-subscribed') return !visitor.subscribed;
+  return true;
+};
+
+/** Whether dismissal or the frequency cap keeps the announcement hidden. */
+export const isCapped = ({ maxViews, cooldownHours = 0 }, record, now = Date.now()) => {
+  if (!record) return false;
+  if (record.dismissed) return true;
+  if (maxViews && record.views >= maxViews) return true;
+  return Boolean(record.lastShown && now - record.lastShown < cooldownHours * HOUR_MS);
+};
+
+/**
+ * The announcements due for this visitor, first in the queue first.
+ * `history` comes from readHistory/startVisit.
+ */
+export const selectAnnouncements = (announcements, {
+  now = Date.now(),
+  history = readHistory(),
+  subscribed = hasSubscribed(),
+} = {}) => {
+  const visitor = { visits: history.visits, subscribed };
+  return announcements
+    .map((announcement, order) => ({ announcement, order }))
+    .filter(({ announcement }) => isScheduled(announcement, now)
+      && matchesAudience(announcement, visitor)
+      && !isCapped(announcement, history.seen[announcement.id], now))
+    .sort((a, b) => (b.announcement.priority || 0) - (a.announcement.priority || 0) || a.order - b.order)
+    .map(({ announcement }) => announcement);
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  readHistory,
+  startVisit,
+  recordShown,
+  recordDismissed,
+  isScheduled,
+  matchesAudience,
+  isCapped,
+  selectAnnouncements,
+} from './announcements';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = Date.parse('2026-04-10T12:00Z');
+
+const announcement = (id, overrides = {}) => ({ id, audience: 'everyone', ...overrides });
+
+const history = (visits, seen = {}) => ({ visits, seen });
+
+const ids = (announcements) => announcements.map(entry => entry.id);
+
+beforeEach(() => {
+  const stored = new Map();
+  vi.stubGlobal('window', {
+    localStorage: {
+      getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+      setItem: (key, value) => stored.set(key, value),
+    },
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('isScheduled', () => {
+  it('is open from the start up to, not including, the end', () => {
+    const open = { start: '2026-04-01T00:00Z', end: '2026-04-10T12:00Z' };
+    expect(isScheduled(open, Date.parse('2026-03-31T23:59Z'))).toBe(false);
+    expect(isScheduled(open, Date.parse('2026-04-01T00:00Z'))).toBe(true);
+    expect(isScheduled(open, now)).toBe(false);
+  });
+
+  it('leaves either end open when it is not set', () => {
+    expect(isScheduled({}, now)).toBe(true);
+    expect(isScheduled({ end: '2026-05-01T00:00Z' }, now)).toBe(true);
+    expect(isScheduled({ start: '2026-05-01T00:00Z' }, now)).toBe(false);
+  });
+});
+
+describe('matchesAudience', () => {
+  it('tells new visitors from returning ones and subscribers from the rest', () => {
+    expect(matchesAudience({ audience: 'new-visitors' }, { visits: 1 })).toBe(true);
+    expect(matchesAudience({ audience: 'new-visitors' }, { visits: 2 })).toBe(false);
+    expect(matchesAudience({ audience: 'returning-visitors' }, { visits: 2 })).toBe(true);
+    expect(matchesAudience({ audience: 'not-subscribed' }, { visits: 5, subscribed: true })).toBe(false);
+    expect(matchesAudience({ audience: 'everyone' }, { visits: 5, subscribed: true })).toBe(true);
+  });
+});
+
+describe('isCapped', () => {
+  it('never caps an announcement that has not been shown', () => {
+    expect(isCapped({ maxViews: 1, cooldownHours: 24 }, undefined, now)).toBe(false);
+  });
+
+  it('caps dismissed announcements for good', () => {
+    expect(isCapped({}, { views: 1, lastShown: now - 1000 * HOUR_MS, dismissed: true }, now)).toBe(true);
+  });
+
+  it('stops at maxViews', () => {
+    expect(isCapped({ maxViews: 3 }, { views: 2, lastShown: now, dismissed: false }, now)).toBe(false);
+    expect(isCapped({ maxViews: 3 }, { views: 3, lastShown: now, dismissed: false }, now)).toBe(true);
+  });
+
+  it('waits cooldownHours between showings', () => {
+    const record = { views: 1, lastShown: now - 23 * HOUR_MS, dismissed: false };
+    expect(isCapped({ cooldownHours: 24 }, record, now)).toBe(true);
+    expect(isCapped({ cooldownHours: 24 }, record, now + HOUR_MS)).toBe(false);
+    expect(isCapped({}, record, now)).toBe(false);
+  });
+});
+
+describe('selectAnnouncements', () => {
+  it('queues due announcements by priority, then file order', () => {
+    const announcements = [
+      announcement('low'),
+      announcement('high', { priority: 5 }),
+      announcement('also-low'),
+      announcement('expired', { priority: 9, end: '2026-04-01T00:00Z' }),
+    ];
+    expect(ids(selectAnnouncements(announcements, { now, history: history(1), subscribed: false })))
+      .toEqual(['high', 'low', 'also-low']);
+  });
+
+  it('drops announcements outside the audience or over their cap', () => {
+    const announcements = [
+      announcement('welcome', { audience: 'new-visitors' }),
+      announcement('newsletter', { audience: 'not-subscribed' }),
+      announcement('workshop', { maxViews: 2 }),
+      announcement('donate', { cooldownHours: 24 }),
+    ];
+    const seen = {
+      workshop: { views: 2, lastShown: now - 48 * HOUR_MS, dismissed: false },
+      donate: { views: 1, lastShown: now - 2 * HOUR_MS, dismissed: false },
+    };
+    expect(ids(selectAnnouncements(announcements, { now, history: history(3, seen), subscribed: true }))).toEqual([]);
+    expect(ids(selectAnnouncements(announcements, { now, history: history(1), subscribed: false })))
+      .toEqual(['welcome', 'newsletter', 'workshop', 'donate']);
+  });
+
+  it('reads the stored history by default', () => {
+    const announcements = [announcement('welcome', { maxViews: 1 })];
+    expect(ids(selectAnnouncements(announcements, { now }))).toEqual(['welcome']);
+    recordShown('welcome', now);
+    expect(ids(selectAnnouncements(announcements, { now }))).toEqual([]);
+  });
+});
+
+describe('history', () => {
+  it('counts one visit per page load', () => {
+    expect(startVisit().visits).toBe(1);
+    expect(startVisit().visits).toBe(1);
+  });
+
+  it('records showings and dismissals per announcement', () => {
+    recordShown('welcome', now);
+    recordShown('welcome', now + HOUR_MS);
+    recordDismissed('welcome');
+    expect(readHistory().seen.welcome).toEqual({ views: 2, lastShown: now + HOUR_MS, dismissed: true });
+  });
+
+  it('starts over from unreadable history', () => {
+    window.localStorage.setItem('announcements', '{"visits":');
+    expect(readHistory()).toEqual({ visits: 0, seen: {} });
+  });
+});
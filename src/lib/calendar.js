@@ -0,0 +1,74 @@
+/**
+ * CALENDAR
+ * Helpers for the events in src/content/events.json: when an event ends,
+ * whether it is upcoming, and iCalendar (.ics, RFC 5545) export so visitors
+ * can add one session or the whole schedule to their own calendar.
+ */
+
+const CALENDAR_DOMAIN = 'tinyml4d.org';
+
+export const eventStart = (event) => new Date(event.start);
+
+export const eventEnd = (event) => new Date(Date.parse(event.start) + event.durationMinutes * 60000);
+
+// Upcoming until it has ended, so a session in progress is still listed first
+export const isUpcoming = (event, now = Date.now()) => eventEnd(event).getTime() > now;
+
+// 20260317T140000Z
+const icsTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// Lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const decoder = new TextDecoder();
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length ? 74 : 75), bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(decoder.decode(bytes.slice(start, end)));
+    start = end;
+  }
+  return parts.join('\r\n ');
+};
+
+const toVEvent = (event, stamp, origin) => [
+  'BEGIN:VEVENT',
+  `UID:${event.id}@${CALENDAR_DOMAIN}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART:${icsTime(eventStart(event))}`,
+  `DTEND:${icsTime(eventEnd(event))}`,
+  `SUMMARY:${escapeText(event.title)}`,
+  `DESCRIPTION:${escapeText(event.description)}`,
+  `LOCATION:${escapeText(event.location)}`,
+  ...(event.url ? [`URL:${event.url.startsWith('/') ? origin + event.url : event.url}`] : []),
+  'END:VEVENT',
+];
+
+/**
+ * An iCalendar file with one VEVENT per event. `origin` turns site-relative
+ * event URLs into absolute ones.
+ */
+export const toICS = (events, { name = 'tinyML4D Events', origin = '', now = new Date() } = {}) => {
+  const stamp = icsTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${CALENDAR_DOMAIN}//Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => toVEvent(event, stamp, origin)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
+
+export const icsBlob = (events, options) => new Blob([toICS(events, options)], { type: 'text/calendar;charset=utf-8' });
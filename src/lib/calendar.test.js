@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { eventEnd, isUpcoming, toICS } from './calendar';
+
+const event = (overrides = {}) => ({
+  id: 'intro-session',
+  title: 'Intro to TinyML',
+  start: '2026-03-17T14:00Z',
+  durationMinutes: 90,
+  description: 'Getting started',
+  location: 'Online',
+  ...overrides,
+});
+
+const now = new Date('2026-03-01T09:30:00Z');
+
+// The content lines of a calendar, with folded lines joined back up
+const unfolded = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+const octets = (line) => new TextEncoder().encode(line).length;
+
+describe('eventEnd and isUpcoming', () => {
+  it('ends the duration after the start', () => {
+    expect(eventEnd(event()).toISOString()).toBe('2026-03-17T15:30:00.000Z');
+  });
+
+  it('counts a session as upcoming until it has ended', () => {
+    expect(isUpcoming(event(), Date.parse('2026-03-17T15:00Z'))).toBe(true);
+    expect(isUpcoming(event(), Date.parse('2026-03-17T15:30Z'))).toBe(false);
+  });
+});
+
+describe('toICS', () => {
+  it('writes one VEVENT per event with UTC times and CRLF line endings', () => {
+    const ics = toICS([event(), event({ id: 'second', url: '/community/workshops' })], { origin: 'https://example.org', now });
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/);
+    const lines = unfolded(ics);
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(lines).toContain('UID:intro-session@tinyml4d.org');
+    expect(lines).toContain('DTSTAMP:20260301T093000Z');
+    expect(lines).toContain('DTSTART:20260317T140000Z');
+    expect(lines).toContain('DTEND:20260317T153000Z');
+    expect(lines).toContain('URL:https://example.org/community/workshops');
+  });
+
+  it('escapes backslashes, newlines, commas and semicolons in text', () => {
+    const lines = unfolded(toICS([event({
+      title: 'Sensors, signals; and more',
+      description: 'Bring:\na laptop\\board',
+    })], { name: 'Events; all', now }));
+
+    expect(lines).toContain('X-WR-CALNAME:Events\\; all');
+    expect(lines).toContain('SUMMARY:Sensors\\, signals\\; and more');
+    expect(lines).toContain('DESCRIPTION:Bring:\\na laptop\\\\board');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const description = 'A long description. '.repeat(12).trim();
+    const ics = toICS([event({ description })], { now });
+
+    ics.split('\r\n').forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+    expect(ics).toMatch(/\r\n /);
+    expect(unfolded(ics)).toContain(`DESCRIPTION:${description}`);
+  });
+
+  it('never splits a multi-byte character when folding', () => {
+    const description = 'Taller en São Paulo — sesión práctica 🎉 '.repeat(6).trim();
+    const ics = toICS([event({ description })], { now });
+
+    ics.split('\r\n').forEach(line => {
+      expect(octets(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfolded(ics)).toContain(`DESCRIPTION:${description}`);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * DONATIONS
+ * Amounts, validation and campaign progress for the donation form. Campaigns,
+ * preset tiers and the currency come from src/content/campaigns.json; the
+ * payment itself goes through a provider from src/lib/paymentProviders.js.
+ */
+
+export const FREQUENCIES = ['once', 'monthly'];
+
+// Largest single donation the form accepts; bigger gifts go through the team
+export const MAX_AMOUNT = 10000;
+
+export class DonationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DonationError';
+    this.code = code;
+  }
+}
+
+// A whole amount typed into the "Other" field, or NaN
+export const parseAmount = (value) => {
+  const text = String(value ?? '').trim();
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+};
+
+/**
+ * Problems with a donation, as a DonationError code, or null when it can go
+ * to the provider.
+ */
+export const checkDonation = ({ campaign, amount, frequency }, campaigns) => {
+  if (!campaigns.some(entry => entry.id === campaign)) return 'invalid-campaign';
+  if (!FREQUENCIES.includes(frequency)) return 'invalid-frequency';
+  if (!Number.isInteger(amount) || amount < 1) return 'invalid-amount';
+  if (amount > MAX_AMOUNT) return 'amount-too-large';
+  return null;
+};
+
+// Share of the goal raised, from 0 to 1
+export const campaignProgress = ({ raised, goal }) => Math.min(1, Math.max(0, raised / goal));
+
+/**
+ * Hand a donation to `provider`. Resolves to the provider's checkout result;
+ * rejects with a DonationError.
+ */
+export const donate = async (donation, { campaigns, currency, provider }) => {
+  const problem = checkDonation(donation, campaigns);
+  if (problem) throw new DonationError('Please check the donation details.', problem);
+
+  try {
+    return await provider.checkout({ ...donation, currency });
+  } catch (err) {
+    if (err instanceof DonationError) throw err;
+    throw new DonationError('We could not start the payment. Please try again later.', 'provider');
+  }
+};
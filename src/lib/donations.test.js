@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  MAX_AMOUNT,
+  DonationError,
+  parseAmount,
+  checkDonation,
+  campaignProgress,
+  donate,
+} from './donations';
+
+const campaigns = [
+  { id: 'sponsor-a-student', goal: 20000, raised: 12850 },
+  { id: 'equipment-drives', goal: 15000, raised: 6420 },
+];
+
+const donation = (overrides = {}) => ({ campaign: 'sponsor-a-student', amount: 50, frequency: 'once', ...overrides });
+
+describe('parseAmount', () => {
+  it('reads whole amounts typed into "Other"', () => {
+    expect(parseAmount('75')).toBe(75);
+    expect(parseAmount(' 120 ')).toBe(120);
+  });
+
+  it('rejects anything that is not a whole number', () => {
+    ['', '12.5', '-5', '1e3', 'ten', null, undefined].forEach(value => {
+      expect(parseAmount(value)).toBeNaN();
+    });
+  });
+});
+
+describe('checkDonation', () => {
+  it('accepts a preset tier for a known campaign, once or monthly', () => {
+    [25, 50, 100, 250].forEach(amount => expect(checkDonation(donation({ amount }), campaigns)).toBeNull());
+    expect(checkDonation(donation({ frequency: 'monthly' }), campaigns)).toBeNull();
+  });
+
+  it('names what is wrong with a donation', () => {
+    expect(checkDonation(donation({ campaign: 'unknown' }), campaigns)).toBe('invalid-campaign');
+    expect(checkDonation(donation({ frequency: 'weekly' }), campaigns)).toBe('invalid-frequency');
+    expect(checkDonation(donation({ amount: NaN }), campaigns)).toBe('invalid-amount');
+    expect(checkDonation(donation({ amount: 0 }), campaigns)).toBe('invalid-amount');
+    expect(checkDonation(donation({ amount: 2.5 }), campaigns)).toBe('invalid-amount');
+  });
+
+  it('caps single donations at MAX_AMOUNT', () => {
+    expect(checkDonation(donation({ amount: MAX_AMOUNT }), campaigns)).toBeNull();
+    expect(checkDonation(donation({ amount: MAX_AMOUNT + 1 }), campaigns)).toBe('amount-too-large');
+  });
+});
+
+describe('campaignProgress', () => {
+  it('is the share of the goal raised', () => {
+    expect(campaignProgress({ raised: 5000, goal: 20000 })).toBe(0.25);
+  });
+
+  it('stays between 0 and 1', () => {
+    expect(campaignProgress({ raised: 30000, goal: 20000 })).toBe(1);
+    expect(campaignProgress({ raised: -10, goal: 20000 })).toBe(0);
+  });
+});
+
+describe('donate', () => {
+  it('hands valid donations to the provider with the currency', async () => {
+    const provider = { checkout: vi.fn().mockResolvedValue({ status: 'completed', reference: 'ref' }) };
+    const result = await donate(donation({ frequency: 'monthly' }), { campaigns, currency: 'USD', provider });
+
+    expect(result).toEqual({ status: 'completed', reference: 'ref' });
+    expect(provider.checkout).toHaveBeenCalledWith({
+      campaign: 'sponsor-a-student', amount: 50, frequency: 'monthly', currency: 'USD',
+    });
+  });
+
+  it('stops invalid donations before the provider', async () => {
+    const provider = { checkout: vi.fn() };
+    await expect(donate(donation({ amount: 0 }), { campaigns, currency: 'USD', provider }))
+      .rejects.toMatchObject({ name: 'DonationError', code: 'invalid-amount' });
+    expect(provider.checkout).not.toHaveBeenCalled();
+  });
+
+  it('passes DonationErrors through and wraps anything else', async () => {
+    const declined = { checkout: () => Promise.reject(new DonationError('Declined', 'declined')) };
+    const broken = { checkout: () => Promise.reject(new Error('socket hang up')) };
+
+    await expect(donate(donation(), { campaigns, currency: 'USD', provider: declined }))
+      .rejects.toMatchObject({ code: 'declined' });
+    await expect(donate(donation(), { campaigns, currency: 'USD', provider: broken }))
+      .rejects.toMatchObject({ name: 'DonationError', code: 'provider' });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * FRAME BUDGET
+ * Rolling record of how long recent frames took to draw, compared against a
+ * budget in milliseconds. Used by the ?perf overlay to check effects on slow
+ * hardware.
+ */
+export const createFrameBudget = ({ budgetMs, sampleSize = 120 }) => {
+  const samples = [];
+  let overBudget = 0;
+  let total = 0;
+
+  return {
+    budgetMs,
+
+    record(frameTime) {
+      samples.push(frameTime);
+      if (samples.length > sampleSize) samples.shift();
+      total += 1;
+      if (frameTime > budgetMs) overBudget += 1;
+    },
+
+    summary() {
+      if (!samples.length) return null;
+      const sorted = [...samples].sort((a, b) => a - b);
+      return {
+        budgetMs,
+        frames: total,
+        overBudget,
+        avg: samples.reduce((sum, t) => sum + t, 0) / samples.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        max: sorted[sorted.length - 1],
+      };
+    },
+  };
+};
+
+// The perf overlay is enabled with ?perf in the URL
+export const isPerfOverlayEnabled = () => (
+  typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('perf')
+);
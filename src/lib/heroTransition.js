@@ -0,0 +1,84 @@
+/**
+ * HERO TRANSITION
+ * The home page hero shows one book cover until the visitor first tries to
+ * scroll, then cross-fades to the second cover before the page scrolls on.
+ * This is the state machine behind it, kept free of the DOM so every input
+ * path (wheel, touch, keyboard, scrollbar, anchors, back/forward) goes
+ * through the same transitions:
+ *
+ *   initial ──advance──▶ transitioning ──finish──▶ swapped
+ *      ▲                      │  skip                 │
+ *      └──────retreat─────────┴───────────────────────┘
+ *
+ * `scroll` events carry the real scroll position, so anything that moves the
+ * page without a wheel or key (dragging the scrollbar, #about links, restored
+ * positions) lands in the right state too.
+ */
+
+export const HERO_STATES = ['initial', 'transitioning', 'swapped'];
+
+// Below this scroll offset the page counts as being at the top
+export const SCROLL_THRESHOLD = 50;
+
+// Length of the cover cross-fade; matches duration-[1500ms] in HomePage
+export const TRANSITION_MS = 1500;
+
+export const initialHeroState = (scrollY) => (scrollY > SCROLL_THRESHOLD ? 'swapped' : 'initial');
+
+/**
+ * Events:
+ * - { type: 'advance' }          the visitor asked to move down
+ * - { type: 'retreat', y }       the visitor asked to move up at offset y
+ * - { type: 'finish' }           the cross-fade has run its course
+ * - { type: 'skip' }             jump straight to the end
+ * - { type: 'scroll', y, previousY } the page scrolled from previousY to y
+ */
+export const heroReducer = (state, event) => {
+  switch (event.type) {
+    case 'advance':
+      return state === 'initial' ? 'transitioning' : state;
+
+    case 'retreat':
+      return event.y <= SCROLL_THRESHOLD ? 'initial' : state;
+
+    case 'finish':
+      return state === 'transitioning' ? 'swapped' : state;
+
+    case 'skip':
+      return 'swapped';
+
+    case 'scroll': {
+      const { y, previousY = y } = event;
+      if (y > SCROLL_THRESHOLD) return 'swapped';
+      if (y < previousY) return 'initial';
+      if (y > previousY && state === 'initial') return 'transitioning';
+      return state;
+    }
+
+    default:
+      return state;
+  }
+};
+
+// Forward input is held back until the cover has swapped
+export const isScrollLocked = (state) => state !== 'swapped';
+
+/**
+ * What a key press asks for: 'forward', 'back', 'skip' or null. Takes a
+ * KeyboardEvent-like { key, shiftKey, altKey, ctrlKey, metaKey }.
+ */
+export const keyIntent = ({ key, shiftKey, altKey, ctrlKey, metaKey }) => {
+  if (altKey || ctrlKey || metaKey) return null;
+  if (key === 'Escape') return 'skip';
+  if (key === ' ') return shiftKey ? 'back' : 'forward';
+  if (['ArrowDown', 'PageDown', 'End'].includes(key)) return 'forward';
+  if (['ArrowUp', 'PageUp', 'Home'].includes(key)) return 'back';
+  return null;
+};
+
+// Wheel and touch deltas are positive when the content should move down
+export const deltaIntent = (deltaY) => {
+  if (deltaY > 0) return 'forward';
+  if (deltaY < 0) return 'back';
+  return null;
+};
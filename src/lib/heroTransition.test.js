@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SCROLL_THRESHOLD,
+  initialHeroState,
+  heroReducer,
+  isScrollLocked,
+  keyIntent,
+  deltaIntent,
+} from './heroTransition';
+
+const run = (state, events) => events.reduce(heroReducer, state);
+
+describe('initialHeroState', () => {
+  it('starts on the first cover at the top of the page', () => {
+    expect(initialHeroState(0)).toBe('initial');
+    expect(initialHeroState(SCROLL_THRESHOLD)).toBe('initial');
+  });
+
+  it('starts swapped when the page loads scrolled down', () => {
+    expect(initialHeroState(SCROLL_THRESHOLD + 1)).toBe('swapped');
+  });
+});
+
+describe('heroReducer', () => {
+  it('advances, then finishes the cross-fade', () => {
+    expect(run('initial', [{ type: 'advance' }])).toBe('transitioning');
+    expect(run('initial', [{ type: 'advance' }, { type: 'finish' }])).toBe('swapped');
+  });
+
+  it('ignores further advances while the cross-fade runs', () => {
+    expect(run('initial', [{ type: 'advance' }, { type: 'advance' }])).toBe('transitioning');
+  });
+
+  it('only finishes a running transition', () => {
+    expect(heroReducer('initial', { type: 'finish' })).toBe('initial');
+    expect(heroReducer('swapped', { type: 'finish' })).toBe('swapped');
+  });
+
+  it('skips straight to the end from any state', () => {
+    expect(heroReducer('initial', { type: 'skip' })).toBe('swapped');
+    expect(heroReducer('transitioning', { type: 'skip' })).toBe('swapped');
+    expect(heroReducer('swapped', { type: 'skip' })).toBe('swapped');
+  });
+
+  it('reverses to the first cover when moving up at the top', () => {
+    expect(heroReducer('swapped', { type: 'retreat', y: 0 })).toBe('initial');
+    expect(heroReducer('transitioning', { type: 'retreat', y: SCROLL_THRESHOLD })).toBe('initial');
+  });
+
+  it('keeps the second cover when moving up further down the page', () => {
+    expect(heroReducer('swapped', { type: 'retreat', y: SCROLL_THRESHOLD + 200 })).toBe('swapped');
+  });
+
+  it('swaps when a hash link or restored position lands below the hero', () => {
+    expect(heroReducer('initial', { type: 'scroll', y: 900, previousY: 0 })).toBe('swapped');
+    expect(heroReducer('transitioning', { type: 'scroll', y: 900 })).toBe('swapped');
+  });
+
+  it('returns to the first cover when back navigation scrolls to the top', () => {
+    expect(heroReducer('swapped', { type: 'scroll', y: 0, previousY: 900 })).toBe('initial');
+  });
+
+  it('starts the transition on a small downward scroll at the top', () => {
+    expect(heroReducer('initial', { type: 'scroll', y: 10, previousY: 0 })).toBe('transitioning');
+    expect(heroReducer('initial', { type: 'scroll', y: 0 })).toBe('initial');
+  });
+
+  it('leaves the state alone on unknown events', () => {
+    expect(heroReducer('transitioning', { type: 'resize' })).toBe('transitioning');
+  });
+});
+
+describe('isScrollLocked', () => {
+  it('holds forward input until the cover has swapped', () => {
+    expect(isScrollLocked('initial')).toBe(true);
+    expect(isScrollLocked('transitioning')).toBe(true);
+    expect(isScrollLocked('swapped')).toBe(false);
+  });
+});
+
+describe('keyIntent', () => {
+  const key = (value, modifiers = {}) => keyIntent({ key: value, ...modifiers });
+
+  it('maps scrolling keys to forward and back', () => {
+    ['ArrowDown', 'PageDown', 'End', ' '].forEach(k => expect(key(k)).toBe('forward'));
+    ['ArrowUp', 'PageUp', 'Home'].forEach(k => expect(key(k)).toBe('back'));
+    expect(key(' ', { shiftKey: true })).toBe('back');
+  });
+
+  it('skips on Escape', () => {
+    expect(key('Escape')).toBe('skip');
+  });
+
+  it('ignores shortcuts and other keys', () => {
+    expect(key('ArrowDown', { ctrlKey: true })).toBeNull();
+    expect(key('ArrowDown', { metaKey: true })).toBeNull();
+    expect(key('ArrowDown', { altKey: true })).toBeNull();
+    expect(key('a')).toBeNull();
+  });
+});
+
+describe('deltaIntent', () => {
+  it('reads the direction of a wheel or touch delta', () => {
+    expect(deltaIntent(120)).toBe('forward');
+    expect(deltaIntent(-3)).toBe('back');
+    expect(deltaIntent(0)).toBeNull();
+  });
+});
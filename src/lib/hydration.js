@@ -0,0 +1,37 @@
+/**
+ * HYDRATION
+ * Pages are pre-rendered at build time (scripts/prerender.mjs) without a
+ * browser, so the HTML is built from defaults: English, light theme, full
+ * motion, nothing in localStorage, UTC. While React hydrates that HTML the
+ * first render has to produce the same markup, so browser-only values wait
+ * until after it (see src/hooks/useClientState.js).
+ *
+ * The server render and main.jsx share a snapshot of what the HTML was built
+ * from ({ path, renderedAt }), carried in data attributes on #root.
+ */
+
+let snapshot = null;
+
+// The zone pre-rendered dates are shown in, before the visitor's own takes over
+export const SERVER_TIME_ZONE = 'UTC';
+
+export const startHydration = (next) => {
+  snapshot = next;
+};
+
+export const finishHydration = () => {
+  snapshot = null;
+};
+
+/** Whether this render must match the pre-rendered HTML (or is producing it). */
+export const isHydrating = () => typeof window === 'undefined' || snapshot !== null;
+
+/** When the HTML being rendered or hydrated was built; now otherwise. */
+export const renderTime = () => (snapshot && snapshot.renderedAt ? snapshot.renderedAt : Date.now());
+
+/** The snapshot in #root's attributes, if the HTML was pre-rendered for `path`. */
+export const readSnapshot = (root, path) => {
+  const { path: renderedPath, renderedAt } = root.dataset;
+  if (!root.hasChildNodes() || renderedPath !== path) return null;
+  return { path, renderedAt: Number(renderedAt) };
+};
@@ -0,0 +1,74 @@
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+import fr from '../locales/fr.json';
+import ar from '../locales/ar.json';
+
+/**
+ * I18N
+ * Each catalog in src/locales has a display `name`, a text direction `dir`,
+ * `messages` keyed by id ("hero.startLearning") and optional `content`
+ * overrides shaped like the files in src/content.
+ *
+ * Lookups walk a fallback chain, most specific first: "es-MX" tries es-MX,
+ * then es, then en. English is complete, so a partially translated locale
+ * still renders every string.
+ */
+
+export const CATALOGS = { en, es, fr, ar };
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = Object.keys(CATALOGS);
+
+export const fallbackChain = (locale) => {
+  const chain = [];
+  const parts = String(locale || '').split('-');
+  for (let i = parts.length; i > 0; i--) {
+    const candidate = parts.slice(0, i).join('-');
+    if (CATALOGS[candidate] && !chain.includes(candidate)) chain.push(candidate);
+  }
+  if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+  return chain;
+};
+
+// First supported locale among the visitor's preferences (navigator.languages)
+export const matchLocale = (preferred = []) => {
+  for (const tag of preferred) {
+    const match = fallbackChain(tag)[0];
+    if (match !== DEFAULT_LOCALE || tag.split('-')[0] === DEFAULT_LOCALE) return match;
+  }
+  return DEFAULT_LOCALE;
+};
+
+export const textDirection = (locale) => CATALOGS[fallbackChain(locale)[0]].dir || 'ltr';
+
+/**
+ * The message for `key` from the first catalog in the chain that has it, with
+ * {name} placeholders filled from `params`. Falls back to `fallback`, then to
+ * the key itself so a missing string is visible rather than blank.
+ */
+export const translate = (chain, key, params = {}, fallback = key) => {
+  const catalog = chain.find(locale => CATALOGS[locale].messages[key] !== undefined);
+  const message = catalog ? CATALOGS[catalog].messages[key] : fallback;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+// Overlay `override` onto `base`: objects by key, lists by position. Only keys
+// and entries already in `base` are taken, so a catalog can translate content
+// but not add to it.
+const overlay = (base, override) => {
+  if (override === undefined || override === null) return base;
+  if (Array.isArray(base)) {
+    return Array.isArray(override) ? base.map((item, i) => overlay(item, override[i])) : base;
+  }
+  if (base && typeof base === 'object') {
+    if (typeof override !== 'object' || Array.isArray(override)) return base;
+    return Object.fromEntries(Object.entries(base).map(([key, value]) => [key, overlay(value, override[key])]));
+  }
+  return typeof override === typeof base ? override : base;
+};
+
+// Site content with each catalog's overrides applied, least specific first
+export const localizeContent = (content, chain) => (
+  [...chain].reverse().reduce((result, locale) => overlay(result, CATALOGS[locale].content), content)
+);
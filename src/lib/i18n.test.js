@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CATALOGS,
+  fallbackChain,
+  matchLocale,
+  textDirection,
+  translate,
+  localizeContent,
+} from './i18n';
+
+describe('fallbackChain', () => {
+  it('goes from the most specific supported locale down to English', () => {
+    expect(fallbackChain('es-MX')).toEqual(['es', 'en']);
+    expect(fallbackChain('fr')).toEqual(['fr', 'en']);
+    expect(fallbackChain('en-GB')).toEqual(['en']);
+  });
+
+  it('falls back to English alone for unknown or missing locales', () => {
+    expect(fallbackChain('de-DE')).toEqual(['en']);
+    expect(fallbackChain('')).toEqual(['en']);
+    expect(fallbackChain(undefined)).toEqual(['en']);
+  });
+});
+
+describe('matchLocale', () => {
+  it('takes the first preference with a catalog', () => {
+    expect(matchLocale(['de-DE', 'fr-CA', 'es'])).toBe('fr');
+    expect(matchLocale(['ar-EG'])).toBe('ar');
+  });
+
+  it('stops at an English preference rather than skipping past it', () => {
+    expect(matchLocale(['en-US', 'es'])).toBe('en');
+  });
+
+  it('defaults to English', () => {
+    expect(matchLocale(['de', 'ja'])).toBe('en');
+    expect(matchLocale()).toBe('en');
+  });
+});
+
+describe('textDirection', () => {
+  it('reads the direction from the matching catalog', () => {
+    expect(textDirection('ar-SA')).toBe('rtl');
+    expect(textDirection('es')).toBe('ltr');
+    expect(textDirection('de')).toBe('ltr');
+  });
+});
+
+describe('translate', () => {
+  it('uses the first catalog in the chain that has the message', () => {
+    expect(translate(['es', 'en'], 'paint.title')).toBe(CATALOGS.es.messages['paint.title']);
+    expect(CATALOGS.es.messages['paint.png']).toBeUndefined();
+    expect(translate(['es', 'en'], 'paint.png')).toBe(CATALOGS.en.messages['paint.png']);
+  });
+
+  it('fills placeholders, leaving unknown ones visible', () => {
+    expect(translate(['en'], 'paint.brushSize', { size: 4 })).toBe('Brush size: 4');
+    expect(translate(['en'], 'paint.brushSize')).toBe('Brush size: {size}');
+  });
+
+  it('falls back to the given text, then to the key', () => {
+    expect(translate(['es', 'en'], 'no.such.key', {}, 'Fallback')).toBe('Fallback');
+    expect(translate(['es', 'en'], 'no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('localizeContent', () => {
+  const content = {
+    navigation: {
+      sections: [{ label: 'Learn', items: [{ label: 'MLSys Book', href: '/learn/book' }, { label: 'Tiny Torch', href: '/learn/tinytorch' }] }],
+    },
+  };
+
+  it('overlays translated text and keeps everything else', () => {
+    const [section] = localizeContent(content, ['es', 'en']).navigation.sections;
+    const [translated] = CATALOGS.es.content.navigation.sections;
+
+    expect(section.label).toBe(translated.label);
+    expect(section.items[0]).toEqual({ label: translated.items[0].label, href: '/learn/book' });
+    // An empty entry leaves the English one as it was
+    expect(translated.items[1]).toEqual({});
+    expect(section.items[1]).toEqual(content.navigation.sections[0].items[1]);
+  });
+
+  it('does not add files or entries the content lacks', () => {
+    const localized = localizeContent(content, ['es', 'en']);
+    expect(Object.keys(localized)).toEqual(['navigation']);
+    expect(localized.navigation.sections).toHaveLength(1);
+  });
+
+  it('leaves English content untouched', () => {
+    expect(localizeContent(content, ['en'])).toEqual(content);
+  });
+});
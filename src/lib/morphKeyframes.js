@@ -0,0 +1,19 @@
+/**
+ * MORPH KEYFRAMES
+ * Keyframe sequences for ParticleMorphScene: [{ shape, from, to, options? }]
+ * over scroll progress through the section (see src/lib/shapes.js).
+ */
+
+// Cube to sphere across the first two thirds of the section, as it always did
+export const DEFAULT_KEYFRAMES = [
+  { shape: 'cube', from: 0, to: 0 },
+  { shape: 'sphere', from: 2 / 3, to: 1 },
+];
+
+// Scroll story told by the home page's particle section: data, hardware, tinyML, the world
+export const HOME_KEYFRAMES = [
+  { shape: 'cube', from: 0, to: 0.05 },
+  { shape: 'chip', from: 0.22, to: 0.34 },
+  { shape: 'text', from: 0.5, to: 0.62, options: { text: 'tinyML' } },
+  { shape: 'sphere', from: 0.8, to: 1 },
+];
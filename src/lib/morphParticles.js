@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+/**
+ * MORPH PARTICLES
+ * Every particle is the same wireframe box, so they are drawn as one
+ * instanced LineSegments and moved on the GPU. Per-instance attributes carry
+ * the start and end positions of the current morph, the colour, the initial
+ * rotation, spin speed and start delay; the vertex shader does the easing,
+ * interpolation, spin and pulse that used to run per object in JS.
+ *
+ * The CPU only rewrites aFrom/aTo when the morph moves on to another pair
+ * of shapes, so the per-frame cost no longer grows with the particle count.
+ */
+
+const vertexShader = /* glsl */ `
+  uniform float uProgress;
+  uniform float uSpin;
+
+  attribute vec3 aFrom;
+  attribute vec3 aTo;
+  attribute vec3 aColor;
+  attribute vec3 aRotation;
+  attribute vec2 aRotSpeed;
+  attribute float aDelay;
+
+  varying vec3 vColor;
+
+  mat3 rotateX(float a) { float c = cos(a), s = sin(a); return mat3(1.0, 0.0, 0.0, 0.0, c, s, 0.0, -s, c); }
+  mat3 rotateY(float a) { float c = cos(a), s = sin(a); return mat3(c, 0.0, -s, 0.0, 1.0, 0.0, s, 0.0, c); }
+  mat3 rotateZ(float a) { float c = cos(a), s = sin(a); return mat3(c, s, 0.0, -s, c, 0.0, 0.0, 0.0, 1.0); }
+
+  void main() {
+    float local = clamp(uProgress - aDelay * 0.5, 0.0, 1.0);
+    float t = local < 0.5 ? 2.0 * local * local : -1.0 + (4.0 - 2.0 * local) * local;
+
+    // Same XYZ Euler order as Object3D.rotation
+    vec3 angles = aRotation + vec3(aRotSpeed * uSpin, 0.0);
+    mat3 rotation = rotateX(angles.x) * rotateY(angles.y) * rotateZ(angles.z);
+
+    float scale = 1.0 + sin(t * 3.14159265) * 0.5;
+    vec3 transformed = rotation * position * scale + mix(aFrom, aTo, t);
+
+    vColor = aColor;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(transformed, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform float uOpacity;
+  varying vec3 vColor;
+
+  void main() {
+    gl_FragColor = vec4(vColor, uOpacity);
+    #include <colorspace_fragment>
+  }
+`;
+
+// The shader's per-particle easing, on the CPU
+const easeAt = (progress, delay) => {
+  const local = Math.min(1, Math.max(0, progress - delay * 0.5));
+  return local < 0.5 ? 2 * local * local : -1 + (4 - 2 * local) * local;
+};
+
+export const createMorphParticles = ({ count, particleSize, colors, opacity = 0.9, random = Math.random }) => {
+  const box = new THREE.BoxGeometry(particleSize, particleSize, particleSize);
+  const edges = new THREE.EdgesGeometry(box);
+  box.dispose();
+
+  const geometry = new THREE.InstancedBufferGeometry();
+  geometry.setAttribute('position', edges.getAttribute('position'));
+  geometry.instanceCount = count;
+
+  const from = new Float32Array(count * 3);
+  const to = new Float32Array(count * 3);
+  const color = new Float32Array(count * 3);
+  const rotation = new Float32Array(count * 3);
+  const rotSpeed = new Float32Array(count * 2);
+  const delay = new Float32Array(count);
+  // Where in the palette each particle picks its colour (0-1), so a new
+  // palette keeps the same pattern
+  const swatchIndex = new Float32Array(count);
+  const swatch = new THREE.Color();
+
+  const paint = (palette) => {
+    for (let i = 0; i < count; i++) {
+      swatch.setHex(palette[Math.min(palette.length - 1, Math.floor(swatchIndex[i] * palette.length))]);
+      color.set([swatch.r, swatch.g, swatch.b], i * 3);
+    }
+  };
+
+  for (let i = 0; i < count; i++) {
+    swatchIndex[i] = random();
+    rotation.set([random() * Math.PI, random() * Math.PI, random() * Math.PI], i * 3);
+    rotSpeed.set([(random() - 0.5) * 0.02, (random() - 0.5) * 0.02], i * 2);
+    delay[i] = random() * 0.5;
+  }
+  paint(colors);
+
+  const fromAttribute = new THREE.InstancedBufferAttribute(from, 3);
+  const toAttribute = new THREE.InstancedBufferAttribute(to, 3);
+  geometry.setAttribute('aFrom', fromAttribute);
+  geometry.setAttribute('aTo', toAttribute);
+  const colorAttribute = new THREE.InstancedBufferAttribute(color, 3);
+  geometry.setAttribute('aColor', colorAttribute);
+  geometry.setAttribute('aRotation', new THREE.InstancedBufferAttribute(rotation, 3));
+  geometry.setAttribute('aRotSpeed', new THREE.InstancedBufferAttribute(rotSpeed, 2));
+  geometry.setAttribute('aDelay', new THREE.InstancedBufferAttribute(delay, 1));
+
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uProgress: { value: 0 },
+      uSpin: { value: 0 },
+      uOpacity: { value: opacity },
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+  });
+
+  const object = new THREE.LineSegments(geometry, material);
+  // Instances are placed in the shader, so the base box's bounds mean nothing
+  object.frustumCulled = false;
+
+  let shapes = { from: null, to: null };
+
+  return {
+    object,
+
+    // Morph between two position arrays (see src/lib/shapes.js)
+    setShapes(fromPositions, toPositions) {
+      if (shapes.from === fromPositions && shapes.to === toPositions) return;
+      shapes = { from: fromPositions, to: toPositions };
+      from.set(fromPositions);
+      to.set(toPositions);
+      fromAttribute.needsUpdate = true;
+      toAttribute.needsUpdate = true;
+    },
+
+    // `progress` is the raw morph progress before per-particle delay; `spin`
+    // counts frames, as each particle turns by its speed once per frame
+    update(progress, spin) {
+      material.uniforms.uProgress.value = progress;
+      material.uniforms.uSpin.value = spin;
+    },
+
+    // Particle centres and colours at `progress`, computed as the vertex
+    // shader does; lets scripts/snapshot.mjs draw a frame without WebGL
+    sample(progress) {
+      const positions = new Float32Array(count * 3);
+      for (let i = 0; i < count; i++) {
+        const t = easeAt(progress, delay[i]);
+        for (let axis = 0; axis < 3; axis++) {
+          const k = i * 3 + axis;
+          positions[k] = from[k] + (to[k] - from[k]) * t;
+        }
+      }
+      return { positions, colors: color.slice() };
+    },
+
+    // Recolour in place, e.g. when the theme changes
+    setColors(palette) {
+      paint(palette);
+      colorAttribute.needsUpdate = true;
+    },
+
+    dispose() {
+      geometry.dispose();
+      edges.dispose();
+      material.dispose();
+    },
+  };
+};
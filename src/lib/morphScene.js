@@ -0,0 +1,71 @@
+/**
+ * MORPH SCENES
+ * Keyframe sequences for ParticleMorphScene (from ./morphKeyframes) and the
+ * particle targets built from them. The component and the snapshot harness
+ * (scripts/snapshot.mjs) both lay particles out through here, so a seed gives
+ * the same scene in both.
+ * drawParticles is the Canvas 2D stand-in for the WebGL scene that both use
+ * for still images.
+ */
+import * as THREE from 'three';
+import { createShape } from './shapes';
+
+// Kept apart from three.js so the app shell can name them (see src/routes.js)
+export { DEFAULT_KEYFRAMES, HOME_KEYFRAMES } from './morphKeyframes';
+
+export const PARTICLE_SIZE = 0.15;
+// ParticleMorphScene's camera
+export const CAMERA_FOV = 75;
+export const CAMERA_Z = 8;
+const SPREAD_CUBE = 4;
+const SPREAD_SPHERE = 3.5;
+
+const SHAPE_DEFAULTS = {
+  cube: { size: SPREAD_CUBE },
+  sphere: { size: SPREAD_CUBE, radius: SPREAD_SPHERE },
+};
+
+/**
+ * One position array per keyframe for `count` particles. Shape jitter is
+ * drawn from `random`, in keyframe order.
+ */
+export const createMorphTargets = (keyframes, count, random = Math.random) => keyframes.map(frame => createShape(
+  frame.shape,
+  count,
+  { ...SHAPE_DEFAULTS[frame.shape], ...frame.options },
+  random,
+));
+
+/**
+ * Draw particles onto a 2D context as flat squares at their projected
+ * centres, far ones first, through ParticleMorphScene's camera. Not what
+ * WebGL draws, but close enough for a poster. `positions` and `colors` come
+ * from morphParticles' sample(); `width` and `height` are in canvas pixels.
+ */
+export const drawParticles = (ctx, { positions, colors, width, height, particleSize = PARTICLE_SIZE, alpha = 0.9 }) => {
+  const camera = new THREE.PerspectiveCamera(CAMERA_FOV, width / height, 0.1, 100);
+  camera.position.z = CAMERA_Z;
+  camera.updateMatrixWorld();
+  const pixelsPerUnit = height / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)));
+
+  const count = positions.length / 3;
+  const point = new THREE.Vector3();
+  const color = new THREE.Color();
+  const projected = [];
+  for (let i = 0; i < count; i++) {
+    point.fromArray(positions, i * 3);
+    const depth = camera.position.z - point.z;
+    point.project(camera);
+    projected.push({ i, depth, x: ((point.x + 1) / 2) * width, y: ((1 - point.y) / 2) * height });
+  }
+
+  ctx.globalAlpha = alpha;
+  // Far particles first, so near ones cover them
+  projected.sort((a, b) => b.depth - a.depth || a.i - b.i).forEach(({ i, depth, x, y }) => {
+    const size = Math.max(1, (particleSize * pixelsPerUnit) / depth);
+    // Colours are stored linear, as the shader gets them
+    ctx.fillStyle = `#${color.fromArray(colors, i * 3).getHexString()}`;
+    ctx.fillRect(x - size / 2, y - size / 2, size, size);
+  });
+  ctx.globalAlpha = 1;
+};
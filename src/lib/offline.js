@@ -0,0 +1,35 @@
+/**
+ * OFFLINE
+ * Downloads (src/content/downloads.json) a visitor keeps for offline use.
+ * They are stored with the Cache API under DOWNLOADS_CACHE, which the service
+ * worker (src/sw.js) answers DOWNLOADS_PATH requests from before trying the
+ * network. Unlike the app shell, this cache is kept across app updates.
+ */
+
+export const DOWNLOADS_CACHE = 'offline-downloads';
+export const DOWNLOADS_PATH = '/downloads/';
+
+// Saving needs the Cache API here and a service worker to serve it back
+export const canSaveOffline = () => (
+  typeof window !== 'undefined' && 'caches' in window && 'serviceWorker' in navigator
+);
+
+/** Paths ("/downloads/...") of the downloads saved so far. */
+export const listSaved = async () => {
+  const cache = await caches.open(DOWNLOADS_CACHE);
+  const requests = await cache.keys();
+  return requests.map(request => new URL(request.url).pathname);
+};
+
+/** Fetch `href` into the offline cache. Rejects when the fetch fails. */
+export const saveOffline = async (href) => {
+  const cache = await caches.open(DOWNLOADS_CACHE);
+  await cache.add(href);
+  // Ask the browser not to evict saved files under storage pressure
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+};
+
+export const removeOffline = async (href) => {
+  const cache = await caches.open(DOWNLOADS_CACHE);
+  await cache.delete(href);
+};
@@ -0,0 +1,83 @@
+/**
+ * PAYMENT PROVIDERS
+ * The donation form (src/components/DonationWidget.jsx) never talks to a
+ * payment service directly; it hands the donation to a provider:
+ *
+ *   {
+ *     id: 'fake',
+ *     checkout({ campaign, amount, currency, frequency, returnUrl })
+ *       -> { status: 'completed', reference }   paid without leaving the page
+ *       -> { status: 'redirect', url }          continue on the provider's site
+ *   }
+ *
+ * checkout rejects with a DonationError (src/lib/donations.js) when the
+ * payment fails. Add a provider by writing a factory here and listing it in
+ * PAYMENT_PROVIDERS; each entry is built from the campaigns in
+ * src/content/campaigns.json. VITE_PAYMENT_PROVIDER picks one; development
+ * builds default to the fake provider and production builds to Open Collective.
+ */
+import { DonationError } from './donations';
+
+// Open Collective only knows monthly and yearly contributions
+const OPEN_COLLECTIVE_INTERVALS = { monthly: 'month' };
+
+/**
+ * Local stand-in that takes every payment after a short delay, except
+ * `declineAmount`, which fails like a declined card. For development and
+ * tests; no money moves.
+ */
+export const createFakeProvider = ({ delayMs = 800, declineAmount = 13 } = {}) => ({
+  id: 'fake',
+  checkout: ({ amount }) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (amount === declineAmount) {
+        reject(new DonationError('Your payment was declined. No money was taken.', 'declined'));
+        return;
+      }
+      resolve({ status: 'completed', reference: `fake_${Math.random().toString(36).slice(2, 10)}` });
+    }, delayMs);
+  }),
+});
+
+/**
+ * Sends donors to the Open Collective contribution page of their campaign
+ * with the amount, currency and interval filled in. `projects` maps campaign
+ * ids to the slug of the Open Collective project (or collective) that
+ * collects for them; a campaign without one is refused rather than sent to
+ * the wrong fund. Open Collective handles payment, receipts and recurring
+ * charges, then returns to `returnUrl`.
+ */
+export const createOpenCollectiveProvider = ({ projects }) => ({
+  id: 'open-collective',
+  checkout: async ({ campaign, amount, currency, frequency, returnUrl }) => {
+    const project = projects[campaign];
+    if (!project) {
+      throw new DonationError('This campaign cannot take donations online yet.', 'unsupported-campaign');
+    }
+    const params = new URLSearchParams({ amount: String(amount) });
+    if (currency) params.set('currency', currency);
+    if (OPEN_COLLECTIVE_INTERVALS[frequency]) params.set('interval', OPEN_COLLECTIVE_INTERVALS[frequency]);
+    if (returnUrl) params.set('redirect', returnUrl);
+    return { status: 'redirect', url: `https://opencollective.com/${encodeURIComponent(project)}/donate?${params}` };
+  },
+});
+
+export const PAYMENT_PROVIDERS = {
+  fake: () => createFakeProvider(),
+  'open-collective': ({ campaigns = [] }) => createOpenCollectiveProvider({
+    projects: Object.fromEntries(campaigns
+      .filter(campaign => campaign.openCollective)
+      .map(campaign => [campaign.id, campaign.openCollective])),
+  }),
+};
+
+export const PAYMENT_PROVIDER = import.meta.env.VITE_PAYMENT_PROVIDER || (import.meta.env.DEV ? 'fake' : 'open-collective');
+
+/** The provider called `name`, set up for `campaigns`. */
+export const createPaymentProvider = (name = PAYMENT_PROVIDER, { campaigns } = {}) => {
+  const factory = PAYMENT_PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider "${name}". Available providers: ${Object.keys(PAYMENT_PROVIDERS).join(', ')}`);
+  }
+  return factory({ campaigns });
+};
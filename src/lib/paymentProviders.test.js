@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { DonationError } from './donations';
+import { createFakeProvider, createOpenCollectiveProvider, createPaymentProvider } from './paymentProviders';
+
+const checkout = (overrides = {}) => ({
+  campaign: 'sponsor-a-student',
+  amount: 50,
+  currency: 'USD',
+  frequency: 'once',
+  returnUrl: 'https://tinyml4d.org/support/donate?donation=thanks',
+  ...overrides,
+});
+
+describe('createFakeProvider', () => {
+  const provider = createFakeProvider({ delayMs: 0 });
+
+  it('completes payments with a reference', async () => {
+    const result = await provider.checkout(checkout());
+    expect(result.status).toBe('completed');
+    expect(result.reference).toMatch(/^fake_[a-z0-9]+$/);
+  });
+
+  it('declines the decline amount like a card would', async () => {
+    await expect(provider.checkout(checkout({ amount: 13 })))
+      .rejects.toMatchObject({ name: 'DonationError', code: 'declined' });
+    await expect(createFakeProvider({ delayMs: 0, declineAmount: 99 }).checkout(checkout({ amount: 99 })))
+      .rejects.toBeInstanceOf(DonationError);
+  });
+});
+
+describe('createOpenCollectiveProvider', () => {
+  const provider = createOpenCollectiveProvider({
+    projects: { 'sponsor-a-student': 'tinyml4d-sponsor-a-student', 'equipment-drives': 'tinyml4d-equipment-drives' },
+  });
+
+  it("sends each campaign to its own project's page", async () => {
+    const student = new URL((await provider.checkout(checkout())).url);
+    const equipment = new URL((await provider.checkout(checkout({ campaign: 'equipment-drives' }))).url);
+
+    expect(student.pathname).toBe('/tinyml4d-sponsor-a-student/donate');
+    expect(equipment.pathname).toBe('/tinyml4d-equipment-drives/donate');
+  });
+
+  it('fills in the amount, currency, interval and return address', async () => {
+    const { status, url } = await provider.checkout(checkout({ amount: 100, currency: 'EUR', frequency: 'monthly' }));
+    const params = new URL(url).searchParams;
+
+    expect(status).toBe('redirect');
+    expect(params.get('amount')).toBe('100');
+    expect(params.get('currency')).toBe('EUR');
+    expect(params.get('interval')).toBe('month');
+    expect(params.get('redirect')).toBe('https://tinyml4d.org/support/donate?donation=thanks');
+  });
+
+  it('leaves the interval out of one-off donations', async () => {
+    const { url } = await provider.checkout(checkout());
+    expect(new URL(url).searchParams.has('interval')).toBe(false);
+  });
+
+  it('refuses campaigns without a project', async () => {
+    await expect(provider.checkout(checkout({ campaign: 'open-materials' })))
+      .rejects.toMatchObject({ name: 'DonationError', code: 'unsupported-campaign' });
+  });
+});
+
+describe('createPaymentProvider', () => {
+  it('maps campaigns onto Open Collective from their openCollective slugs', async () => {
+    const provider = createPaymentProvider('open-collective', {
+      campaigns: [{ id: 'open-materials', openCollective: 'tinyml4d' }, { id: 'equipment-drives' }],
+    });
+
+    expect((await provider.checkout(checkout({ campaign: 'open-materials' }))).url)
+      .toMatch(/^https:\/\/opencollective\.com\/tinyml4d\/donate\?/);
+    await expect(provider.checkout(checkout({ campaign: 'equipment-drives' })))
+      .rejects.toMatchObject({ code: 'unsupported-campaign' });
+  });
+
+  it('throws on unknown providers', () => {
+    expect(() => createPaymentProvider('stripe')).toThrow(/Unknown payment provider "stripe"/);
+  });
+});
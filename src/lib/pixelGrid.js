@@ -0,0 +1,274 @@
+/**
+ * PIXEL GRID RENDERER
+ * Draws the PixelBackground noise grid onto a 2D canvas. Runs unchanged on the
+ * main thread or inside a worker with an OffscreenCanvas, so it only touches
+ * the canvas it is given and that thread's animation scheduler
+ * (src/lib/animationScheduler.js).
+ *
+ * State lives in typed arrays sized to the visible grid, and a frame is only
+ * drawn after something changed (resize, scroll or painting) or while painted
+ * cells are still fading out. Cells are bucketed by colour so each colour is
+ * filled with a single path.
+ */
+
+import { randomFor } from './random';
+import { animationScheduler } from './animationScheduler';
+
+export const BRUSH_SHAPES = ['circle', 'square', 'diamond'];
+
+const inBrush = (shape, dx, dy, radius) => {
+  if (shape === 'square') return true;
+  if (shape === 'diamond') return Math.abs(dx) + Math.abs(dy) <= radius;
+  return dx * dx + dy * dy <= radius * radius;
+};
+
+const SERIAL_VERSION = 1;
+
+/**
+ * UTILITY: Random Noise Generator
+ */
+export const pseudoRandom = (x, y) => {
+  return Math.abs(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453) % 1;
+};
+
+export const createPixelRenderer = (canvas, {
+  palette: initialPalette,
+  cellSize = 12,
+  radius = 3,
+  shape = 'circle',
+  decayMs = 0,
+  clearColor: initialClearColor = '#f8fafc',
+  // Seeds the painted cells' colour offsets (see src/lib/random.js)
+  seed = null,
+  onFrame,
+  scheduler = animationScheduler,
+}) => {
+  const ctx = canvas.getContext('2d', { alpha: false });
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+  const random = randomFor(seed, 'pixels');
+
+  let width = 0;
+  let height = 0;
+  let cols = 0;
+  let rows = 0;
+  let scrollY = 0;
+  let brush = { radius, shape };
+  let decay = decayMs;
+  let palette = initialPalette;
+  let clearColor = initialClearColor;
+
+  // strength[i] is 1 when the cell is freshly painted and fades to 0 (untouched)
+  // when a decay is set; touchMod[i] is its random colour offset
+  let strength = new Float32Array(0);
+  let touchMod = new Float32Array(0);
+  // Per-frame scratch: colour index of every cell (-1 = not drawn) and the
+  // drawn cells grouped by colour
+  let colorOf = new Int8Array(0);
+  let order = new Int32Array(0);
+  let counts = new Int32Array(palette.length + 1);
+
+  // Returns true while painted cells are still fading, to draw again next frame
+  const draw = (time, elapsed = 0) => {
+    const start = now();
+    let fading = false;
+
+    ctx.fillStyle = clearColor;
+    ctx.fillRect(0, 0, width, height);
+
+    // Make the scroll factor more sensitive so movement is obvious
+    const scrollFactor = Math.floor(scrollY / 4);
+    const flicker = scrollY * 0.001;
+    const size = palette.length;
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const i = y * cols + x;
+        // Add scrollFactor to Y to simulate vertical data flow
+        const noiseVal = pseudoRandom(x, y + scrollFactor);
+        let colorIndex;
+
+        if (decay > 0 && strength[i] > 0) {
+          strength[i] = Math.max(0, strength[i] - elapsed / decay);
+          fading = fading || strength[i] > 0;
+        }
+        // Fading cells dissolve in a fixed per-cell order rather than all at once
+        const touched = strength[i] >= 1 || (strength[i] > 0 && strength[i] > pseudoRandom(y, x));
+
+        if (touched) {
+          // Touched pixels flicker slightly based on scroll too
+          colorIndex = Math.floor((noiseVal + touchMod[i] + flicker) * (size - 2)) + 2;
+        } else {
+          colorIndex = Math.floor(noiseVal * size * 1.5);
+        }
+        if (colorIndex >= size) colorIndex = 0;
+
+        colorOf[i] = colorIndex > 1 || touched ? colorIndex : -1;
+      }
+    }
+
+    // Counting sort of cell indices by colour, then one path fill per colour
+    counts.fill(0);
+    for (let i = 0; i < colorOf.length; i++) {
+      if (colorOf[i] >= 0) counts[colorOf[i] + 1] += 1;
+    }
+    for (let c = 1; c <= size; c++) counts[c] += counts[c - 1];
+    for (let i = 0; i < colorOf.length; i++) {
+      if (colorOf[i] >= 0) order[counts[colorOf[i]]++] = i;
+    }
+
+    let from = 0;
+    for (let c = 0; c < size; c++) {
+      // After the pass above, counts[c] is the end of colour c's run
+      const to = counts[c];
+      if (to > from) {
+        ctx.beginPath();
+        for (let k = from; k < to; k++) {
+          const i = order[k];
+          ctx.rect((i % cols) * cellSize, Math.floor(i / cols) * cellSize, cellSize - 1, cellSize - 1);
+        }
+        ctx.fillStyle = palette[c];
+        ctx.fill();
+      }
+      from = to;
+    }
+
+    if (onFrame) onFrame(now() - start);
+    return fading;
+  };
+
+  const task = scheduler.add(draw);
+  const invalidate = () => task.wake();
+
+  return {
+    // Size in CSS pixels; the backing store is scaled by the device pixel ratio
+    resize(cssWidth, cssHeight, pixelRatio = 1) {
+      const nextCols = Math.ceil(cssWidth / cellSize);
+      const nextRows = Math.ceil(cssHeight / cellSize);
+
+      if (nextCols !== cols || nextRows !== rows) {
+        const nextStrength = new Float32Array(nextCols * nextRows);
+        const nextMod = new Float32Array(nextCols * nextRows);
+        for (let y = 0; y < Math.min(rows, nextRows); y++) {
+          for (let x = 0; x < Math.min(cols, nextCols); x++) {
+            nextStrength[y * nextCols + x] = strength[y * cols + x];
+            nextMod[y * nextCols + x] = touchMod[y * cols + x];
+          }
+        }
+        strength = nextStrength;
+        touchMod = nextMod;
+        colorOf = new Int8Array(nextCols * nextRows);
+        order = new Int32Array(nextCols * nextRows);
+        cols = nextCols;
+        rows = nextRows;
+      }
+
+      width = cssWidth;
+      height = cssHeight;
+      canvas.width = Math.round(cssWidth * pixelRatio);
+      canvas.height = Math.round(cssHeight * pixelRatio);
+      ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      invalidate();
+    },
+
+    setScroll(nextScrollY) {
+      if (nextScrollY === scrollY) return;
+      scrollY = nextScrollY;
+      invalidate();
+    },
+
+    // Paint the brush centred on a point in CSS pixels. `scale` grows or
+    // shrinks the brush, e.g. with pen pressure.
+    paint(px, py, scale = 1) {
+      const gridX = Math.floor(px / cellSize);
+      const gridY = Math.floor(py / cellSize);
+      const r = Math.max(0, Math.round(brush.radius * scale));
+
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const x = gridX + dx;
+          const y = gridY + dy;
+          if (!inBrush(brush.shape, dx, dy, r) || x < 0 || y < 0 || x >= cols || y >= rows) continue;
+          strength[y * cols + x] = 1;
+          touchMod[y * cols + x] = random();
+        }
+      }
+      invalidate();
+    },
+
+    setBrush(nextBrush) {
+      brush = { ...brush, ...nextBrush };
+    },
+
+    // Milliseconds for a painted cell to fade away; 0 keeps it forever
+    setDecay(nextDecayMs) {
+      decay = nextDecayMs;
+      invalidate();
+    },
+
+    // Swap colours, e.g. when the theme changes; painted cells are kept
+    setColors({ palette: nextPalette = palette, clearColor: nextClearColor = clearColor }) {
+      if (nextPalette.length !== palette.length) counts = new Int32Array(nextPalette.length + 1);
+      palette = nextPalette;
+      clearColor = nextClearColor;
+      invalidate();
+    },
+
+    clear() {
+      strength.fill(0);
+      invalidate();
+    },
+
+    // Draw a pending frame right away instead of on the next animation frame,
+    // e.g. before reading the canvas in a headless snapshot
+    flush() {
+      if (!task.awake) return;
+      task.sleep();
+      if (draw()) task.wake();
+    },
+
+    // Painted cells as plain data, for saving; see load()
+    serialize() {
+      const cells = [];
+      for (let i = 0; i < strength.length; i++) {
+        if (strength[i] <= 0) continue;
+        cells.push(i % cols, Math.floor(i / cols), Math.round(touchMod[i] * 255), Math.round(strength[i] * 255));
+      }
+      return { version: SERIAL_VERSION, cellSize, cells };
+    },
+
+    // Restore a serialize() result. A drawing saved at another cell size (a
+    // quality step-down doubles it) is rescaled onto this grid by the area
+    // each cell covered; cells outside the current grid are dropped.
+    load(data) {
+      if (!data || data.version !== SERIAL_VERSION || !(data.cellSize > 0) || !Array.isArray(data.cells)) return;
+      const ratio = data.cellSize / cellSize;
+      for (let k = 0; k + 3 < data.cells.length; k += 4) {
+        const [x, y, mod, value] = data.cells.slice(k, k + 4);
+        const x0 = Math.floor(x * ratio);
+        const y0 = Math.floor(y * ratio);
+        const x1 = Math.max(x0, Math.ceil((x + 1) * ratio) - 1);
+        const y1 = Math.max(y0, Math.ceil((y + 1) * ratio) - 1);
+        for (let gy = Math.max(0, y0); gy <= Math.min(y1, rows - 1); gy++) {
+          for (let gx = Math.max(0, x0); gx <= Math.min(x1, cols - 1); gx++) {
+            const i = gy * cols + gx;
+            // Where saved cells merge into one, the strongest wins
+            if (value / 255 < strength[i]) continue;
+            touchMod[i] = mod / 255;
+            strength[i] = value / 255;
+          }
+        }
+      }
+      invalidate();
+    },
+
+    // PNG of the last drawn frame
+    toBlob() {
+      if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: 'image/png' });
+      return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    },
+
+    destroy() {
+      task.remove();
+    },
+  };
+};
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { createPixelRenderer } from './pixelGrid';
+
+// Enough canvas and scheduler to paint and serialize without drawing
+const fakeCanvas = () => ({
+  width: 0,
+  height: 0,
+  getContext: () => new Proxy({}, { get: (target, key) => (key in target ? target[key] : () => {}), set: () => true }),
+});
+const fakeScheduler = { add: () => ({ wake() {}, sleep() {}, remove() {} }) };
+
+const renderer = (cellSize) => {
+  const grid = createPixelRenderer(fakeCanvas(), {
+    palette: ['#000000'],
+    cellSize,
+    radius: 0,
+    shape: 'square',
+    seed: 1,
+    scheduler: fakeScheduler,
+  });
+  grid.resize(240, 240);
+  return grid;
+};
+
+// [x, y] of every painted cell
+const painted = ({ cells }) => {
+  const result = [];
+  for (let k = 0; k < cells.length; k += 4) result.push([cells[k], cells[k + 1]]);
+  return result;
+};
+
+describe('pixel grid drawings', () => {
+  it('round-trips at the same cell size', () => {
+    const source = renderer(12);
+    source.paint(30, 54);
+    const target = renderer(12);
+    target.load(source.serialize());
+    expect(target.serialize()).toEqual(source.serialize());
+  });
+
+  it('keeps a drawing when the cell size doubles', () => {
+    const source = renderer(12);
+    source.paint(30, 54); // cell (2, 4) at 12px, (1, 2) at 24px
+    const target = renderer(24);
+    target.load(source.serialize());
+    expect(painted(target.serialize())).toEqual([[1, 2]]);
+  });
+
+  it('spreads a cell over the smaller cells it covered', () => {
+    const source = renderer(24);
+    source.paint(30, 54);
+    const target = renderer(12);
+    target.load(source.serialize());
+    expect(painted(target.serialize())).toEqual([[2, 4], [3, 4], [2, 5], [3, 5]]);
+  });
+
+  it('ignores data from another format', () => {
+    const target = renderer(12);
+    target.load({ version: 0, cellSize: 12, cells: [1, 1, 0, 255] });
+    target.load(null);
+    expect(target.serialize().cells).toEqual([]);
+  });
+});
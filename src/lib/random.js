@@ -0,0 +1,62 @@
+/**
+ * RANDOM
+ * Seeded random numbers for the visual effects. With a seed, every particle
+ * offset, colour, rotation and delay is the same on every render, which is
+ * what visual regression snapshots (scripts/snapshot.mjs) need; without one
+ * the effects fall back to Math.random.
+ *
+ * Each effect draws from its own stream, derived from the seed and a label,
+ * so a change in how many numbers one effect uses never shifts another.
+ */
+
+// ?seed=42 (or any text) turns on deterministic mode
+export const SEED_PARAM = 'seed';
+
+// 32-bit FNV-1a, so text seeds and labels become stream seeds
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/** A 32-bit seed from a number or text; "42" and 42 are the same seed. */
+export const toSeed = (value) => {
+  if (typeof value === 'number' && Number.isInteger(value)) return value >>> 0;
+  const text = String(value);
+  return /^\d+$/.test(text) ? Number(text) >>> 0 : hash(text);
+};
+
+/** The seed of the stream `label` under `seed`. */
+export const deriveSeed = (seed, label) => hash(`${toSeed(seed)}:${label}`);
+
+/**
+ * A Math.random replacement returning [0, 1) from `seed` (mulberry32: fast,
+ * small state and good enough for visuals).
+ */
+export const createRandom = (seed) => {
+  let state = toSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * The stream for `label`: seeded when `seed` is set, Math.random otherwise.
+ */
+export const randomFor = (seed, label) => (
+  seed === null || seed === undefined ? Math.random : createRandom(deriveSeed(seed, label))
+);
+
+/** The seed in the page URL, or null. */
+export const readSeedFromUrl = () => {
+  if (typeof window === 'undefined') return null;
+  const value = new URLSearchParams(window.location.search).get(SEED_PARAM);
+  return value === null || value === '' ? null : value;
+};
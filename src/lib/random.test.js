@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { toSeed, deriveSeed, createRandom, randomFor, readSeedFromUrl } from './random';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('toSeed', () => {
+  it('treats numeric text and numbers alike', () => {
+    expect(toSeed('42')).toBe(42);
+    expect(toSeed(42)).toBe(42);
+  });
+
+  it('hashes other text to a stable 32-bit seed', () => {
+    expect(toSeed('launch-day')).toBe(toSeed('launch-day'));
+    expect(toSeed('launch-day')).not.toBe(toSeed('launch-night'));
+    expect(Number.isInteger(toSeed('launch-day'))).toBe(true);
+    expect(toSeed('launch-day')).toBeGreaterThanOrEqual(0);
+    expect(toSeed('launch-day')).toBeLessThan(2 ** 32);
+  });
+});
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    expect(draw(createRandom(42))).toEqual(draw(createRandom('42')));
+  });
+
+  it('gives different sequences for different seeds', () => {
+    expect(draw(createRandom(42))).not.toEqual(draw(createRandom(43)));
+  });
+
+  it('stays in [0, 1) and spreads over the range', () => {
+    const values = draw(createRandom('spread'), 1000);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    expect(mean).toBeGreaterThan(0.45);
+    expect(mean).toBeLessThan(0.55);
+  });
+});
+
+describe('randomFor', () => {
+  it('gives each label its own stream, so one effect cannot shift another', () => {
+    const logo = randomFor(7, 'logo');
+    const pixels = randomFor(7, 'pixels');
+    const pixelsAlone = draw(randomFor(7, 'pixels'));
+
+    draw(logo, 50);
+    expect(draw(pixels)).toEqual(pixelsAlone);
+    expect(draw(randomFor(7, 'logo'))).not.toEqual(pixelsAlone);
+    expect(deriveSeed(7, 'logo')).toBe(deriveSeed('7', 'logo'));
+  });
+
+  it('falls back to Math.random without a seed', () => {
+    expect(randomFor(null, 'logo')).toBe(Math.random);
+    expect(randomFor(undefined, 'logo')).toBe(Math.random);
+    expect(randomFor(0, 'logo')).not.toBe(Math.random);
+  });
+});
+
+describe('readSeedFromUrl', () => {
+  it('reads ?seed= from the page URL', () => {
+    vi.stubGlobal('window', { location: { search: '?seed=launch-day' } });
+    expect(readSeedFromUrl()).toBe('launch-day');
+  });
+
+  it('is null when the parameter is missing or empty, or outside a browser', () => {
+    vi.stubGlobal('window', { location: { search: '?seed=' } });
+    expect(readSeedFromUrl()).toBeNull();
+    vi.stubGlobal('window', { location: { search: '' } });
+    expect(readSeedFromUrl()).toBeNull();
+    vi.unstubAllGlobals();
+    expect(readSeedFromUrl()).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * RENDER QUALITY
+ * How much the visual effects (ParticleMorphScene, PixelBackground,
+ * WorldGlobe) draw on this device, as one of three tiers:
+ *
+ *   full     everything, at up to 2x pixel ratio
+ *   reduced  fewer particles, 1x pixel ratio, no antialiasing, coarser pixels
+ *   poster   no WebGL and no animation loops: still frames only
+ *
+ * The starting tier comes from what the browser reports (WebGL support,
+ * navigator.deviceMemory, hardwareConcurrency, the Save-Data preference) and
+ * a short frame-time measurement. While the page runs, effects feed their
+ * frame times to a governor and the tier steps down (never back up) when
+ * they keep running long. ?quality=full|reduced|poster forces a tier.
+ */
+
+export const QUALITY_TIERS = ['full', 'reduced', 'poster'];
+export const QUALITY_PARAM = 'quality';
+
+// What each tier lets the effects do. particleScale is the share of particles kept.
+export const QUALITY_SETTINGS = {
+  full: { animate: true, maxPixelRatio: 2, antialias: true, particleScale: 1, cellScale: 1 },
+  reduced: { animate: true, maxPixelRatio: 1, antialias: false, particleScale: 0.4, cellScale: 2 },
+  poster: { animate: false, maxPixelRatio: 1, antialias: false, particleScale: 0.4, cellScale: 2 },
+};
+
+// At or below these the device starts on a lower tier
+const POSTER_MEMORY_GB = 0.5;
+const REDUCED_MEMORY_GB = 2;
+const REDUCED_CORES = 2;
+// Start-up frame interval (ms) that means ~30fps or ~15fps with nothing else drawing
+const REDUCED_FRAME_MS = 33;
+const POSTER_FRAME_MS = 66;
+
+// Gaps longer than this are a paused tab or a stalled page, not a slow frame
+const IDLE_GAP_MS = 500;
+
+export const supportsWebGL = () => {
+  try {
+    if (!window.WebGLRenderingContext) return false;
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    // Hand the context back: browsers only keep a handful alive at once
+    gl?.getExtension('WEBGL_lose_context')?.loseContext();
+    return Boolean(gl);
+  } catch {
+    return false;
+  }
+};
+
+/** What the browser says about the device; unknown values are null. */
+export const probeDevice = () => ({
+  webgl: supportsWebGL(),
+  deviceMemory: navigator.deviceMemory ?? null,
+  hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+  saveData: Boolean(navigator.connection && navigator.connection.saveData),
+});
+
+/**
+ * Average interval between `frames` animation frames. Resolves null if they
+ * have not all arrived within `timeoutMs`, as in a background tab.
+ */
+export const measureFrameTime = ({ frames = 20, timeoutMs = 1500 } = {}) => new Promise(resolve => {
+  let first = null;
+  let seen = 0;
+  let frame;
+  const timer = setTimeout(() => {
+    cancelAnimationFrame(frame);
+    resolve(null);
+  }, timeoutMs);
+  const tick = (time) => {
+    if (first === null) first = time;
+    else seen += 1;
+    if (seen < frames) {
+      frame = requestAnimationFrame(tick);
+      return;
+    }
+    clearTimeout(timer);
+    resolve((time - first) / frames);
+  };
+  frame = requestAnimationFrame(tick);
+});
+
+const atMost = (value, limit) => value !== null && value !== undefined && value <= limit;
+
+/**
+ * { tier, reason } for a probeDevice() result plus the measured `frameTime`
+ * (or null). `reason` names what decided it.
+ */
+export const pickTier = ({ webgl, deviceMemory, hardwareConcurrency, saveData, frameTime }) => {
+  if (!webgl) return { tier: 'poster', reason: 'no-webgl' };
+  if (atMost(deviceMemory, POSTER_MEMORY_GB)) return { tier: 'poster', reason: 'memory' };
+  if (frameTime !== null && frameTime >= POSTER_FRAME_MS) return { tier: 'poster', reason: 'frame-time' };
+  if (saveData) return { tier: 'reduced', reason: 'save-data' };
+  if (atMost(deviceMemory, REDUCED_MEMORY_GB)) return { tier: 'reduced', reason: 'memory' };
+  if (atMost(hardwareConcurrency, REDUCED_CORES)) return { tier: 'reduced', reason: 'cores' };
+  if (frameTime !== null && frameTime >= REDUCED_FRAME_MS) return { tier: 'reduced', reason: 'frame-time' };
+  return { tier: 'full', reason: 'capable' };
+};
+
+/** The next tier down, or `tier` itself at the bottom. */
+export const lowerTier = (tier) => QUALITY_TIERS[Math.min(QUALITY_TIERS.indexOf(tier) + 1, QUALITY_TIERS.length - 1)];
+
+// A tier forced from the URL, for testing on capable hardware
+export const readQualityOverride = () => {
+  if (typeof window === 'undefined') return null;
+  const value = new URLSearchParams(window.location.search).get(QUALITY_PARAM);
+  return QUALITY_TIERS.includes(value) ? value : null;
+};
+
+/**
+ * Averages frame times in windows of `sampleSize` and calls `onSlow(average)`
+ * when a window's average is over `budgetMs`. Effects record the time between
+ * their frames (or, for PixelBackground, each redraw's duration).
+ */
+export const createFrameGovernor = ({ budgetMs, sampleSize = 90, onSlow }) => {
+  let total = 0;
+  let count = 0;
+
+  return {
+    record(frameTime) {
+      if (!(frameTime >= 0) || frameTime > IDLE_GAP_MS) return;
+      total += frameTime;
+      count += 1;
+      if (count < sampleSize) return;
+      const average = total / count;
+      total = 0;
+      count = 0;
+      if (average > budgetMs) onSlow(average);
+    },
+  };
+};
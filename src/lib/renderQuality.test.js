@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { supportsWebGL, pickTier, lowerTier, createFrameGovernor } from './renderQuality';
+
+// A mid-range laptop: WebGL, 8 GB, 8 cores, 60fps
+const device = (overrides = {}) => ({
+  webgl: true,
+  deviceMemory: 8,
+  hardwareConcurrency: 8,
+  saveData: false,
+  frameTime: 16.7,
+  ...overrides,
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('pickTier', () => {
+  it('gives capable devices the full tier', () => {
+    expect(pickTier(device())).toEqual({ tier: 'full', reason: 'capable' });
+  });
+
+  it('falls back to the poster without WebGL, memory or frame rate', () => {
+    expect(pickTier(device({ webgl: false }))).toEqual({ tier: 'poster', reason: 'no-webgl' });
+    expect(pickTier(device({ deviceMemory: 0.5 }))).toEqual({ tier: 'poster', reason: 'memory' });
+    expect(pickTier(device({ frameTime: 70 }))).toEqual({ tier: 'poster', reason: 'frame-time' });
+  });
+
+  it('reduces quality for Save-Data, little memory, few cores or ~30fps', () => {
+    expect(pickTier(device({ saveData: true }))).toEqual({ tier: 'reduced', reason: 'save-data' });
+    expect(pickTier(device({ deviceMemory: 2 }))).toEqual({ tier: 'reduced', reason: 'memory' });
+    expect(pickTier(device({ hardwareConcurrency: 2 }))).toEqual({ tier: 'reduced', reason: 'cores' });
+    expect(pickTier(device({ frameTime: 40 }))).toEqual({ tier: 'reduced', reason: 'frame-time' });
+  });
+
+  it('lets the poster reasons win over the reduced ones', () => {
+    expect(pickTier(device({ webgl: false, saveData: true }))).toEqual({ tier: 'poster', reason: 'no-webgl' });
+    expect(pickTier(device({ saveData: true, frameTime: 80 }))).toEqual({ tier: 'poster', reason: 'frame-time' });
+  });
+
+  it('does not hold unknown values against the device', () => {
+    expect(pickTier(device({ deviceMemory: null, hardwareConcurrency: null, frameTime: null })))
+      .toEqual({ tier: 'full', reason: 'capable' });
+  });
+});
+
+describe('lowerTier', () => {
+  it('steps down one tier and stops at the poster', () => {
+    expect(lowerTier('full')).toBe('reduced');
+    expect(lowerTier('reduced')).toBe('poster');
+    expect(lowerTier('poster')).toBe('poster');
+  });
+});
+
+describe('createFrameGovernor', () => {
+  it('reports windows whose average is over budget', () => {
+    const onSlow = vi.fn();
+    const governor = createFrameGovernor({ budgetMs: 20, sampleSize: 4, onSlow });
+
+    [16, 16, 16, 16].forEach(time => governor.record(time));
+    expect(onSlow).not.toHaveBeenCalled();
+    [30, 30, 20, 20].forEach(time => governor.record(time));
+    expect(onSlow).toHaveBeenCalledWith(25);
+  });
+
+  it('skips paused-tab gaps and invalid times', () => {
+    const onSlow = vi.fn();
+    const governor = createFrameGovernor({ budgetMs: 20, sampleSize: 2, onSlow });
+
+    [5000, -1, NaN, 10, 10].forEach(time => governor.record(time));
+    expect(onSlow).not.toHaveBeenCalled();
+  });
+});
+
+describe('supportsWebGL', () => {
+  const stubCanvas = (gl) => {
+    const canvas = { getContext: vi.fn(type => (type === 'webgl2' ? null : gl)) };
+    vi.stubGlobal('window', { WebGLRenderingContext: function WebGLRenderingContext() {} });
+    vi.stubGlobal('document', { createElement: () => canvas });
+  };
+
+  it('releases the context it created to check', () => {
+    const loseContext = vi.fn();
+    stubCanvas({ getExtension: (name) => (name === 'WEBGL_lose_context' ? { loseContext } : null) });
+
+    expect(supportsWebGL()).toBe(true);
+    expect(loseContext).toHaveBeenCalled();
+  });
+
+  it('is false when no context can be created', () => {
+    stubCanvas(null);
+    expect(supportsWebGL()).toBe(false);
+  });
+});
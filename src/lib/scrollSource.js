@@ -0,0 +1,21 @@
+/**
+ * SCROLL SOURCE
+ * What the scroll-driven effects (PixelBackground, ParticleMorphScene,
+ * AnimatedLogo) follow: the window by default, or a scrollable element passed
+ * as their `scrollSource` prop (the element itself or a ref to it), for pages
+ * that scroll inside a container.
+ */
+
+// The element (or window) behind a scrollSource prop; read it inside an effect, once refs are set
+export const resolveScrollSource = (source) => {
+  const element = source && 'current' in source ? source.current : source;
+  return element || window;
+};
+
+export const scrollOffset = (source) => (source === window ? window.scrollY : source.scrollTop);
+
+// The visible part of the source, in viewport coordinates
+export const visibleArea = (source) => {
+  if (source === window) return { top: 0, height: window.innerHeight };
+  return { top: source.getBoundingClientRect().top + source.clientTop, height: source.clientHeight };
+};
@@ -0,0 +1,166 @@
+/**
+ * SEARCH
+ * The site search behind the command palette. buildSearchIndex runs at build
+ * time (plugins/search.js) over the validated content and produces a flat
+ * list of entries; searchIndex ranks them against what the visitor types.
+ *
+ * Entry: { id, type, title, context?, text?, keywords?, date?, href }
+ *   type is page | link | event | resource. Titles are fuzzy matched (letters
+ *   in order, not necessarily adjacent); context, text and keywords only need
+ *   to contain each typed word.
+ */
+
+export const RESULT_TYPES = ['page', 'link', 'event', 'resource'];
+
+const isExternal = (href) => /^https?:\/\//.test(href);
+
+/**
+ * Index entries for every page, navigation link, event and external resource
+ * in `content` (the object plugins/content.js builds from src/content).
+ */
+export const buildSearchIndex = (content) => {
+  const entries = [];
+  const pagesByPath = new Map();
+
+  content.pages.pages.forEach(page => {
+    const entry = {
+      id: `page:${page.path}`,
+      type: 'page',
+      title: page.title,
+      context: page.section,
+      text: [page.summary, ...page.body].join(' '),
+      // The path often names the page differently ("/support/donate" for "Donations")
+      keywords: page.path.split('/').filter(Boolean).map(part => part.replace(/-/g, ' ')),
+      href: page.path,
+    };
+    pagesByPath.set(page.path, entry);
+    entries.push(entry);
+  });
+
+  // Navigation labels often differ from page titles ("Forum/Discord" vs
+  // "Community Forum"), so they are kept as keywords of the page they open
+  const seenLinks = new Set();
+  content.navigation.sections.forEach(section => section.items.forEach(item => {
+    const page = pagesByPath.get(item.href);
+    if (page) {
+      if (item.label !== page.title) page.keywords.push(item.label);
+      return;
+    }
+    if (seenLinks.has(item.href)) return;
+    seenLinks.add(item.href);
+    entries.push({
+      id: `link:${item.href}`,
+      type: isExternal(item.href) ? 'resource' : 'link',
+      title: item.label,
+      context: section.label,
+      href: item.href,
+    });
+  }));
+  (content.navigation.links || []).forEach(link => {
+    if (pagesByPath.has(link.href) || seenLinks.has(link.href)) return;
+    seenLinks.add(link.href);
+    entries.push({ id: `link:${link.href}`, type: 'link', title: link.label, href: link.href });
+  });
+
+  const eventsPage = content.pages.pages.find(page => page.embed === 'events');
+  content.events.events.forEach(event => {
+    entries.push({
+      id: `event:${event.id}`,
+      type: 'event',
+      title: event.title,
+      context: event.location,
+      text: event.description,
+      keywords: [event.topic, event.region],
+      date: event.start,
+      href: event.url || (eventsPage ? eventsPage.path : '/'),
+    });
+  });
+
+  // External links from the footer and page bodies that the navigation missed
+  const resources = [
+    ...content.footer.columns.flatMap(column => column.links.map(link => ({ ...link, context: column.heading }))),
+    ...content.pages.pages.flatMap(page => (page.links || []).map(link => ({ ...link, context: page.title }))),
+  ];
+  resources.forEach(link => {
+    if (!isExternal(link.href) || seenLinks.has(link.href)) return;
+    seenLinks.add(link.href);
+    entries.push({ id: `resource:${link.href}`, type: 'resource', title: link.label, context: link.context, href: link.href });
+  });
+
+  return entries;
+};
+
+// Lower case without accents, so "bogota" finds "Bogotá"
+const fold = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const WORD_START = /[\s\-/&(,.]/;
+
+/**
+ * How well `query` fuzzy-matches `target`: every query letter must appear in
+ * order. Adjacent letters, letters at the start of a word and an early first
+ * match score higher. Returns { score, indices } (matched positions in
+ * `target`, for highlighting) or null.
+ */
+export const fuzzyMatch = (query, target) => {
+  const needle = fold(query).replace(/\s+/g, '');
+  const haystack = fold(target);
+  if (!needle) return { score: 0, indices: [] };
+  // Indices would not line up with `target`; word matching still applies
+  if (haystack.length !== target.length) return null;
+
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+    const previous = indices[indices.length - 1];
+    score += 1;
+    if (previous !== undefined && index === previous + 1) score += 3;
+    if (index === 0 || WORD_START.test(haystack[index - 1])) score += 2;
+    if (previous !== undefined) score -= Math.min(3, (index - previous - 1) * 0.2);
+    indices.push(index);
+    from = index + 1;
+  }
+
+  if (haystack.startsWith(needle)) score += 4;
+  else if (haystack.includes(fold(query).trim())) score += 2;
+  return { score: score - indices[0] * 0.05, indices };
+};
+
+// Every typed word appears somewhere in the entry's secondary fields
+const matchesWords = (query, entry) => {
+  const words = fold(query).split(/\s+/).filter(Boolean);
+  const haystack = fold([entry.title, entry.context, entry.text, ...(entry.keywords || [])].filter(Boolean).join(' '));
+  return words.length > 0 && words.every(word => haystack.includes(word));
+};
+
+/**
+ * Entries matching `query`, best first, each as { entry, indices } where
+ * `indices` are the matched title positions. An empty query lists the pages.
+ */
+export const searchIndex = (index, query, { limit = 12 } = {}) => {
+  if (!query.trim()) {
+    return index.filter(entry => entry.type === 'page').slice(0, limit).map(entry => ({ entry, indices: [] }));
+  }
+
+  return index
+    .map((entry, order) => {
+      const title = fuzzyMatch(query, entry.title);
+      const keyword = (entry.keywords || []).reduce((best, word) => {
+        const match = fuzzyMatch(query, word);
+        return match && (!best || match.score > best.score) ? match : best;
+      }, null);
+      const words = matchesWords(query, entry);
+
+      let score = -Infinity;
+      if (title) score = title.score * 2;
+      if (keyword) score = Math.max(score, keyword.score * 1.5);
+      if (words) score = Math.max(score, fold(query).length);
+      return { entry, order, score, indices: title ? title.indices : [] };
+    })
+    .filter(result => result.score > -Infinity)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map(({ entry, indices }) => ({ entry, indices }));
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyMatch, searchIndex } from './search';
+
+const entry = (id, title, extra = {}) => ({ id, type: 'page', title, href: `/${id}`, ...extra });
+
+const titles = (results) => results.map(result => result.entry.title);
+
+describe('fuzzyMatch', () => {
+  it('matches letters in order, returning their positions', () => {
+    expect(fuzzyMatch('hwk', 'Hardware Kits').indices).toEqual([0, 4, 9]);
+    expect(fuzzyMatch('kh', 'Hardware Kits')).toBeNull();
+  });
+
+  it('ignores case, accents and spaces in the query', () => {
+    expect(fuzzyMatch('BOGOTA', 'Bogotá').indices).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(fuzzyMatch('tiny torch', 'Tiny Torch').indices).toEqual([0, 1, 2, 3, 5, 6, 7, 8, 9]);
+  });
+
+  it('scores a prefix above a word start above scattered letters', () => {
+    const prefix = fuzzyMatch('work', 'Workshops near you').score;
+    const wordStart = fuzzyMatch('work', 'Global Workshops').score;
+    const scattered = fuzzyMatch('work', 'Show and tell: our kits').score;
+    expect(prefix).toBeGreaterThan(wordStart);
+    expect(wordStart).toBeGreaterThan(scattered);
+  });
+
+  it('prefers adjacent letters and an earlier first match', () => {
+    expect(fuzzyMatch('book', 'MLSys Book').score).toBeGreaterThan(fuzzyMatch('book', 'Bold outlook').score);
+    expect(fuzzyMatch('kits', 'Kits for labs').score).toBeGreaterThan(fuzzyMatch('kits', 'Lab kits').score);
+  });
+});
+
+describe('searchIndex', () => {
+  const index = [
+    entry('donate', 'Donations', { keywords: ['support', 'donate'] }),
+    entry('forum', 'Community Forum', { keywords: ['community', 'forum', 'Forum/Discord'] }),
+    entry('workshops', 'Global Workshops', { text: 'Hands-on sessions in Nairobi and Bogota.' }),
+    { ...entry('bogota', 'TinyML in Bogotá'), type: 'event' },
+    { ...entry('kits', 'Hardware Kits'), type: 'resource' },
+  ];
+
+  it('lists the pages for an empty query', () => {
+    expect(titles(searchIndex(index, '  '))).toEqual(['Donations', 'Community Forum', 'Global Workshops']);
+  });
+
+  it('ranks title matches above keyword and text matches', () => {
+    expect(titles(searchIndex(index, 'forum'))).toEqual(['Community Forum']);
+    expect(titles(searchIndex(index, 'discord'))).toEqual(['Community Forum']);
+    expect(titles(searchIndex(index, 'kits'))[0]).toBe('Hardware Kits');
+  });
+
+  it('finds entries whose text contains every word, below title matches', () => {
+    expect(titles(searchIndex(index, 'nairobi bogota'))).toEqual(['Global Workshops']);
+    expect(titles(searchIndex(index, 'bogota'))).toEqual(['TinyML in Bogotá', 'Global Workshops']);
+  });
+
+  it('returns the title positions to highlight', () => {
+    const [best] = searchIndex(index, 'gw');
+    expect(best.entry.title).toBe('Global Workshops');
+    expect(best.indices).toEqual([0, 7]);
+  });
+
+  it('keeps index order between equal scores and stops at the limit', () => {
+    const twins = [entry('a', 'Events'), entry('b', 'Events'), entry('c', 'Events')];
+    expect(searchIndex(twins, 'events', { limit: 2 }).map(result => result.entry.id)).toEqual(['a', 'b']);
+  });
+});
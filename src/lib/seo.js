@@ -0,0 +1,59 @@
+/**
+ * SEO
+ * Titles and share metadata for every route. The pre-render step
+ * (scripts/prerender.mjs) writes them into each page's <head>; pages set
+ * document.title from the same helpers as visitors navigate.
+ */
+
+export const SITE_NAME = 'TinyML 4D';
+
+// App routes outside pages.json (see the <Routes> in App.jsx)
+export const CONFIRM_PATH = '/subscribe/confirm';
+// Where the not-found page is pre-rendered, for hosts that serve 404.html
+export const NOT_FOUND_PATH = '/404';
+
+export const documentTitle = (title) => (title ? `${title} | ${SITE_NAME}` : SITE_NAME);
+
+/**
+ * { title, description, type, noindex } for `path`, from the localized
+ * `content` and `t` of src/context/locale.jsx (or the same built by hand).
+ */
+export const routeMeta = (path, { content, t }) => {
+  if (path === '/') {
+    return { title: SITE_NAME, description: t('hero.lead'), type: 'website', noindex: false };
+  }
+  const page = content.pages.pages.find(entry => entry.path === path);
+  if (page) {
+    return { title: documentTitle(page.title), description: page.summary, type: 'article', noindex: false };
+  }
+  if (path === CONFIRM_PATH) {
+    return { title: documentTitle(t('confirm.documentTitle')), description: t('confirm.confirmingBody'), type: 'website', noindex: true };
+  }
+  return { title: documentTitle(t('notFound.documentTitle')), description: t('notFound.title'), type: 'website', noindex: true };
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * The <head> tags for `meta`. With `siteUrl` (the deployed origin) the page
+ * also gets a canonical link and og:url.
+ */
+export const headTags = (meta, { path, siteUrl = '' }) => {
+  const url = siteUrl && `${siteUrl.replace(/\/$/, '')}${path === '/' ? '/' : path}`;
+  const tags = [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:type" content="${meta.type}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    '<meta name="twitter:card" content="summary" />',
+  ];
+  if (url) tags.push(`<meta property="og:url" content="${escapeHtml(url)}" />`, `<link rel="canonical" href="${escapeHtml(url)}" />`);
+  if (meta.noindex) tags.push('<meta name="robots" content="noindex" />');
+  return tags.join('\n    ');
+};
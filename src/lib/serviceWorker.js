@@ -0,0 +1,52 @@
+/**
+ * SERVICE WORKER
+ * Registers the worker built by plugins/serviceWorker.js and tracks updates.
+ * A new version installs in the background and then waits; onUpdateReady
+ * listeners hear about it, and applyUpdate lets it take over and reloads the
+ * page onto it.
+ */
+
+// Long-lived tabs look for a new version this often
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let waiting = null;
+const listeners = new Set();
+
+const setWaiting = (worker) => {
+  waiting = worker;
+  listeners.forEach(listener => listener());
+};
+
+// The very first install has no page to replace, so only updates count
+const watchInstall = (worker) => {
+  if (!worker) return;
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+  });
+};
+
+export const registerServiceWorker = async (url = '/sw.js') => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.register(url);
+    if (registration.waiting && navigator.serviceWorker.controller) setWaiting(registration.waiting);
+    watchInstall(registration.installing);
+    registration.addEventListener('updatefound', () => watchInstall(registration.installing));
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+  } catch {
+    // Without a worker the site just works online only
+  }
+};
+
+/** Call `listener` once an update is waiting (straight away if one is). Returns an unsubscribe function. */
+export const onUpdateReady = (listener) => {
+  listeners.add(listener);
+  if (waiting) listener();
+  return () => listeners.delete(listener);
+};
+
+export const applyUpdate = () => {
+  if (!waiting) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,222 @@
+/**
+ * PARTICLE SHAPES
+ * Each shape turns a particle count into a Float32Array of xyz positions
+ * (particle i sits at [3i, 3i+1, 3i+2]). Particle i keeps its index across
+ * shapes, so morphing is a per-index interpolation between two arrays.
+ *
+ * Shapes take (count, options, random); `random` returns [0, 1) and defaults
+ * to Math.random so callers can make the jitter reproducible.
+ */
+
+const TAU = Math.PI * 2;
+const GOLDEN_RATIO = (1 + Math.sqrt(5)) / 2;
+
+// Grid points of an n×n×n cube, x outermost, as ParticleMorphScene always laid them out
+const cube = (count, { size = 4 } = {}) => {
+  const positions = new Float32Array(count * 3);
+  const n = Math.ceil(Math.cbrt(count) - 1e-9);
+  const offset = (n - 1) / 2;
+  const spacing = size / n;
+
+  for (let i = 0; i < count; i++) {
+    const x = Math.floor(i / (n * n));
+    const y = Math.floor(i / n) % n;
+    const z = i % n;
+    positions.set([(x - offset) * spacing, (y - offset) * spacing, (z - offset) * spacing], i * 3);
+  }
+  return positions;
+};
+
+// The cube grid pushed out onto a sphere, with a little radius jitter
+const sphere = (count, { radius = 3.5, jitter = 0.1, size = 4 } = {}, random = Math.random) => {
+  const positions = cube(count, { size });
+  for (let i = 0; i < count; i++) {
+    const [x, y, z] = positions.subarray(i * 3, i * 3 + 3);
+    const length = Math.hypot(x, y, z) || 1;
+    const r = radius * (1 + (random() * 2 - 1) * jitter);
+    positions.set([(x / length) * r, (y / length) * r, (z / length) * r], i * 3);
+  }
+  return positions;
+};
+
+// Points spiralled around a torus lying in the XY plane
+const torus = (count, { radius = 2.5, tube = 0.9 } = {}) => {
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const u = (TAU * i) / count;
+    const v = TAU * ((i * GOLDEN_RATIO) % 1);
+    const ring = radius + tube * Math.cos(v);
+    positions.set([ring * Math.cos(u), ring * Math.sin(u), tube * Math.sin(v)], i * 3);
+  }
+  return positions;
+};
+
+// Intertwined strands winding up the Y axis (a double helix by default)
+const helix = (count, { radius = 1.6, height = 6, turns = 3, strands = 2 } = {}) => {
+  const positions = new Float32Array(count * 3);
+  const perStrand = Math.ceil(count / strands);
+  for (let i = 0; i < count; i++) {
+    const strand = i % strands;
+    const s = perStrand > 1 ? Math.floor(i / strands) / (perStrand - 1) : 0.5;
+    const angle = s * turns * TAU + (strand * TAU) / strands;
+    positions.set([radius * Math.cos(angle), (s - 0.5) * height, radius * Math.sin(angle)], i * 3);
+  }
+  return positions;
+};
+
+// A microcontroller package: a flat square body with pins along every edge
+const chip = (count, { size = 3.2, pins = 6, pinLength = 0.7, thickness = 0.3 } = {}) => {
+  const positions = new Float32Array(count * 3);
+  const bodyCount = Math.round(count * 0.6);
+  const half = size / 2;
+
+  // Body: a two-layer square grid
+  const side = Math.ceil(Math.sqrt(bodyCount / 2));
+  for (let i = 0; i < bodyCount; i++) {
+    const layer = i % 2;
+    const cell = Math.floor(i / 2);
+    const gx = (cell % side) / Math.max(1, side - 1);
+    const gy = Math.floor(cell / side) / Math.max(1, side - 1);
+    positions.set([(gx - 0.5) * size, (gy - 0.5) * size, (layer - 0.5) * thickness], i * 3);
+  }
+
+  // Pins: short lines sticking out of the four edges
+  const pinTotal = pins * 4;
+  const perPin = Math.max(1, Math.ceil((count - bodyCount) / pinTotal));
+  for (let i = bodyCount; i < count; i++) {
+    const k = i - bodyCount;
+    const pin = Math.floor(k / perPin) % pinTotal;
+    const along = ((k % perPin) + 1) / perPin;
+    const edge = Math.floor(pin / pins);
+    const slot = ((pin % pins) + 0.5) / pins - 0.5;
+    const out = half + along * pinLength;
+    const [x, y] = [[out, slot * size], [-out, slot * size], [slot * size, out], [slot * size, -out]][edge];
+    positions.set([x, y, 0], i * 3);
+  }
+  return positions;
+};
+
+// Two overlapping tilted squares, like the AnimatedLogo mark
+const logo = (count, { size = 3, offset = 0.6, tilt = 0.26 } = {}) => {
+  const positions = new Float32Array(count * 3);
+  const perSquare = Math.ceil(count / 2);
+  const side = Math.ceil(Math.sqrt(perSquare));
+
+  for (let i = 0; i < count; i++) {
+    const square = i % 2;
+    const cell = Math.floor(i / 2);
+    const u = ((cell % side) / Math.max(1, side - 1) - 0.5) * size;
+    const v = (Math.floor(cell / side) / Math.max(1, side - 1) - 0.5) * size;
+    const angle = square ? -tilt : tilt;
+    const shift = square ? offset : -offset;
+    positions.set([
+      u * Math.cos(angle) - v * Math.sin(angle) + shift,
+      u * Math.sin(angle) + v * Math.cos(angle) - shift,
+      square ? 0.2 : -0.2,
+    ], i * 3);
+  }
+  return positions;
+};
+
+// Points sampled from text drawn on a 2D canvas. Needs a DOM; falls back to the cube.
+const text = (count, { text: label = 'tinyML', width = 7, depth = 0.4 } = {}, random = Math.random) => {
+  if (typeof document === 'undefined') return cube(count);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return cube(count);
+
+  ctx.font = 'bold 96px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, canvas.width / 2, canvas.height / 2);
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const filled = [];
+  for (let p = 0; p < canvas.width * canvas.height; p++) {
+    if (data[p * 4 + 3] > 128) filled.push(p);
+  }
+  if (!filled.length) return cube(count);
+
+  const positions = new Float32Array(count * 3);
+  const scale = width / canvas.width;
+  for (let i = 0; i < count; i++) {
+    const p = filled[Math.floor((i / count) * filled.length)];
+    const x = (p % canvas.width) - canvas.width / 2;
+    const y = canvas.height / 2 - Math.floor(p / canvas.width);
+    positions.set([x * scale, y * scale, (random() - 0.5) * depth], i * 3);
+  }
+  return positions;
+};
+
+/**
+ * A point on a sphere of `radius` from latitude and longitude in degrees,
+ * with +Y through the north pole and longitude 0 facing +Z.
+ */
+export const latLngToVector = (lat, lng, radius = 1) => {
+  const phi = ((90 - lat) * Math.PI) / 180;
+  const theta = (lng * Math.PI) / 180;
+  return [
+    radius * Math.sin(phi) * Math.sin(theta),
+    radius * Math.cos(phi),
+    radius * Math.sin(phi) * Math.cos(theta),
+  ];
+};
+
+// A sparse sphere outline with the rest of the particles gathered in small
+// clusters at `points` ([{ lat, lng }, ...]), e.g. countries on a map
+const globe = (count, { radius = 3.5, points = [], share = 0.6, spread = 0.15 } = {}, random = Math.random) => {
+  const positions = new Float32Array(count * 3);
+  const clustered = points.length ? Math.round(count * share) : 0;
+  const outline = count - clustered;
+
+  // Outline: evenly spread on a Fibonacci lattice
+  for (let i = 0; i < outline; i++) {
+    const y = 1 - ((i + 0.5) / outline) * 2;
+    const ring = Math.sqrt(1 - y * y);
+    const angle = TAU * i / GOLDEN_RATIO;
+    positions.set([ring * Math.cos(angle) * radius, y * radius, ring * Math.sin(angle) * radius], i * 3);
+  }
+
+  // Clusters: jittered around each point, then pushed back onto the surface
+  for (let i = outline; i < count; i++) {
+    const { lat, lng } = points[(i - outline) % points.length];
+    const [x, y, z] = latLngToVector(lat, lng, radius);
+    const jittered = [x, y, z].map(value => value + (random() * 2 - 1) * spread);
+    const scale = (radius * 1.02) / (Math.hypot(...jittered) || 1);
+    positions.set(jittered.map(value => value * scale), i * 3);
+  }
+  return positions;
+};
+
+export const SHAPES = { cube, sphere, torus, helix, chip, logo, text, globe };
+
+export const createShape = (name, count, options = {}, random = Math.random) => {
+  const shape = SHAPES[name];
+  if (!shape) {
+    throw new Error(`Unknown particle shape "${name}". Available shapes: ${Object.keys(SHAPES).join(', ')}`);
+  }
+  return shape(count, options, random);
+};
+
+/**
+ * Which keyframes apply at a scroll progress. Keyframes are
+ * { shape, from, to, options? } with ascending, non-overlapping ranges; the
+ * shape is held inside its range and morphs into the next one in the gaps.
+ *
+ * Returns { from, to, t } keyframe indices and the raw transition progress.
+ * `t` keeps growing past 1 while the target shape is held, so particles with
+ * a delay can finish arriving.
+ */
+export const keyframeSegment = (keyframes, progress) => {
+  if (keyframes.length === 1 || progress <= keyframes[0].to) return { from: 0, to: 0, t: 0 };
+
+  let k = 1;
+  while (k < keyframes.length - 1 && progress > keyframes[k].to) k++;
+
+  const previous = keyframes[k - 1];
+  const span = keyframes[k].from - previous.to;
+  return { from: k - 1, to: k, t: span > 0 ? (progress - previous.to) / span : 1 };
+};
@@ -0,0 +1,121 @@
+/**
+ * SHOW & TELL
+ * Fields, validation and API client for the Show & Tell application form.
+ *
+ * POST {endpoint}  { title, abstract, hardware, region, session, name, email }
+ *                  -> 201 { status: 'received', id }
+ *                  -> 400 { error: 'invalid-<field>', message }
+ *
+ * `session` is the id of an upcoming Show & Tell event from
+ * src/content/events.json, or 'flexible'. In development the endpoint is
+ * served by mock/showAndTell.js unless VITE_SHOW_AND_TELL_ENDPOINT is set.
+ */
+import { EVENT_REGIONS } from '../content/schema';
+import { isValidEmail, normalizeEmail } from './subscriptions';
+
+export const SHOW_AND_TELL_ENDPOINT = import.meta.env.VITE_SHOW_AND_TELL_ENDPOINT || '/api/show-and-tell';
+
+export const FLEXIBLE_SESSION = 'flexible';
+
+// Form steps in order, with the fields each one validates before moving on
+export const STEPS = [
+  { id: 'talk', fields: ['title', 'abstract'] },
+  { id: 'details', fields: ['hardware', 'region', 'session'] },
+  { id: 'contact', fields: ['name', 'email'] },
+  { id: 'review', fields: [] },
+];
+
+export const EMPTY_PROPOSAL = {
+  title: '',
+  abstract: '',
+  hardware: '',
+  region: '',
+  session: '',
+  name: '',
+  email: '',
+};
+
+// Character limits for the free-text fields
+export const LIMITS = {
+  title: { min: 5, max: 120 },
+  abstract: { min: 50, max: 1500 },
+  hardware: { min: 2, max: 200 },
+  name: { min: 2, max: 100 },
+};
+
+export class ShowAndTellError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ShowAndTellError';
+    this.code = code;
+  }
+}
+
+const checkLength = (value, { min, max }) => {
+  const length = String(value || '').trim().length;
+  if (!length) return { code: 'required' };
+  if (length < min) return { code: 'too-short', min };
+  if (length > max) return { code: 'too-long', max };
+  return null;
+};
+
+const CHECKS = {
+  title: (values) => checkLength(values.title, LIMITS.title),
+  abstract: (values) => checkLength(values.abstract, LIMITS.abstract),
+  hardware: (values) => checkLength(values.hardware, LIMITS.hardware),
+  region: (values) => (EVENT_REGIONS.includes(values.region) ? null : { code: 'required' }),
+  session: (values, sessions) => {
+    if (!values.session) return { code: 'required' };
+    return values.session === FLEXIBLE_SESSION || sessions.includes(values.session) ? null : { code: 'unavailable' };
+  },
+  name: (values) => checkLength(values.name, LIMITS.name),
+  email: (values) => {
+    if (!String(values.email || '').trim()) return { code: 'required' };
+    return isValidEmail(values.email) ? null : { code: 'invalid-email' };
+  },
+};
+
+/**
+ * Errors for the given fields (all of them by default), keyed by field name.
+ * Each error is { code, min?, max? } so forms can show a translated message.
+ * `sessions` lists the event ids that can currently be picked.
+ */
+export const validateProposal = (values, { fields = Object.keys(CHECKS), sessions = [] } = {}) => (
+  Object.fromEntries(fields
+    .map(field => [field, CHECKS[field](values, sessions)])
+    .filter(([, error]) => error))
+);
+
+/** Trimmed copy of the form values, as sent to the API. */
+export const normalizeProposal = (values) => ({
+  title: values.title.trim(),
+  abstract: values.abstract.trim(),
+  hardware: values.hardware.trim(),
+  region: values.region,
+  session: values.session,
+  name: values.name.trim(),
+  email: normalizeEmail(values.email),
+});
+
+/**
+ * Send an application. Resolves to the id the API assigned; rejects with a
+ * ShowAndTellError.
+ */
+export const submitProposal = async (values) => {
+  let response;
+  try {
+    response = await fetch(SHOW_AND_TELL_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(normalizeProposal(values)),
+    });
+  } catch {
+    throw new ShowAndTellError('We could not reach the server. Check your connection and try again.', 'network');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ShowAndTellError(data.message || 'Something went wrong. Please try again later.', data.error || 'server');
+  }
+  return data.id;
+};
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  FLEXIBLE_SESSION,
+  LIMITS,
+  STEPS,
+  EMPTY_PROPOSAL,
+  validateProposal,
+  normalizeProposal,
+  submitProposal,
+} from './showAndTell';
+
+const sessions = ['show-and-tell-april'];
+
+const proposal = (overrides = {}) => ({
+  title: 'Keyword spotting on a Pico',
+  abstract: 'How we trained and deployed a keyword spotter on a microcontroller for a rural clinic.',
+  hardware: 'Raspberry Pi Pico',
+  region: 'africa',
+  session: 'show-and-tell-april',
+  name: 'Ada Lovelace',
+  email: 'ada@example.org',
+  ...overrides,
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('validateProposal', () => {
+  it('accepts a complete proposal, for a listed session or a flexible one', () => {
+    expect(validateProposal(proposal(), { sessions })).toEqual({});
+    expect(validateProposal(proposal({ session: FLEXIBLE_SESSION }), { sessions })).toEqual({});
+  });
+
+  it('requires every field of an empty form', () => {
+    const errors = validateProposal(EMPTY_PROPOSAL, { sessions });
+    expect(Object.keys(errors)).toEqual(Object.keys(EMPTY_PROPOSAL));
+    Object.values(errors).forEach(error => expect(error).toEqual({ code: 'required' }));
+  });
+
+  it('checks lengths after trimming, with the limit for the message', () => {
+    expect(validateProposal(proposal({ title: '  Hi   ' }), { sessions })).toEqual({ title: { code: 'too-short', min: LIMITS.title.min } });
+    expect(validateProposal(proposal({ abstract: 'x'.repeat(LIMITS.abstract.max + 1) }), { sessions }))
+      .toEqual({ abstract: { code: 'too-long', max: LIMITS.abstract.max } });
+    expect(validateProposal(proposal({ name: '   ' }), { sessions })).toEqual({ name: { code: 'required' } });
+  });
+
+  it('rejects unknown regions, sessions no longer open and bad addresses', () => {
+    expect(validateProposal(proposal({
+      region: 'atlantis',
+      session: 'show-and-tell-2019',
+      email: 'ada@example',
+    }), { sessions })).toEqual({
+      region: { code: 'required' },
+      session: { code: 'unavailable' },
+      email: { code: 'invalid-email' },
+    });
+  });
+
+  it('checks only the fields of the current step', () => {
+    const [talk] = STEPS;
+    expect(validateProposal({ ...EMPTY_PROPOSAL, title: 'Keyword spotting' }, { fields: talk.fields, sessions }))
+      .toEqual({ abstract: { code: 'required' } });
+  });
+});
+
+describe('normalizeProposal', () => {
+  it('trims the text and lowercases the address', () => {
+    expect(normalizeProposal(proposal({ title: '  Keyword spotting ', email: ' Ada@Example.org ' }))).toMatchObject({
+      title: 'Keyword spotting',
+      email: 'ada@example.org',
+    });
+  });
+});
+
+describe('submitProposal', () => {
+  it('posts the normalized proposal and resolves to the assigned id', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve({ status: 'received', id: 'st-42' }) });
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(submitProposal(proposal({ name: ' Ada Lovelace ' }))).resolves.toBe('st-42');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(proposal());
+  });
+
+  it('surfaces field errors from the API and network failures', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+      ok: false,
+      json: () => Promise.resolve({ error: 'invalid-session', message: 'That session is full.' }),
+    }));
+    await expect(submitProposal(proposal())).rejects.toMatchObject({ name: 'ShowAndTellError', code: 'invalid-session' });
+
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(submitProposal(proposal())).rejects.toMatchObject({ code: 'network' });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * STORAGE
+ * JSON helpers around localStorage. Storage can be missing (SSR), disabled
+ * (privacy modes) or full, so every call fails soft: reads fall back and
+ * writes report whether they succeeded.
+ */
+
+export const readJSON = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const writeJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const removeItem = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch {
+    // Nothing stored, nothing to remove
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * SUBSCRIPTIONS
+ * Client for the newsletter signup API shared by every subscribe form.
+ *
+ * POST {endpoint}          { email, source }  -> 202 { status: 'pending' }
+ *                                              -> 200 { status: 'already-subscribed' }
+ * POST {endpoint}/confirm  { token }          -> 200 { status: 'confirmed', email }
+ *
+ * Signups use double opt-in: the API emails a link to /subscribe/confirm?token=…
+ * and the address only counts once that link is opened. In development the
+ * endpoint is served by mock/subscriptions.js unless VITE_SUBSCRIBE_ENDPOINT is set.
+ *
+ * A confirmed signup is remembered in localStorage, so announcements aimed at
+ * visitors who have not subscribed stop showing (see src/lib/announcements.js).
+ * A pending signup is not: until the link is opened the visitor still sees them.
+ */
+
+import { readJSON, writeJSON } from './storage';
+
+export const SUBSCRIBE_ENDPOINT = import.meta.env.VITE_SUBSCRIBE_ENDPOINT || '/api/subscribe';
+
+// Forms that can produce a signup; recorded with each subscription.
+export const SUBSCRIPTION_SOURCES = ['modal', 'footer', 'banner'];
+
+const SUBSCRIBED_KEY = 'newsletter-subscribed';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export class SubscriptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.code = code;
+  }
+}
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const isValidEmail = (email) => EMAIL_PATTERN.test(normalizeEmail(email));
+
+/** Whether this browser has a confirmed signup. */
+export const hasSubscribed = () => readJSON(SUBSCRIBED_KEY, false) === true;
+
+const post = async (url, body) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new SubscriptionError('We could not reach the server. Check your connection and try again.', 'network');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new SubscriptionError(data.message || 'Something went wrong. Please try again later.', data.error || 'server');
+  }
+  return data;
+};
+
+/**
+ * Request a subscription. Resolves to 'pending' (confirmation email sent) or
+ * 'already-subscribed'; rejects with a SubscriptionError.
+ */
+export const subscribe = async (email, source) => {
+  if (!isValidEmail(email)) {
+    throw new SubscriptionError('Please enter a valid email address.', 'invalid-email');
+  }
+  if (!SUBSCRIPTION_SOURCES.includes(source)) {
+    throw new SubscriptionError(`Unknown subscription source "${source}".`, 'invalid-source');
+  }
+
+  const { status } = await post(SUBSCRIBE_ENDPOINT, { email: normalizeEmail(email), source });
+  if (status !== 'already-subscribed') return 'pending';
+  writeJSON(SUBSCRIBED_KEY, true);
+  return 'already-subscribed';
+};
+
+/**
+ * Confirm a subscription from the token in a confirmation link.
+ * Resolves to the confirmed email address.
+ */
+export const confirmSubscription = async (token) => {
+  if (!token) throw new SubscriptionError('This confirmation link is incomplete.', 'invalid-token');
+  const { email } = await post(`${SUBSCRIBE_ENDPOINT}/confirm`, { token });
+  writeJSON(SUBSCRIBED_KEY, true);
+  return email;
+};
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  SUBSCRIBE_ENDPOINT,
+  isValidEmail,
+  hasSubscribed,
+  subscribe,
+  confirmSubscription,
+} from './subscriptions';
+
+// A stand-in for fetch answering every request with `status` and `body`
+const respond = (status, body) => vi.fn().mockResolvedValue({
+  ok: status < 400,
+  status,
+  json: () => (body === undefined ? Promise.reject(new SyntaxError('empty')) : Promise.resolve(body)),
+});
+
+const sentBody = (fetch) => JSON.parse(fetch.mock.calls[0][1].body);
+
+beforeEach(() => {
+  const stored = new Map();
+  vi.stubGlobal('window', {
+    localStorage: {
+      getItem: (key) => (stored.has(key) ? stored.get(key) : null),
+      setItem: (key, value) => stored.set(key, value),
+    },
+  });
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('isValidEmail', () => {
+  it('accepts addresses with surrounding spaces or capitals', () => {
+    expect(isValidEmail(' Ada@Example.org ')).toBe(true);
+  });
+
+  it('rejects anything without a user, domain and top-level domain', () => {
+    ['', 'ada', 'ada@', 'ada@example', 'ada@example.c', 'a da@example.org', null].forEach(email => {
+      expect(isValidEmail(email)).toBe(false);
+    });
+  });
+});
+
+describe('subscribe', () => {
+  it('posts the normalized address and source, and waits for confirmation', async () => {
+    const fetch = respond(202, { status: 'pending' });
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(subscribe(' Ada@Example.org ', 'footer')).resolves.toBe('pending');
+    expect(fetch.mock.calls[0][0]).toBe(SUBSCRIBE_ENDPOINT);
+    expect(sentBody(fetch)).toEqual({ email: 'ada@example.org', source: 'footer' });
+    expect(hasSubscribed()).toBe(false);
+  });
+
+  it('remembers addresses that were already subscribed', async () => {
+    vi.stubGlobal('fetch', respond(200, { status: 'already-subscribed' }));
+
+    await expect(subscribe('ada@example.org', 'modal')).resolves.toBe('already-subscribed');
+    expect(hasSubscribed()).toBe(true);
+  });
+
+  it('checks the address and source before calling the API', async () => {
+    const fetch = vi.fn();
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(subscribe('ada@', 'modal')).rejects.toMatchObject({ name: 'SubscriptionError', code: 'invalid-email' });
+    await expect(subscribe('ada@example.org', 'sidebar')).rejects.toMatchObject({ code: 'invalid-source' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('surfaces API errors, falling back when the response has no body', async () => {
+    vi.stubGlobal('fetch', respond(400, { error: 'invalid-email', message: 'Please enter a valid email address.' }));
+    await expect(subscribe('ada@example.org', 'banner')).rejects.toMatchObject({ code: 'invalid-email', message: 'Please enter a valid email address.' });
+
+    vi.stubGlobal('fetch', respond(500));
+    await expect(subscribe('ada@example.org', 'banner')).rejects.toMatchObject({ code: 'server' });
+  });
+
+  it('reports an unreachable server as a network error', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('Failed to fetch')));
+    await expect(subscribe('ada@example.org', 'banner')).rejects.toMatchObject({ code: 'network' });
+  });
+});
+
+describe('confirmSubscription', () => {
+  it('confirms the token and remembers the signup', async () => {
+    const fetch = respond(200, { status: 'confirmed', email: 'ada@example.org' });
+    vi.stubGlobal('fetch', fetch);
+
+    await expect(confirmSubscription('abc123')).resolves.toBe('ada@example.org');
+    expect(fetch.mock.calls[0][0]).toBe(`${SUBSCRIBE_ENDPOINT}/confirm`);
+    expect(sentBody(fetch)).toEqual({ token: 'abc123' });
+    expect(hasSubscribed()).toBe(true);
+  });
+
+  it('rejects links without a token or with an expired one', async () => {
+    await expect(confirmSubscription('')).rejects.toMatchObject({ code: 'invalid-token' });
+
+    vi.stubGlobal('fetch', respond(404, { error: 'invalid-token', message: 'This confirmation link is invalid or has expired.' }));
+    await expect(confirmSubscription('old')).rejects.toMatchObject({ code: 'invalid-token' });
+    expect(hasSubscribed()).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * THEME TOKENS
+ * The colours of each theme, shared by Tailwind (tailwind.config.js turns the
+ * `ui` colours into CSS variables behind classes like bg-surface and
+ * text-slate-900) and by the canvas and Three.js effects, which read their
+ * palettes from here directly. Plain data with no imports, so the Tailwind
+ * config can load it in Node.
+ *
+ * The light theme is the site's original look: stock Tailwind slate, white
+ * surfaces. The dark theme runs the slate scale backwards, so text-slate-900
+ * stays the strongest text and bg-slate-50 the faintest tint in both themes.
+ */
+
+export const THEME_NAMES = ['light', 'dark'];
+
+const SLATE = {
+  50: '#f8fafc',
+  100: '#f1f5f9',
+  200: '#e2e8f0',
+  300: '#cbd5e1',
+  400: '#94a3b8',
+  500: '#64748b',
+  600: '#475569',
+  700: '#334155',
+  800: '#1e293b',
+  900: '#0f172a',
+  950: '#020617',
+};
+
+const SHADES = Object.keys(SLATE);
+
+const slateScale = (reverse) => Object.fromEntries(SHADES.map((shade, i) => (
+  [`slate-${shade}`, SLATE[reverse ? SHADES[SHADES.length - 1 - i] : shade]]
+)));
+
+export const THEMES = {
+  light: {
+    ui: {
+      surface: '#ffffff',
+      ...slateScale(false),
+      'logo-primary': '#2563eb',
+      'logo-secondary': '#f87171',
+    },
+    pixels: {
+      clearColor: '#f8fafc',
+      palette: [
+        '#eef2ff', // 0: Background
+        '#e0e7ff', // 1: Background
+        '#c7d2fe', '#a5b4fc', '#818cf8', // Blues
+        '#6366f1', '#fca5a5', '#86efac', '#fde047', // Accents
+        '#94a3b8', '#64748b', // Slates
+      ],
+    },
+    particles: {
+      colors: [0x0099FF, 0xCC00CC, 0x00AA00, 0xEE0000, 0xEEAA00, 0xFF3333],
+      gradient: ['#ffadad', '#ffd6a5', '#fdffb6', '#caffbf', '#9bf6ff', '#a0c4ff', '#bdb2ff', '#ffc6ff'],
+    },
+  },
+  dark: {
+    ui: {
+      surface: '#0b1120',
+      ...slateScale(true),
+      'logo-primary': '#60a5fa',
+      'logo-secondary': '#fb7185',
+    },
+    pixels: {
+      clearColor: '#020617',
+      palette: [
+        '#0f172a', // 0: Background
+        '#111a33', // 1: Background
+        '#1e1b4b', '#312e81', '#3730a3', // Blues
+        '#4f46e5', '#9f1239', '#166534', '#a16207', // Accents
+        '#1e293b', '#334155', // Slates
+      ],
+    },
+    particles: {
+      colors: [0x38BDF8, 0xE879F9, 0x4ADE80, 0xF87171, 0xFACC15, 0xFB7185],
+      gradient: ['#3b0d1a', '#3b230d', '#33300d', '#0d3318', '#0d2e33', '#0d1f3b', '#1f0d3b', '#330d33'],
+    },
+  },
+};
+
+const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ');
+
+// `--color-<name>: r g b` for every ui colour of a theme
+export const themeCssVariables = (name) => Object.fromEntries(
+  Object.entries(THEMES[name].ui).map(([token, hex]) => [`--color-${token}`, channels(hex)])
+);
+
+// A ui colour as an inline CSS value: the site's variable when the page sets
+// it, the light theme's colour otherwise
+export const themeColor = (token, alpha = 1) =>
+  `rgb(var(--color-${token}, ${channels(THEMES.light.ui[token])}) / ${alpha})`;
+
+// Tailwind colour definitions reading those variables, alpha modifiers included
+export const tailwindColors = () => {
+  const colors = { slate: {}, logo: {} };
+  Object.keys(THEMES.light.ui).forEach(token => {
+    const value = `rgb(var(--color-${token}) / <alpha-value>)`;
+    const [group, shade] = token.split('-');
+    if (shade) colors[group][shade] = value;
+    else colors[token] = value;
+  });
+  return colors;
+};
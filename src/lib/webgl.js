@@ -0,0 +1,48 @@
+/**
+ * WEBGL
+ * Teardown and context-loss handling shared by the three.js effects
+ * (ParticleMorphScene, WorldGlobe). renderer.dispose() only frees what the
+ * renderer itself holds; the geometries, materials and textures in a scene
+ * have to be disposed one by one.
+ */
+
+const disposeTexture = (value) => {
+  if (value && value.isTexture) value.dispose();
+};
+
+// Dispose every geometry, material and texture under `root`, then empty it
+export const disposeObject = (root) => {
+  const materials = new Set();
+  root.traverse(object => {
+    if (object.geometry) object.geometry.dispose();
+    [].concat(object.material || []).forEach(material => materials.add(material));
+  });
+  materials.forEach(material => {
+    Object.values(material).forEach(disposeTexture);
+    // Shader materials keep their textures in uniforms
+    Object.values(material.uniforms || {}).forEach(uniform => disposeTexture(uniform.value));
+    material.dispose();
+  });
+  root.clear();
+};
+
+/**
+ * Calls `onLost` when the browser takes the canvas's WebGL context away (a
+ * GPU reset, too many contexts, a backgrounded mobile tab) and `onRestored`
+ * when it gives it back. Preventing the loss event's default is what allows
+ * the restore. Returns a function that stops listening.
+ */
+export const watchContextLoss = (canvas, { onLost, onRestored }) => {
+  const handleLost = (event) => {
+    event.preventDefault();
+    onLost();
+  };
+  const handleRestored = () => onRestored();
+
+  canvas.addEventListener('webglcontextlost', handleLost);
+  canvas.addEventListener('webglcontextrestored', handleRestored);
+  return () => {
+    canvas.removeEventListener('webglcontextlost', handleLost);
+    canvas.removeEventListener('webglcontextrestored', handleRestored);
+  };
+};
@@ -1,10 +1,41 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import App from './App.jsx'
+import AppProviders from './components/AppProviders'
+import { readSnapshot, startHydration } from './lib/hydration'
+import { preloadRoute } from './routes'
+import content from './content'
+import { registerServiceWorker } from './lib/serviceWorker'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+const root = document.getElementById('root')
+const app = (
   <React.StrictMode>
-    <App />
-  </React.StrictMode>,
+    <BrowserRouter>
+      <AppProviders>
+        <App />
+      </AppProviders>
+    </BrowserRouter>
+  </React.StrictMode>
 )
+
+// Pages built by scripts/prerender.mjs are hydrated; anything else (the dev
+// server, or a host serving another path's HTML as a fallback) renders afresh.
+// Either way the route's chunks load first, so it renders without a fallback.
+const { pathname } = window.location
+preloadRoute(pathname, content.pages.pages).then(() => {
+  const snapshot = readSnapshot(root, pathname)
+  if (snapshot) {
+    startHydration(snapshot)
+    ReactDOM.hydrateRoot(root, app)
+  } else {
+    root.textContent = ''
+    ReactDOM.createRoot(root).render(app)
+  }
+})
+
+// Only production builds have a worker (see plugins/serviceWorker.js)
+if (import.meta.env.PROD) {
+  window.addEventListener('load', () => registerServiceWorker())
+}
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import HighlightText from '../components/HighlightText';
+import { confirmSubscription } from '../lib/subscriptions';
+import { useTranslation } from '../context/locale';
+
+/**
+ * PAGE: ConfirmSubscriptionPage
+ * Target of the double opt-in link emailed after subscribing.
+ */
+const ConfirmSubscriptionPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState({ status: 'confirming' });
+  const t = useTranslation();
+
+  useEffect(() => {
+    let cancelled = false;
+    confirmSubscription(token)
+      .then(email => { if (!cancelled) setState({ status: 'confirmed', email }); })
+      .catch(err => { if (!cancelled) setState({ status: 'error', message: err.message, code: err.code }); });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const copy = {
+    confirming: { title: t('confirm.confirmingTitle'), body: t('confirm.confirmingBody') },
+    confirmed: { title: t('confirm.confirmedTitle'), body: t('confirm.confirmedBody', { email: state.email }) },
+    error: { title: t('confirm.errorTitle'), body: t(`subscribe.error.${state.code}`, {}, state.message) },
+  }[state.status];
+
+  return (
+    <section className="relative pt-32 pb-24 lg:pt-48 px-4 max-w-4xl mx-auto min-h-screen flex flex-col justify-center">
+      <div className="space-y-6" role="status">
+        <h1 className="text-5xl lg:text-6xl font-extrabold tracking-tight leading-tight">
+          <HighlightText>{copy.title}</HighlightText>
+        </h1>
+        <p className="text-xl leading-relaxed">
+          <HighlightText>{copy.body}</HighlightText>
+        </p>
+        {state.status !== 'confirming' && (
+          <div className="pt-4">
+            <Link to="/" className="inline-block px-8 py-4 bg-blue-600 text-white font-bold rounded-sm shadow-lg hover:bg-blue-700 transition-all">
+              {t('common.backHome')}
+            </Link>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ConfirmSubscriptionPage;
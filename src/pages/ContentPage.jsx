@@ -0,0 +1,70 @@
+import React, { useEffect, Suspense } from 'react';
+import { ArrowRight } from 'lucide-react';
+import ScrollReveal from '../components/ScrollReveal';
+import HighlightText from '../components/HighlightText';
+import ContentLink from '../components/ContentLink';
+import { SITE_NAME, documentTitle } from '../lib/seo';
+import { EMBED_COMPONENTS } from '../routes';
+
+/**
+ * PAGE: ContentPage
+ * Generic page rendered from an entry in src/content/pages.json.
+ */
+const ContentPage = ({ page }) => {
+  const Embed = page.embed && EMBED_COMPONENTS[page.embed];
+
+  useEffect(() => {
+    document.title = documentTitle(page.title);
+    return () => { document.title = SITE_NAME; };
+  }, [page.title]);
+
+  return (
+    <section className="relative pt-32 pb-24 lg:pt-40 px-4 max-w-4xl mx-auto min-h-screen">
+      <ScrollReveal>
+        <div className="space-y-6">
+          {page.section && (
+            <HighlightText className="text-sm font-mono tracking-widest uppercase text-blue-600 font-bold border border-blue-100">
+              {page.section}
+            </HighlightText>
+          )}
+          <h1 className="text-4xl lg:text-6xl font-extrabold tracking-tight leading-tight">
+            <HighlightText>{page.title}</HighlightText>
+          </h1>
+          <p className="text-xl leading-relaxed">
+            <HighlightText>{page.summary}</HighlightText>
+          </p>
+        </div>
+      </ScrollReveal>
+
+      <ScrollReveal className="mt-12">
+        <div className="bg-surface border border-slate-200 p-8 shadow-xl space-y-4">
+          {page.body.map((paragraph, i) => (
+            <p key={i} className="text-slate-600 font-medium leading-relaxed">{paragraph}</p>
+          ))}
+
+          {page.links && (
+            <ul className="pt-4 space-y-2 text-sm font-bold">
+              {page.links.map(link => (
+                <li key={link.label}>
+                  <ContentLink href={link.href} className="inline-flex items-center gap-2 text-blue-600 hover:text-blue-800">
+                    {link.label} <ArrowRight size={16} className="rtl:rotate-180" />
+                  </ContentLink>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </ScrollReveal>
+
+      {Embed && (
+        <ScrollReveal className="mt-12">
+          <Suspense fallback={null}>
+            <Embed />
+          </Suspense>
+        </ScrollReveal>
+      )}
+    </section>
+  );
+};
+
+export default ContentPage;
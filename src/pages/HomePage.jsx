@@ -0,0 +1,354 @@
+import React, { useReducer, useEffect, useRef, Suspense } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowRight } from 'lucide-react';
+import { CONTENT_ICONS, ACCENTS, resolveStat } from '../content';
+import ScrollReveal from '../components/ScrollReveal';
+import CountUpAnimation from '../components/CountUpAnimation';
+import HighlightText from '../components/HighlightText';
+import PartnerMark from '../components/PartnerMark';
+import ResponsiveImage from '../components/ResponsiveImage';
+import { useReducedMotion } from '../context/motion';
+import { useLocale } from '../context/locale';
+import useVisitorTime from '../hooks/useVisitorTime';
+import { isHydrating } from '../lib/hydration';
+import { WorldGlobe } from '../routes';
+import {
+  heroReducer,
+  initialHeroState,
+  isScrollLocked,
+  keyIntent,
+  deltaIntent,
+  TRANSITION_MS,
+} from '../lib/heroTransition';
+
+// Staggered reveal delays for the pillar cards and their inner images.
+const PILLAR_DELAYS = [
+  { card: 'delay-0', image: 'delay-200' },
+  { card: 'delay-100', image: 'delay-300' },
+  { card: 'delay-200', image: 'delay-400' },
+];
+
+// Rendered widths for ResponsiveImage: the cover is at most max-w-sm, the
+// pillar cards share the max-w-7xl row three ways from md up
+const COVER_SIZES = '(min-width: 640px) 24rem, 100vw';
+const PILLAR_SIZES = '(min-width: 1280px) 24rem, (min-width: 768px) 30vw, 100vw';
+
+// Keys typed into these elements never drive the hero
+const TYPING_TARGETS = 'input, textarea, select, [contenteditable]';
+// Space activates these instead of scrolling
+const BUTTON_TARGETS = 'button, summary';
+
+/**
+ * PAGE: HomePage
+ * Hero (with the scroll-jacked cover swap), stats, the world-reach globe,
+ * pillars and partners.
+ * The particle morph section is rendered by App after the footer.
+ * Wheel, touch and keyboard input all advance the cover swap; Escape or the
+ * scroll hint skips it. With reduced motion the page scrolls normally and the
+ * cover simply follows the scroll position.
+ */
+const HomePage = ({ isModalOpen }) => {
+  // Hero State (see src/lib/heroTransition.js). Pre-rendered HTML is built
+  // at the top of the page; the real position is picked up once mounted.
+  const [heroState, dispatch] = useReducer(heroReducer, null, () => (
+    initialHeroState(isHydrating() ? 0 : window.scrollY)
+  ));
+  const heroStateRef = useRef(heroState);
+  heroStateRef.current = heroState;
+  const reducedMotion = useReducedMotion();
+  const { t, content, formatDate } = useLocale();
+  const { now } = useVisitorTime();
+
+  // Follow the real scroll position: scrollbar drags, #anchors, restored
+  // positions and back/forward all arrive here
+  useEffect(() => {
+    let previousY = window.scrollY;
+    dispatch({ type: 'scroll', y: previousY });
+    const handleScroll = () => {
+      const y = window.scrollY;
+      dispatch({ type: 'scroll', y, previousY });
+      previousY = y;
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => window.removeEventListener('scroll', handleScroll);
+  }, []);
+
+  // End the cross-fade. Leaving 'transitioning' any other way clears the timer.
+  useEffect(() => {
+    if (heroState !== 'transitioning') return;
+    const timer = setTimeout(() => dispatch({ type: 'finish' }), reducedMotion ? 0 : TRANSITION_MS);
+    return () => clearTimeout(timer);
+  }, [heroState, reducedMotion]);
+
+  // SCROLL JACKING LOGIC: hold forward input at the top until the cover has
+  // swapped. Reduced motion leaves scrolling alone.
+  useEffect(() => {
+    if (reducedMotion) return;
+
+    const handleIntent = (intent, e) => {
+      const state = heroStateRef.current;
+      if (intent === 'skip') {
+        if (state !== 'swapped') dispatch({ type: 'skip' });
+        return;
+      }
+      if (intent === 'back') {
+        dispatch({ type: 'retreat', y: window.scrollY });
+        return;
+      }
+      if (intent !== 'forward' || !isScrollLocked(state)) return;
+
+      e.preventDefault();
+      if (!isModalOpen) dispatch({ type: 'advance' });
+    };
+
+    const handleWheel = (e) => handleIntent(deltaIntent(e.deltaY), e);
+
+    let touchY = null;
+    const handleTouchStart = (e) => {
+      touchY = e.touches[0].clientY;
+    };
+    const handleTouchMove = (e) => {
+      const y = e.touches[0].clientY;
+      if (touchY !== null) handleIntent(deltaIntent(touchY - y), e);
+      touchY = y;
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.target.closest(TYPING_TARGETS)) return;
+      if (e.key === ' ' && e.target.closest(BUTTON_TARGETS)) return;
+      if (isModalOpen) return;
+      handleIntent(keyIntent(e), e);
+    };
+
+    window.addEventListener('wheel', handleWheel, { passive: false });
+    window.addEventListener('touchstart', handleTouchStart, { passive: true });
+    window.addEventListener('touchmove', handleTouchMove, { passive: false });
+    window.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      window.removeEventListener('wheel', handleWheel);
+      window.removeEventListener('touchstart', handleTouchStart);
+      window.removeEventListener('touchmove', handleTouchMove);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isModalOpen, reducedMotion]);
+
+  const { stats, pillars, partners, locations } = content;
+  const liveStats = stats.stats.map(stat => resolveStat(stat, now));
+  // The oldest fetch is the honest age of the section
+  const statsUpdatedAt = liveStats.map(stat => stat.updatedAt).filter(Boolean).sort()[0];
+
+  return (
+    <>
+      {/* --- HERO SECTION --- */}
+      <section className="relative pt-32 pb-20 lg:pt-48 lg:pb-32 px-4 max-w-7xl mx-auto min-h-screen flex flex-col justify-center">
+        <div className="grid lg:grid-cols-2 gap-12 items-center">
+          
+          <ScrollReveal>
+            <div className="space-y-8">
+              <HighlightText variant="light" className="text-sm font-mono tracking-widest uppercase text-blue-600 font-bold border border-blue-100">
+                {t('hero.badge')}
+              </HighlightText>
+              
+              <h1 className="text-5xl lg:text-7xl font-extrabold tracking-tight leading-tight">
+                <HighlightText>{t('hero.titleLine1')}</HighlightText><br/>
+                <HighlightText className="text-blue-600">{t('hero.titleLine2')}</HighlightText><br/>
+                <HighlightText>{t('hero.titleLine3')}</HighlightText>
+              </h1>
+              
+              <p className="text-xl lg:text-2xl leading-relaxed max-w-lg">
+                <HighlightText>
+                  {t('hero.lead')}
+                </HighlightText>
+              </p>
+
+              <div className="flex flex-wrap gap-4 pt-4">
+                <Link to="/learn/book" className="px-8 py-4 bg-blue-600 text-white font-bold rounded-sm shadow-lg hover:bg-blue-700 hover:shadow-blue-500/30 transition-all flex items-center gap-2 group">
+                  {t('hero.startLearning')}
+                  <ArrowRight size={20} className="rtl:rotate-180 group-hover:translate-x-1 rtl:group-hover:-translate-x-1 transition-transform" />
+                </Link>
+                <Link to="/community/workshops" className="px-8 py-4 bg-surface text-slate-900 border-2 border-slate-900 font-bold rounded-sm shadow-md hover:bg-slate-50 transition-all">
+                  {t('hero.joinCommunity')}
+                </Link>
+              </div>
+
+              {/* Scroll Hint */}
+              <div className={`transition-opacity duration-500 ${heroState !== 'initial' ? 'opacity-0 pointer-events-none' : 'opacity-100'}`}>
+                <button
+                  onClick={() => dispatch({ type: 'skip' })}
+                  tabIndex={heroState !== 'initial' ? -1 : 0}
+                  className="text-sm font-bold text-slate-500 animate-bounce"
+                >
+                  {t('hero.scrollHint')}
+                </button>
+              </div>
+            </div>
+          </ScrollReveal>
+
+          {/* Visual Content (Book Cover - Fading Logic) */}
+          <div className="relative group perspective-1000 flex justify-center items-center h-[500px]">
+              <div className="absolute inset-0 bg-blue-500 rounded-lg blur-3xl opacity-20 group-hover:opacity-30 transition-opacity"></div>
+              
+              {/* Image Container */}
+              {/* REMOVED border-4 border-slate-900 */}
+              <div className="relative w-full max-w-sm h-full shadow-2xl rounded-r-lg transform rotate-y-12 hover:rotate-y-0 transition-transform duration-500 flex flex-col overflow-hidden bg-surface">
+                 
+                 {/* Image 1 (Initial) with Label */}
+                 <div className={`absolute inset-0 w-full h-full transition-opacity duration-[1500ms] ease-in-out ${heroState === 'initial' ? 'opacity-100' : 'opacity-0'}`}>
+                   <ResponsiveImage
+                     image="https://i.pinimg.com/736x/83/c6/4e/83c64e3889dc867e789bfc91253c6d1b.jpg"
+                     alt={t('hero.cover1Alt')}
+                     sizes={COVER_SIZES}
+                     priority
+                     className="w-full h-full object-contain bg-slate-100"
+                   />
+                   <div className="absolute top-4 end-4 bg-surface text-slate-900 text-xs font-bold px-3 py-1 shadow-lg">
+                     MLSysBook
+                   </div>
+                 </div>
+
+                 {/* Image 2 (Fade In) with Label */}
+                 <div className={`absolute inset-0 w-full h-full transition-opacity duration-[1500ms] ease-in-out ${heroState !== 'initial' ? 'opacity-100' : 'opacity-0'}`}>
+                   <ResponsiveImage
+                     image="https://i.pinimg.com/736x/29/3f/58/293f584bf85e9bc8545d5312cfb4f6bf.jpg"
+                     alt={t('hero.cover2Alt')}
+                     sizes={COVER_SIZES}
+                     className="w-full h-full object-contain bg-slate-100"
+                   />
+                   <div className="absolute top-4 end-4 bg-surface text-slate-900 text-xs font-bold px-3 py-1 shadow-lg">
+                     TinyTorch
+                   </div>
+                 </div>
+                 
+                 {/* Glitch Overlay for style */}
+                 <div className="absolute inset-0 bg-repeat opacity-10 pointer-events-none mix-blend-multiply" style={{ backgroundImage: 'radial-gradient(circle, #000 1px, transparent 1px)', backgroundSize: '4px 4px' }}></div>
+              </div>
+            </div>
+
+        </div>
+      </section>
+
+      {/* --- STATS SECTION --- */}
+      <section className="py-16 px-4">
+        <div className="max-w-7xl mx-auto">
+          <ScrollReveal>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {liveStats.map((stat, i) => {
+                const Icon = CONTENT_ICONS[stat.icon];
+                return (
+                  <div key={i} className="bg-surface/95 border border-slate-200 p-6 rounded-sm shadow-sm hover:shadow-md transition-shadow flex flex-col items-center text-center">
+                    <div className="mb-3 p-3 bg-slate-50 rounded-full"><Icon className={ACCENTS[stat.accent].text} /></div>
+                    <div className="font-extrabold text-2xl lg:text-3xl text-slate-900">
+                      <CountUpAnimation end={stat.value} suffix={stat.suffix} />
+                    </div>
+                    <div className="text-sm font-bold text-slate-500 uppercase tracking-wide">{stat.label}</div>
+                  </div>
+                );
+              })}
+            </div>
+            {statsUpdatedAt && (
+              <p className="mt-4 text-center text-xs font-medium text-slate-500">
+                <HighlightText>{t('stats.lastUpdated', { date: formatDate(statsUpdatedAt) })}</HighlightText>
+              </p>
+            )}
+          </ScrollReveal>
+        </div>
+      </section>
+
+      {/* --- WORLD REACH GLOBE --- */}
+      <section id="reach" className="py-16 px-4 scroll-mt-20">
+        <div className="max-w-7xl mx-auto space-y-8">
+          <div className="text-center space-y-4">
+            <HighlightText className="text-3xl md:text-5xl font-extrabold">
+              {locations.heading}
+            </HighlightText>
+            {locations.intro && (
+              <p className="text-lg text-slate-600 font-medium">
+                <HighlightText>{locations.intro}</HighlightText>
+              </p>
+            )}
+          </div>
+          <ScrollReveal>
+            {/* Keeps the globe's square while three.js loads */}
+            <Suspense fallback={<div className="w-full max-w-xl aspect-square mx-auto" />}>
+              <WorldGlobe />
+            </Suspense>
+          </ScrollReveal>
+        </div>
+      </section>
+
+      {/* --- THREE PILLARS (Inner Card Style) --- */}
+      <section id="about" className="py-24 px-4 scroll-mt-20">
+        <div className="max-w-7xl mx-auto space-y-16">
+          <div className="text-center">
+            <HighlightText className="text-3xl md:text-5xl font-extrabold mb-4">
+              {pillars.heading}
+            </HighlightText>
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-8">
+            {pillars.pillars.map((pillar, i) => {
+              const accent = ACCENTS[pillar.accent];
+              const delays = PILLAR_DELAYS[Math.min(i, PILLAR_DELAYS.length - 1)];
+              return (
+                <ScrollReveal key={pillar.title} className={delays.card}>
+                  <div className="h-full bg-surface border border-slate-200 p-6 shadow-xl hover:-translate-y-2 transition-transform duration-300 flex flex-col">
+                    <div className="mb-4">
+                       <h3 className={`text-3xl font-bold text-slate-900 border-s-4 ${accent.border} ps-4`}>{pillar.title}</h3>
+                    </div>
+
+                    {/* Inner Card Image - Fades in */}
+                    <ScrollReveal className={`${delays.image} w-full mb-6`}>
+                      <div className="relative aspect-video rounded-sm overflow-hidden border border-slate-300 group">
+                        <ResponsiveImage image={pillar.image} sizes={PILLAR_SIZES} className="w-full h-full object-cover grayscale group-hover:grayscale-0 transition-all duration-500" alt={pillar.imageAlt} />
+                        <div className={`absolute inset-0 ${accent.overlay} mix-blend-multiply opacity-60 group-hover:opacity-20 transition-opacity`}></div>
+                        <div className="absolute inset-0 pointer-events-none" style={{ backgroundImage: 'linear-gradient(#fff 1px, transparent 1px), linear-gradient(90deg, #fff 1px, transparent 1px)', backgroundSize: '20px 20px', opacity: 0.2 }}></div>
+                      </div>
+                    </ScrollReveal>
+
+                    <div className="flex-grow">
+                      <p className="text-slate-600 mb-4 font-medium leading-relaxed">
+                        {pillar.description}
+                      </p>
+                      <ul className="space-y-2 text-sm font-bold text-slate-700">
+                        {pillar.highlights.map(highlight => (
+                          <li key={highlight} className={`flex items-center gap-2 ${accent.text}`}>→ {highlight}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                </ScrollReveal>
+              );
+            })}
+          </div>
+        </div>
+      </section>
+
+      {/* --- PARTNERSHIPS --- */}
+      <section className="py-16 px-4 bg-slate-900 text-slate-50">
+        <div className="max-w-4xl mx-auto text-center">
+          <ScrollReveal>
+            <h2 className="text-2xl font-bold mb-6">{partners.heading}</h2>
+            {partners.intro && (
+              <p className="text-slate-300 mb-10 text-lg">
+                {partners.intro}
+              </p>
+            )}
+            
+            <div className="flex flex-wrap justify-center items-center gap-12">
+              {partners.partners.map(partner => (
+                <div key={partner.name} className="flex items-center gap-3 opacity-70 hover:opacity-100 transition-opacity">
+                  <PartnerMark mark={partner.mark} />
+                  <span className="text-xl font-bold tracking-tight">{partner.name}</span>
+                </div>
+              ))}
+            </div>
+          </ScrollReveal>
+        </div>
+      </section>
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,44 @@
+import React, { useEffect } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import HighlightText from '../components/HighlightText';
+import { useTranslation } from '../context/locale';
+import { SITE_NAME, documentTitle } from '../lib/seo';
+
+/**
+ * PAGE: NotFoundPage
+ */
+const NotFoundPage = () => {
+  const { pathname } = useLocation();
+  const t = useTranslation();
+  const title = t('notFound.documentTitle');
+
+  useEffect(() => {
+    document.title = documentTitle(title);
+    return () => { document.title = SITE_NAME; };
+  }, [title]);
+
+  return (
+    <section className="relative pt-32 pb-24 lg:pt-48 px-4 max-w-4xl mx-auto min-h-screen flex flex-col justify-center">
+      <div className="space-y-6">
+        <HighlightText variant="dark" className="text-sm font-mono tracking-widest uppercase font-bold">
+          {t('notFound.badge')}
+        </HighlightText>
+        <h1 className="text-5xl lg:text-7xl font-extrabold tracking-tight leading-tight">
+          <HighlightText>{t('notFound.title')}</HighlightText>
+        </h1>
+        <p className="text-xl leading-relaxed">
+          <HighlightText>
+            {t('notFound.body', { path: pathname })}
+          </HighlightText>
+        </p>
+        <div className="pt-4">
+          <Link to="/" className="inline-block px-8 py-4 bg-blue-600 text-white font-bold rounded-sm shadow-lg hover:bg-blue-700 transition-all">
+            {t('common.backHome')}
+          </Link>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,69 @@
+import { lazy } from 'react';
+import { matchPath } from 'react-router-dom';
+import { CONFIRM_PATH } from './lib/seo';
+
+/**
+ * ROUTES
+ * The route pages, the WebGL effects, the page embeds and the command palette
+ * each load as their own chunk, so a visitor only downloads three.js on the
+ * home page and the forms on the pages that show them.
+ *
+ * Pre-rendering cannot wait for a chunk (renderToString shows the Suspense
+ * fallback instead) and hydration has to match the pre-rendered HTML, so a
+ * component can be loaded ahead with `preload()`: once it has loaded it
+ * renders straight away. The server loads everything first (preloadAll);
+ * main.jsx loads what the current route shows before hydrating it
+ * (preloadRoute).
+ */
+const lazyComponent = (load) => {
+  let loaded = null;
+  const preload = () => {
+    if (loaded) return Promise.resolve(loaded);
+    return load().then(module => {
+      loaded = module;
+      return module;
+    });
+  };
+  // A thenable that settles synchronously, so React.lazy resolves without suspending
+  const Component = lazy(() => (loaded ? { then: (resolve) => resolve(loaded) } : preload()));
+  Component.preload = preload;
+  return Component;
+};
+
+export const HomePage = lazyComponent(() => import('./pages/HomePage'));
+export const ContentPage = lazyComponent(() => import('./pages/ContentPage'));
+export const NotFoundPage = lazyComponent(() => import('./pages/NotFoundPage'));
+export const ConfirmSubscriptionPage = lazyComponent(() => import('./pages/ConfirmSubscriptionPage'));
+
+export const ParticleMorphScene = lazyComponent(() => import('./components/ParticleMorphScene'));
+export const WorldGlobe = lazyComponent(() => import('./components/WorldGlobe'));
+
+// Only opened on request, and never part of the pre-rendered HTML
+export const CommandPalette = lazyComponent(() => import('./components/CommandPalette'));
+
+// Components a page can show below its text, by the `embed` name in pages.json
+// (see PAGE_EMBEDS in src/content/schema.js)
+export const EMBED_COMPONENTS = {
+  events: lazyComponent(() => import('./components/EventsCalendar')),
+  'show-and-tell-form': lazyComponent(() => import('./components/ShowAndTellForm')),
+  donate: lazyComponent(() => import('./components/DonationWidget')),
+  downloads: lazyComponent(() => import('./components/DownloadsList')),
+};
+
+const ROUTE_COMPONENTS = [HomePage, ContentPage, NotFoundPage, ConfirmSubscriptionPage, ParticleMorphScene, WorldGlobe];
+
+/** Load every component a route can render, for the pre-render build. */
+export const preloadAll = () => Promise.all([...ROUTE_COMPONENTS, ...Object.values(EMBED_COMPONENTS)].map(Component => Component.preload()));
+
+/**
+ * Load what `path` renders, given the content pages from pages.json, so it
+ * can hydrate or render without a fallback in between.
+ */
+export const preloadRoute = (path, pages) => {
+  if (matchPath('/', path)) return Promise.all([HomePage.preload(), ParticleMorphScene.preload(), WorldGlobe.preload()]);
+  if (matchPath(CONFIRM_PATH, path)) return ConfirmSubscriptionPage.preload();
+  const page = pages.find(entry => matchPath(entry.path, path));
+  if (!page) return NotFoundPage.preload();
+  const embed = page.embed && EMBED_COMPONENTS[page.embed];
+  return Promise.all([ContentPage.preload(), embed && embed.preload()]);
+};
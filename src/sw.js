@@ -0,0 +1,80 @@
+/**
+ * SERVICE WORKER
+ * Built into dist/sw.js by plugins/serviceWorker.js, which declares SW_CONFIG
+ * ({ version, precache, downloadsCache, downloadsPath, imagesPath }) above
+ * this file. Not bundled: no imports.
+ *
+ *   - The app shell (HTML, scripts, styles, icon, manifest) is precached, so
+ *     the site opens without a connection.
+ *   - Pages go to the network first, then fall back to the copy from the last
+ *     visit, then to the shell (which renders any route on the client).
+ *   - Image variants are cached as they are first shown; their names are
+ *     hashed, so they never go stale.
+ *   - Downloads saved for offline use (src/lib/offline.js) are answered from
+ *     their own cache, which outlives updates.
+ *   - A new version waits until the page posts SKIP_WAITING, so the visitor
+ *     decides when to reload (src/lib/serviceWorker.js).
+ */
+
+const { version, precache, downloadsCache, downloadsPath, imagesPath } = SW_CONFIG;
+const SHELL_URL = precache[0];
+const SHELL_CACHE = `shell-${version}`;
+// Pages name this version's scripts and styles, so they go with it
+const PAGES_CACHE = `pages-${version}`;
+const IMAGES_CACHE = 'images';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(precache)));
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([SHELL_CACHE, PAGES_CACHE, IMAGES_CACHE, downloadsCache]);
+  event.waitUntil(caches.keys()
+    .then(names => Promise.all(names.filter(name => !keep.has(name)).map(name => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const networkFirst = async (request) => {
+  const pages = await caches.open(PAGES_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) pages.put(request, response.clone());
+    return response;
+  } catch (error) {
+    return (await pages.match(request)) || (await caches.match(SHELL_URL)) || Response.error();
+  }
+};
+
+const cacheFirst = async (cacheName, request) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+const savedOrNetwork = async (request) => {
+  const cache = await caches.open(downloadsCache);
+  return (await cache.match(request, { ignoreSearch: true })) || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith(downloadsPath)) {
+    event.respondWith(savedOrNetwork(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith(imagesPath)) {
+    event.respondWith(cacheFirst(IMAGES_CACHE, request));
+  } else {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
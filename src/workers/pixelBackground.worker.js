@@ -0,0 +1,26 @@
+import { createPixelRenderer } from '../lib/pixelGrid';
+
+/**
+ * WORKER: pixelBackground
+ * Hosts a pixel grid renderer on an OffscreenCanvas. The page sends
+ * { method: 'init', canvas, options } once, then { method, args, id } for the
+ * renderer's methods. Calls with an id get { id, result } back; frame times
+ * are posted as { frameTime }.
+ */
+let renderer = null;
+
+self.onmessage = ({ data }) => {
+  if (data.method === 'init') {
+    renderer = createPixelRenderer(data.canvas, {
+      ...data.options,
+      onFrame: (frameTime) => self.postMessage({ frameTime }),
+    });
+    return;
+  }
+  if (!renderer) return;
+
+  const result = renderer[data.method](...data.args);
+  if (data.id !== undefined) {
+    Promise.resolve(result).then(value => self.postMessage({ id: data.id, result: value }));
+  }
+};
@@ -1,11 +1,22 @@
+import { themeCssVariables, tailwindColors } from './src/lib/themeTokens.js'
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  // ThemeProvider (src/context/theme.jsx) puts .dark on <html>
+  darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      colors: tailwindColors(),
+    },
   },
-  plugins: [],
+  plugins: [
+    ({ addBase }) => addBase({
+      ':root': { ...themeCssVariables('light'), colorScheme: 'light' },
+      '.dark': { ...themeCssVariables('dark'), colorScheme: 'dark' },
+    }),
+  ],
 }
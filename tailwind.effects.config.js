@@ -0,0 +1,12 @@
+import site from './tailwind.config.js'
+
+// The site's theme, limited to the classes the exported effects use and
+// without Preflight, so dist-effects/effects.css leaves the importing site's
+// own styles alone
+export default {
+  ...site,
+  content: [
+    './src/components/{PixelBackground,ParticleMorphScene,AnimatedLogo,PaintControls,FrameBudgetOverlay}.jsx',
+  ],
+  corePlugins: { preflight: false },
+}
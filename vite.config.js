@@ -1,7 +1,31 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import siteContent from './plugins/content.js'
+import mockApi from './plugins/mock-api.js'
+import siteStats from './plugins/stats.js'
+import siteSearch from './plugins/search.js'
+import siteImages from './plugins/images.js'
+import serviceWorker from './plugins/serviceWorker.js'
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  // Empty prefix: the stats refresh reads non-VITE_ variables, which stay out of the bundle
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [
+      react(),
+      siteContent(),
+      siteSearch(),
+      siteImages(),
+      serviceWorker(),
+      siteStats({
+        offline: Boolean(env.STATS_OFFLINE),
+        communityUrl: env.STATS_COMMUNITY_URL,
+        token: env.GITHUB_TOKEN,
+      }),
+      // Local stand-ins for the APIs in mock/, while any of them lacks a real endpoint
+      mockApi({ enabled: !env.VITE_SUBSCRIBE_ENDPOINT || !env.VITE_SHOW_AND_TELL_ENDPOINT }),
+    ],
+  }
 })
@@ -0,0 +1,38 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from 'tailwindcss'
+import autoprefixer from 'autoprefixer'
+import siteContent from './plugins/content.js'
+import siteStats from './plugins/stats.js'
+
+// Library build of src/effects.js for other sites: `npm run build:effects`
+// writes dist-effects/, which package.json exports as ./effects and
+// ./effects.css. React, React DOM and three stay external so the importing
+// site's copies are used.
+export default defineConfig({
+  // The pixel worker is then found next to effects.js wherever it is served from
+  base: './',
+  plugins: [
+    react(),
+    // The paint controls' strings come from the content catalog
+    siteContent(),
+    siteStats({ offline: true }),
+  ],
+  css: {
+    postcss: {
+      plugins: [tailwindcss({ config: './tailwind.effects.config.js' }), autoprefixer()],
+    },
+  },
+  build: {
+    outDir: 'dist-effects',
+    lib: {
+      entry: 'src/effects.js',
+      formats: ['es'],
+      fileName: 'effects',
+    },
+    rollupOptions: {
+      external: [/^react(-dom)?(\/|$)/, /^three(\/|$)/],
+      output: { assetFileNames: (asset) => asset.name.endsWith('.css') ? 'effects.css' : 'assets/[name]-[hash][extname]' },
+    },
+  },
+})